@@ -0,0 +1,63 @@
+// IndexedDB-backed response cache so API data survives page reloads
+import { STORES, runRequest } from "./database";
+import { FIXTURE_MODE } from "./fixtures";
+import { getRuntimeToken } from "./token";
+
+const MINUTE = 60 * 1000;
+
+// How long an entry is served without revalidating against the API
+export const CACHE_TTL = {
+  suggestions: 10 * MINUTE,
+  user: 60 * MINUTE,
+  repos: 30 * MINUTE,
+  orgs: 60 * MINUTE,
+  members: 30 * MINUTE,
+  connections: 30 * MINUTE,
+  languages: 24 * 60 * MINUTE,
+  events: 5 * MINUTE,
+  repository: 30 * MINUTE,
+  gists: 30 * MINUTE,
+  // The GraphQL profile query fills the user, repos and orgs entries, so it can't outlive them
+  profile: 30 * MINUTE
+};
+
+// Fixture sessions stay out of the persistent cache: recording needs every request to reach
+// the network, and replayed data shouldn't be served once the session ends
+const persistent = !FIXTURE_MODE;
+
+// Responses fetched with a token can include what only that token may see, so the cache
+// belongs to one token. A marker entry names it; a page loaded with another token (or none,
+// e.g. after a memory-only token is gone) starts from an empty cache.
+const OWNER_KEY = '__owner__';
+const currentOwner = () => getRuntimeToken()?.login || null;
+
+// Bumped on every clear, so responses still in flight from before are not stored afterwards
+let generation = 0;
+
+export const getCacheGeneration = () => generation;
+
+export const clearCacheEntries = async () => {
+  generation++;
+  await runRequest(STORES.responses, 'readwrite', store => store.clear());
+  await runRequest(STORES.responses, 'readwrite', store => store.put({ key: OWNER_KEY, owner: currentOwner() }));
+};
+
+const ownerChecked = persistent
+  ? runRequest(STORES.responses, 'readonly', store => store.get(OWNER_KEY))
+    .then(marker => (marker?.owner === currentOwner() ? null : clearCacheEntries()))
+  : Promise.resolve();
+
+// Entries look like { key, data, etag, lastModified, storedAt }
+export const readCacheEntry = async (key) => {
+  if (!persistent) return null;
+  await ownerChecked;
+  return runRequest(STORES.responses, 'readonly', store => store.get(key));
+};
+
+// since is the cache generation the entry was requested in
+export const writeCacheEntry = async (entry, since = generation) => {
+  if (!persistent) return null;
+  await ownerChecked;
+  if (since !== generation) return null;
+  return runRequest(STORES.responses, 'readwrite', store => store.put(entry));
+};
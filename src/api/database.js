@@ -0,0 +1,59 @@
+// Shared IndexedDB database: cached API responses, the watchlist and its snapshots
+
+const DB_NAME = 'github-profile-finder';
+const DB_VERSION = 2;
+
+export const STORES = {
+  responses: 'responses',
+  watchlist: 'watchlist',
+  snapshots: 'snapshots'
+};
+
+let databasePromise = null;
+
+const openDatabase = () => {
+  if (!databasePromise) {
+    databasePromise = new Promise((resolve) => {
+      if (typeof indexedDB === 'undefined') {
+        resolve(null);
+        return;
+      }
+
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(STORES.responses)) {
+          db.createObjectStore(STORES.responses, { keyPath: 'key' });
+        }
+        if (!db.objectStoreNames.contains(STORES.watchlist)) {
+          db.createObjectStore(STORES.watchlist, { keyPath: 'key' });
+        }
+        if (!db.objectStoreNames.contains(STORES.snapshots)) {
+          const snapshots = db.createObjectStore(STORES.snapshots, { keyPath: 'id', autoIncrement: true });
+          snapshots.createIndex('key', 'key');
+        }
+      };
+      request.onsuccess = () => resolve(request.result);
+      // Private browsing and blocked storage fall back to memory-only caching
+      request.onerror = () => resolve(null);
+    });
+  }
+  return databasePromise;
+};
+
+// Run one request against a store, resolving to its result or null when storage is unavailable
+export const runRequest = async (storeName, mode, operation) => {
+  const db = await openDatabase();
+  if (!db) return null;
+
+  return new Promise((resolve) => {
+    try {
+      const request = operation(db.transaction(storeName, mode).objectStore(storeName));
+      request.onsuccess = () => resolve(request.result ?? null);
+      request.onerror = () => resolve(null);
+    } catch (error) {
+      console.error('Error accessing IndexedDB:', error);
+      resolve(null);
+    }
+  });
+};
@@ -0,0 +1,318 @@
+// Record-and-replay of GitHub API traffic, for demos and UI work without network access.
+// ?fixtures=record (or VITE_FIXTURE_MODE=record) captures every API response, headers included,
+// into a bundle that can be downloaded; ?fixtures=replay serves requests from a bundle instead.
+// Replay can also simulate slow responses (?fixtureDelay=<ms>) and a small core rate limit
+// (?fixtureRateLimit=<calls>). Requests the bundle doesn't cover answer 404, like unknown users.
+// The choice is kept for the tab, since navigating drops the query string; ?fixtures=off ends it.
+import { translate } from "../i18n";
+
+const SETTINGS_KEY = 'github-profile-finder-fixtures';
+const BUNDLE_KEY = 'github-profile-finder-fixture-bundle';
+const BUNDLE_URL = import.meta.env.VITE_FIXTURE_BUNDLE || `${import.meta.env.BASE_URL}fixtures/github.json`;
+const BUNDLE_VERSION = 1;
+
+// Query parameters that pick a mode or tune the replay
+const FIXTURE_PARAMS = ['fixtures', 'fixtureDelay', 'fixtureRateLimit'];
+
+// Labelled in the fixture bar through the fixtures.mode.* catalog keys
+export const FIXTURE_MODES = ['record', 'replay'];
+
+const RATE_LIMIT_WINDOW = 60 * 60 * 1000;
+
+// Unauthenticated limits, used when the bundle has no headers to go by
+const DEFAULT_LIMITS = {
+  core: 60,
+  search: 10,
+  graphql: 5000
+};
+
+// Statuses whose Response can't carry a body
+const NULL_BODY_STATUSES = new Set([204, 304]);
+
+const NOT_FOUND = {
+  status: 404,
+  headers: { 'content-type': 'application/json; charset=utf-8' },
+  body: JSON.stringify({ message: 'Not Found', documentation_url: 'https://docs.github.com/rest' })
+};
+
+const RATE_LIMITED_BODY = JSON.stringify({
+  message: 'API rate limit exceeded. (Simulated by fixture replay.)',
+  documentation_url: 'https://docs.github.com/rest/overview/resources-in-the-rest-api#rate-limiting'
+});
+
+const readStoredSettings = () => {
+  try {
+    return JSON.parse(window.sessionStorage.getItem(SETTINGS_KEY)) || {};
+  } catch {
+    return {};
+  }
+};
+
+const storeSettings = (settings) => {
+  try {
+    window.sessionStorage.setItem(SETTINGS_KEY, JSON.stringify(settings));
+  } catch {
+    // Settings then only last until the next navigation drops the query string
+  }
+};
+
+// URL parameters win over the tab's stored choice, which wins over the build's env flags
+const readSettings = () => {
+  const params = new URLSearchParams(window.location.search);
+  const stored = readStoredSettings();
+  const pick = (param, key, env) => params.get(param) ?? stored[key] ?? env ?? null;
+
+  const mode = pick('fixtures', 'mode', import.meta.env.VITE_FIXTURE_MODE);
+  const settings = {
+    mode: FIXTURE_MODES.includes(mode) ? mode : null,
+    delay: Math.max(0, parseInt(pick('fixtureDelay', 'delay', import.meta.env.VITE_FIXTURE_DELAY)) || 0),
+    rateLimit: Math.max(0, parseInt(pick('fixtureRateLimit', 'rateLimit', import.meta.env.VITE_FIXTURE_RATE_LIMIT)))
+  };
+  if (Number.isNaN(settings.rateLimit)) settings.rateLimit = null;
+
+  if (FIXTURE_PARAMS.some(param => params.has(param))) {
+    storeSettings({ ...settings, mode: settings.mode || 'off' });
+  }
+  return settings;
+};
+
+const settings = readSettings();
+
+export const FIXTURE_MODE = settings.mode;
+
+const emptyBundle = () => ({ version: BUNDLE_VERSION, recordedAt: null, responses: {} });
+
+let recording = emptyBundle();
+let bundlePromise = null;
+let replayedBundle = null;
+const listeners = new Set();
+
+let snapshot = null;
+const notify = () => {
+  snapshot = null;
+  listeners.forEach(listener => listener());
+};
+
+// { mode, delay, rateLimit, responses } for the fixture bar
+export const getFixtureState = () => {
+  if (!snapshot) {
+    const responses = FIXTURE_MODE === 'record' ? recording.responses : replayedBundle?.responses;
+    snapshot = { ...settings, responses: Object.keys(responses || {}).length };
+  }
+  return snapshot;
+};
+
+export const subscribeToFixtures = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+// Query parameters are sorted so the same request always finds its recording.
+// GraphQL requests all share one URL, so their body is part of the key.
+const requestKey = (url, { method = 'GET', body } = {}) => {
+  const { pathname, searchParams } = new URL(url);
+  searchParams.sort();
+  const query = searchParams.toString();
+  return `${method} ${pathname}${query ? `?${query}` : ''}${body ? ` ${body}` : ''}`;
+};
+
+// --- Recording ---
+
+export const getRecordedBundle = () => recording;
+
+export const clearRecording = () => {
+  recording = emptyBundle();
+  notify();
+};
+
+const record = async (url, init = {}) => {
+  // A conditional request can come back 304 with nothing worth recording
+  const headers = new Headers(init.headers);
+  headers.delete('If-None-Match');
+  headers.delete('If-Modified-Since');
+
+  const response = await fetch(url, { ...init, headers });
+  const key = requestKey(url, init);
+
+  // Only the headers GitHub exposes to browsers are readable, which covers ETags and rate limits
+  response.clone().text().then(body => {
+    const recordedHeaders = {};
+    response.headers.forEach((value, name) => {
+      recordedHeaders[name] = value;
+    });
+    recording = {
+      ...recording,
+      recordedAt: new Date().toISOString(),
+      responses: { ...recording.responses, [key]: { status: response.status, headers: recordedHeaders, body } }
+    };
+    notify();
+  }).catch(() => {
+    // Aborted before the body arrived
+  });
+
+  return response;
+};
+
+// --- Replay ---
+
+const parseBundle = (text) => {
+  const bundle = JSON.parse(text);
+  if (!bundle || typeof bundle.responses !== 'object') {
+    throw new Error(translate('fixtures.notABundle'));
+  }
+  return bundle;
+};
+
+const setReplayedBundle = (bundle) => {
+  replayedBundle = bundle;
+  notify();
+  return bundle;
+};
+
+// A bundle picked in the fixture bar is kept for the tab, otherwise VITE_FIXTURE_BUNDLE is fetched
+const loadBundle = () => {
+  if (!bundlePromise) {
+    let stored = null;
+    try {
+      stored = window.sessionStorage.getItem(BUNDLE_KEY);
+    } catch {
+      // Fall back to the bundle file
+    }
+
+    bundlePromise = (stored
+      ? Promise.resolve().then(() => parseBundle(stored))
+      : fetch(BUNDLE_URL).then(async (response) => {
+        if (!response.ok) throw new Error(`${BUNDLE_URL} answered ${response.status}`);
+        return parseBundle(await response.text());
+      })
+    ).catch(error => {
+      console.warn('No fixture bundle loaded, every request will answer 404:', error.message);
+      return emptyBundle();
+    }).then(setReplayedBundle);
+  }
+  return bundlePromise;
+};
+
+// Throws when the text isn't a bundle, so the caller can report it
+export const loadFixtureBundle = (text) => {
+  const bundle = parseBundle(text);
+  try {
+    window.sessionStorage.setItem(BUNDLE_KEY, text);
+  } catch {
+    // Too large for sessionStorage: the bundle lasts until the page reloads
+  }
+  bundlePromise = Promise.resolve(setReplayedBundle(bundle));
+};
+
+// Replay keeps its own budgets: the recorded reset times are long past and would have the
+// scheduler syncing in a loop
+const budgets = {};
+
+const resourceFor = (key, headers) => {
+  if (headers['x-ratelimit-resource']) return headers['x-ratelimit-resource'];
+  if (key.startsWith('POST ')) return 'graphql';
+  return key.includes('/search/') ? 'search' : 'core';
+};
+
+const budgetFor = (resource, recordedLimit) => {
+  const now = Date.now();
+  if (!budgets[resource] || now >= budgets[resource].reset) {
+    const limit = resource === 'core' && settings.rateLimit !== null
+      ? settings.rateLimit
+      : recordedLimit || DEFAULT_LIMITS[resource] || DEFAULT_LIMITS.core;
+    budgets[resource] = { limit, remaining: limit, reset: now + RATE_LIMIT_WINDOW };
+  }
+  return budgets[resource];
+};
+
+const rateLimitHeaders = (resource, { limit, remaining, reset }) => ({
+  'x-ratelimit-limit': String(limit),
+  'x-ratelimit-remaining': String(remaining),
+  'x-ratelimit-used': String(limit - remaining),
+  'x-ratelimit-reset': String(Math.ceil(reset / 1000)),
+  'x-ratelimit-resource': resource
+});
+
+// /rate_limit answers from the simulated budgets rather than the recording
+const rateLimitResponse = () => {
+  budgetFor('core');
+  const resources = Object.fromEntries(Object.entries(budgets).map(([resource, { limit, remaining, reset }]) => [
+    resource,
+    { limit, remaining, used: limit - remaining, reset: Math.ceil(reset / 1000) }
+  ]));
+  return new Response(JSON.stringify({ resources, rate: resources.core }), {
+    status: 200,
+    headers: { 'content-type': 'application/json; charset=utf-8' }
+  });
+};
+
+const abortError = (signal) => signal.reason ?? new DOMException('The request was aborted.', 'AbortError');
+
+const wait = (delay, signal) => new Promise((resolve, reject) => {
+  if (signal?.aborted) {
+    reject(abortError(signal));
+    return;
+  }
+  const timer = setTimeout(resolve, delay);
+  signal?.addEventListener('abort', () => {
+    clearTimeout(timer);
+    reject(abortError(signal));
+  }, { once: true });
+});
+
+const replay = async (url, init = {}) => {
+  await wait(settings.delay, init.signal);
+  const bundle = await loadBundle();
+
+  if (new URL(url).pathname.endsWith('/rate_limit')) {
+    return rateLimitResponse();
+  }
+
+  const key = requestKey(url, init);
+  const entry = bundle.responses[key];
+  if (!entry) {
+    console.warn(`No recorded response for ${key}`);
+  }
+
+  const { status, headers, body } = entry || NOT_FOUND;
+  const resource = resourceFor(key, headers);
+  const budget = budgetFor(resource, parseInt(headers['x-ratelimit-limit']));
+
+  // Revalidation still works against recorded ETags, and 304s don't count against the budget
+  if (headers.etag && new Headers(init.headers).get('If-None-Match') === headers.etag) {
+    return new Response(null, { status: 304, headers: { ...headers, ...rateLimitHeaders(resource, budget) } });
+  }
+
+  if (budget.remaining === 0) {
+    return new Response(RATE_LIMITED_BODY, {
+      status: 403,
+      headers: { 'content-type': 'application/json; charset=utf-8', ...rateLimitHeaders(resource, budget) }
+    });
+  }
+
+  budget.remaining -= 1;
+  return new Response(NULL_BODY_STATUSES.has(status) ? null : body, {
+    status,
+    headers: { ...headers, ...rateLimitHeaders(resource, budget) }
+  });
+};
+
+// Drop-in replacement for fetch() used for every GitHub API request
+export const fetchWithFixtures = (url, init) => {
+  if (FIXTURE_MODE === 'record') return record(url, init);
+  if (FIXTURE_MODE === 'replay') return replay(url, init);
+  return fetch(url, init);
+};
+
+// Returns to live requests; the reload also drops replayed data held in memory
+export const exitFixtureMode = () => {
+  storeSettings({ mode: 'off' });
+  try {
+    window.sessionStorage.removeItem(BUNDLE_KEY);
+  } catch {
+    // Nothing stored
+  }
+  const url = new URL(window.location.href);
+  FIXTURE_PARAMS.forEach(param => url.searchParams.delete(param));
+  window.location.assign(url);
+};
@@ -0,0 +1,229 @@
+// Shared GitHub API client used by every data fetch in the app
+import { getCacheGeneration, readCacheEntry, writeCacheEntry } from "./cache";
+import { fetchWithFixtures } from "./fixtures";
+import { createOfflineError, isOnline } from "./network";
+import { PRIORITY, RateLimitScheduler, resourceForPath } from "./scheduler";
+import { getRuntimeToken } from "./token";
+import { translate } from "../i18n";
+
+const DEFAULT_API_BASE_URL = 'https://api.github.com';
+const TOKEN_PLACEHOLDER = 'your_github_personal_access_token_here';
+
+const trimTrailingSlash = (url) => url.replace(/\/+$/, '');
+
+// github.com serves the API from api.github.com, GitHub Enterprise Server from <host>/api/v3
+const deriveWebBaseUrl = (apiBaseUrl) => {
+  const url = new URL(apiBaseUrl);
+  if (url.hostname === 'api.github.com') {
+    return 'https://github.com';
+  }
+  return trimTrailingSlash(`${url.origin}${url.pathname.replace(/\/api\/v3\/?$/, '')}`);
+};
+
+export const API_BASE_URL = trimTrailingSlash(
+  import.meta.env.VITE_API_BASE_URL || DEFAULT_API_BASE_URL
+);
+
+export const WEB_BASE_URL = trimTrailingSlash(
+  import.meta.env.VITE_GITHUB_WEB_URL || deriveWebBaseUrl(API_BASE_URL)
+);
+
+// github.com serves GraphQL from api.github.com/graphql, GitHub Enterprise Server from <host>/api/graphql
+export const GRAPHQL_URL = `${API_BASE_URL.replace(/\/v3$/, '')}/graphql`;
+
+// Build an API URL from a path and optional query parameters
+export const apiUrl = (path, params = {}) => {
+  const url = new URL(`${API_BASE_URL}${path}`);
+  Object.entries(params).forEach(([key, value]) => {
+    if (value !== undefined && value !== null && value !== '') {
+      url.searchParams.set(key, value);
+    }
+  });
+  return url.toString();
+};
+
+// Build a link to the GitHub web UI, e.g. webUrl(login) or webUrl(`${login}?tab=repositories`)
+export const webUrl = (path = '') => `${WEB_BASE_URL}/${path.replace(/^\/+/, '')}`;
+
+const getBuildTimeToken = () => {
+  const token = import.meta.env.VITE_GITHUB_TOKEN;
+  return token && token !== TOKEN_PLACEHOLDER ? token : null;
+};
+
+export const hasBuildTimeToken = () => getBuildTimeToken() !== null;
+
+// A token saved in the settings panel takes precedence over VITE_GITHUB_TOKEN
+export const getGitHubToken = () => getRuntimeToken()?.token || getBuildTimeToken();
+
+export const hasGitHubToken = () => getGitHubToken() !== null;
+
+// GitHub API headers with optional token
+export const getGitHubHeaders = (token = getGitHubToken()) => {
+  const headers = {
+    'Accept': 'application/vnd.github.v3+json',
+    'User-Agent': 'GitHub-Profile-Finder'
+  };
+
+  if (token) {
+    headers['Authorization'] = `token ${token}`;
+  }
+
+  return headers;
+};
+
+// GitHub-Authentication-Token-Expiration looks like "2025-06-30 12:00:00 UTC" or "... -0700"
+const parseTokenExpiration = (value) => {
+  const date = new Date(value
+    .replace(' ', 'T')
+    .replace(/ UTC$/, 'Z')
+    .replace(/ ([+-]\d{2})(\d{2})$/, '$1:$2'));
+  return Number.isNaN(date.getTime()) ? null : date.toISOString();
+};
+
+// Check a token against /user before switching to it. This spends the new token's budget,
+// not the current one, so it skips the scheduler.
+export const validateGitHubToken = async (token, { signal } = {}) => {
+  const response = await fetchWithFixtures(apiUrl('/user'), { signal, headers: getGitHubHeaders(token) });
+
+  if (!response.ok) {
+    throw new Error(response.status === 401
+      ? translate('errors.tokenRejected')
+      : `GitHub API error: ${response.status}`);
+  }
+
+  const user = await response.json();
+  const scopes = response.headers.get('X-OAuth-Scopes');
+  const expiration = response.headers.get('GitHub-Authentication-Token-Expiration');
+
+  return {
+    token,
+    login: user.login,
+    avatarUrl: user.avatar_url,
+    // Fine-grained tokens send no X-OAuth-Scopes header
+    scopes: scopes === null ? null : scopes.split(',').map(scope => scope.trim()).filter(Boolean),
+    expiresAt: expiration ? parseTokenExpiration(expiration) : null
+  };
+};
+
+// Every request goes through one scheduler so each rate limit bucket is tracked across the app
+export const rateLimitScheduler = new RateLimitScheduler(
+  () => fetchWithFixtures(apiUrl('/rate_limit'), { headers: getGitHubHeaders() })
+);
+
+export const githubFetch = (path, { params, signal, headers, priority = PRIORITY.normal } = {}) => {
+  return rateLimitScheduler.schedule(resourceForPath(path), priority, () => fetchWithFixtures(apiUrl(path, params), {
+    signal,
+    headers: { ...getGitHubHeaders(), ...headers }
+  }), signal);
+};
+
+// GraphQL v4 only accepts authenticated requests, so callers check hasGitHubToken() first
+export const graphqlFetch = (query, variables, { signal, priority = PRIORITY.normal } = {}) => {
+  return rateLimitScheduler.schedule('graphql', priority, () => fetchWithFixtures(GRAPHQL_URL, {
+    method: 'POST',
+    signal,
+    headers: { ...getGitHubHeaders(), 'Content-Type': 'application/json' },
+    body: JSON.stringify({ query, variables })
+  }), signal);
+};
+
+const isFresh = (entry, ttl) => Date.now() - entry.storedAt < ttl;
+
+// Store data loaded some other way, e.g. through GraphQL, under the key a REST fetch would use.
+// since is the cache generation the data was requested in; nothing is stored after a clear.
+export const primeCache = (key, data, storedAt, memoryCache, since = getCacheGeneration()) => {
+  if (since !== getCacheGeneration()) return;
+  const entry = { key, data, etag: null, lastModified: null, storedAt };
+  memoryCache.set(key, entry);
+  writeCacheEntry(entry, since);
+};
+
+// Fetch through the in-memory LRU and the persistent cache.
+// Fresh entries are returned as is; stale ones are handed to onStale for display and then
+// revalidated with If-None-Match / If-Modified-Since, since 304 responses don't count
+// against the rate limit. onMiss runs when there is nothing cached to show meanwhile.
+// priority is passed to the rate limit scheduler; request replaces the REST GET, e.g. for GraphQL.
+// parse reads the body, e.g. response.text() for the HTML media type.
+// persist: false keeps the entry in memoryCache only, for private data that must not reach disk.
+// Offline, or when the network fails, cached entries are served however old they are.
+// Resolves to { ok, data, storedAt, offline } or { ok: false, response, data }.
+export const cachedGithubFetch = async (key, path, {
+  params,
+  signal,
+  ttl,
+  memoryCache,
+  headers,
+  parse = (response) => response.json(),
+  transform = (data) => data,
+  onResponse,
+  onStale,
+  onMiss,
+  priority,
+  persist = true,
+  request = (conditionalHeaders) => githubFetch(path, {
+    params,
+    signal,
+    headers: { ...headers, ...conditionalHeaders },
+    priority
+  })
+}) => {
+  const generation = getCacheGeneration();
+  let entry = memoryCache.get(key) || (persist ? await readCacheEntry(key) : null);
+
+  if (entry) {
+    memoryCache.set(key, entry);
+    if (isFresh(entry, ttl)) {
+      return { ok: true, data: entry.data, storedAt: entry.storedAt };
+    }
+    if (!isOnline()) {
+      return { ok: true, data: entry.data, storedAt: entry.storedAt, offline: true };
+    }
+    onStale?.(entry);
+  } else if (!isOnline()) {
+    throw createOfflineError();
+  } else {
+    onMiss?.();
+  }
+
+  const conditionalHeaders = {};
+  if (entry?.etag) {
+    conditionalHeaders['If-None-Match'] = entry.etag;
+  } else if (entry?.lastModified) {
+    conditionalHeaders['If-Modified-Since'] = entry.lastModified;
+  }
+
+  let response;
+  try {
+    response = await request(conditionalHeaders);
+  } catch (error) {
+    // A dropped connection fails with a TypeError; fall back to the cached copy
+    if (entry && error.name !== 'AbortError') {
+      return { ok: true, data: entry.data, storedAt: entry.storedAt, offline: true };
+    }
+    throw error;
+  }
+  onResponse?.(response);
+
+  if (response.status === 304 && entry) {
+    entry = { ...entry, storedAt: Date.now() };
+  } else if (response.ok) {
+    entry = {
+      key,
+      data: transform(await parse(response)),
+      etag: response.headers.get('ETag'),
+      lastModified: response.headers.get('Last-Modified'),
+      storedAt: Date.now()
+    };
+  } else {
+    const data = await response.json().catch(() => null);
+    return { ok: false, response, data };
+  }
+
+  // The caches were cleared meanwhile, e.g. for another token: hand the data over, don't keep it
+  if (generation !== getCacheGeneration()) {
+    return { ok: true, data: entry.data, storedAt: entry.storedAt };
+  }
+  memoryCache.set(key, entry);
+  if (persist) writeCacheEntry(entry, generation);
+  return { ok: true, data: entry.data, storedAt: entry.storedAt };
+};
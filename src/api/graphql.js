@@ -0,0 +1,133 @@
+// GraphQL v4 profile query for token holders, mapped into the REST shapes the views already use
+import { graphqlFetch } from "./github";
+
+const TOP_REPOSITORY_COUNT = 8;
+
+export const PROFILE_QUERY = `
+  fragment RepositoryFields on Repository {
+    databaseId
+    name
+    nameWithOwner
+    description
+    url
+    homepageUrl
+    stargazerCount
+    forkCount
+    isFork
+    isArchived
+    createdAt
+    pushedAt
+    updatedAt
+    primaryLanguage { name }
+    repositoryTopics(first: 20) { nodes { topic { name } } }
+  }
+
+  query Profile($login: String!, $repositoryCount: Int!) {
+    user(login: $login) {
+      databaseId
+      login
+      name
+      avatarUrl
+      url
+      company
+      websiteUrl
+      location
+      email
+      bio
+      twitterUsername
+      isHireable
+      createdAt
+      updatedAt
+      followers { totalCount }
+      following { totalCount }
+      gists(privacy: PUBLIC) { totalCount }
+      repositories(
+        first: $repositoryCount
+        privacy: PUBLIC
+        ownerAffiliations: [OWNER]
+        orderBy: { field: UPDATED_AT, direction: DESC }
+      ) {
+        totalCount
+        nodes {
+          ...RepositoryFields
+          languages(first: 25, orderBy: { field: SIZE, direction: DESC }) { edges { size node { name } } }
+        }
+      }
+      pinnedItems(first: 6, types: [REPOSITORY]) {
+        nodes { ... on Repository { ...RepositoryFields } }
+      }
+    }
+  }
+`;
+
+// Same fields as formatRepository
+const mapRepository = (repo) => ({
+  id: repo.databaseId,
+  name: repo.name,
+  full_name: repo.nameWithOwner,
+  description: repo.description,
+  html_url: repo.url,
+  homepage: repo.homepageUrl,
+  language: repo.primaryLanguage?.name || null,
+  stargazers_count: repo.stargazerCount,
+  forks_count: repo.forkCount,
+  fork: repo.isFork,
+  archived: repo.isArchived,
+  created_at: repo.createdAt,
+  pushed_at: repo.pushedAt,
+  updated_at: repo.updatedAt,
+  topics: repo.repositoryTopics.nodes.map(node => node.topic.name)
+});
+
+// Matches the { language: bytes } map /repos/:owner/:repo/languages returns
+const mapLanguages = (repo) => Object.fromEntries(repo.languages.edges.map(edge => [edge.node.name, edge.size]));
+
+// Matches the /users/:login response; GraphQL returns '' rather than null for hidden fields
+const mapUser = (user) => ({
+  id: user.databaseId,
+  login: user.login,
+  type: 'User',
+  name: user.name || null,
+  avatar_url: user.avatarUrl,
+  html_url: user.url,
+  company: user.company || null,
+  blog: user.websiteUrl || '',
+  location: user.location || null,
+  email: user.email || null,
+  bio: user.bio || null,
+  twitter_username: user.twitterUsername || null,
+  hireable: user.isHireable || null,
+  public_repos: user.repositories.totalCount,
+  public_gists: user.gists.totalCount,
+  followers: user.followers.totalCount,
+  following: user.following.totalCount,
+  created_at: user.createdAt,
+  updated_at: user.updatedAt
+});
+
+// Organizations and unknown logins come back as user: null with a NOT_FOUND error on that path
+const isMissingUser = (error) => error.type === 'NOT_FOUND' && error.path?.[0] === 'user';
+
+// Resolves to null for organizations and unknown logins so callers fall back to REST. Any other
+// error arrives with HTTP 200 too (rate limits, timeouts, partial data); it throws instead, so
+// the failure is never cached as a profile without a GraphQL answer.
+export const mapProfile = (body) => {
+  const errors = body?.errors || [];
+  if (errors.length > 0 && !errors.every(isMissingUser)) {
+    throw new Error(`GraphQL error: ${errors.map(error => error.message).join('; ')}`);
+  }
+
+  const user = body?.data?.user;
+  if (!user) return null;
+
+  return {
+    user: mapUser(user),
+    repositories: user.repositories.nodes.map(mapRepository),
+    repositoryLanguages: Object.fromEntries(user.repositories.nodes.map(repo => [repo.nameWithOwner, mapLanguages(repo)])),
+    pinnedRepositories: user.pinnedItems.nodes.map(mapRepository)
+  };
+};
+
+export const fetchProfile = (login, { signal, priority } = {}) => {
+  return graphqlFetch(PROFILE_QUERY, { login, repositoryCount: TOP_REPOSITORY_COUNT }, { signal, priority });
+};
@@ -0,0 +1,24 @@
+// Connection state as the browser reports it; cachedGithubFetch serves cached data while offline
+import { FIXTURE_MODE } from "./fixtures";
+import { translate } from "../i18n";
+
+// Replayed fixtures need no connection, so replay always counts as online
+export const isOnline = () => navigator.onLine || FIXTURE_MODE === 'replay';
+
+export const subscribeToNetworkStatus = (listener) => {
+  window.addEventListener('online', listener);
+  window.addEventListener('offline', listener);
+  return () => {
+    window.removeEventListener('online', listener);
+    window.removeEventListener('offline', listener);
+  };
+};
+
+// Checked by name like AbortError, so callers can tell "not cached yet" from real failures
+export const OFFLINE_ERROR = 'OfflineError';
+
+export const createOfflineError = () => {
+  const error = new Error(translate('errors.offline'));
+  error.name = OFFLINE_ERROR;
+  return error;
+};
@@ -0,0 +1,177 @@
+// Client-side scheduler for GitHub's separate rate limit buckets (core, search and graphql).
+// Urgent requests are always sent; normal ones wait while their bucket is empty and low
+// priority ones keep a reserve free, so autocomplete can't starve profile loads.
+// Waiting requests are released in priority order once the bucket resets.
+
+export const PRIORITY = {
+  urgent: 0,
+  normal: 1,
+  low: 2
+};
+
+const TRACKED_RESOURCES = ['core', 'search', 'graphql'];
+
+// Calls low priority requests leave for everything else
+const LOW_PRIORITY_RESERVE = {
+  core: 10,
+  search: 3,
+  graphql: 100
+};
+
+// Classify a REST path the way GitHub does, before any response has named the bucket
+export const resourceForPath = (path) => (path.startsWith('/search/') ? 'search' : 'core');
+
+const abortError = (signal) => signal.reason ?? new DOMException('The request was aborted.', 'AbortError');
+
+export class RateLimitScheduler {
+  constructor(syncRequest) {
+    this.syncRequest = syncRequest;
+    this.buckets = {};
+    this.queue = [];
+    this.resetTimers = {};
+    this.listeners = new Set();
+  }
+
+  // useSyncExternalStore interface
+  subscribe = (listener) => {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  };
+
+  getSnapshot = () => this.buckets;
+
+  notify() {
+    this.listeners.forEach(listener => listener());
+  }
+
+  setBucket(resource, changes) {
+    const bucket = { limit: null, remaining: null, resetTime: null, queued: 0, ...this.buckets[resource], ...changes };
+    bucket.queued = this.queue.filter(item => item.resource === resource).length;
+    this.buckets = { ...this.buckets, [resource]: bucket };
+    this.scheduleReset(resource);
+    this.notify();
+  }
+
+  // Only used buckets need a timer; a full one has nothing to reset
+  scheduleReset(resource) {
+    const { limit, remaining, resetTime } = this.buckets[resource];
+    clearTimeout(this.resetTimers[resource]);
+    if (!resetTime || remaining === null || remaining >= limit) return;
+
+    this.resetTimers[resource] = setTimeout(() => this.handleReset(resource), Math.max(0, resetTime - Date.now()) + 1000);
+  }
+
+  async handleReset(resource) {
+    const synced = await this.sync();
+    if (!synced) {
+      const { limit } = this.buckets[resource];
+      this.setBucket(resource, { remaining: limit, resetTime: null });
+      this.drain();
+    }
+  }
+
+  canRun(resource, priority) {
+    const { remaining } = this.buckets[resource] || {};
+    if (priority === PRIORITY.urgent || remaining === null || remaining === undefined) return true;
+    if (priority === PRIORITY.low) return remaining > LOW_PRIORITY_RESERVE[resource];
+    return remaining > 0;
+  }
+
+  // Resolves to the fetch Response once the request has been sent
+  schedule(resource, priority, run, signal) {
+    const waitingAhead = this.queue.some(item => item.resource === resource && item.priority <= priority);
+    if (!waitingAhead && this.canRun(resource, priority)) {
+      return this.dispatch(resource, run);
+    }
+
+    return new Promise((resolve, reject) => {
+      if (signal?.aborted) {
+        reject(abortError(signal));
+        return;
+      }
+
+      const item = { resource, priority, run, resolve, reject };
+      const cancel = () => {
+        this.queue = this.queue.filter(entry => entry !== item);
+        this.setBucket(resource, {});
+        reject(abortError(signal));
+      };
+      signal?.addEventListener('abort', cancel, { once: true });
+      item.cleanup = () => signal?.removeEventListener('abort', cancel);
+
+      // Stable sort keeps requests of the same priority in arrival order
+      this.queue = [...this.queue, item].sort((a, b) => a.priority - b.priority);
+      this.setBucket(resource, {});
+    });
+  }
+
+  async dispatch(resource, run) {
+    // Count the call right away so concurrent requests see it; the response corrects it
+    const { remaining } = this.buckets[resource] || {};
+    this.setBucket(resource, remaining > 0 ? { remaining: remaining - 1 } : {});
+
+    const response = await run();
+    this.update(response, resource);
+    return response;
+  }
+
+  drain() {
+    [...this.queue].forEach(item => {
+      if (!this.canRun(item.resource, item.priority)) return;
+
+      this.queue = this.queue.filter(entry => entry !== item);
+      item.cleanup();
+      this.dispatch(item.resource, item.run).then(item.resolve, item.reject);
+    });
+  }
+
+  // Read the X-RateLimit-* headers of any response
+  update(response, fallbackResource) {
+    const remaining = response.headers.get('X-RateLimit-Remaining');
+    if (remaining === null) return;
+
+    const resource = response.headers.get('X-RateLimit-Resource') || fallbackResource;
+    if (!TRACKED_RESOURCES.includes(resource)) return;
+
+    this.setBucket(resource, {
+      limit: parseInt(response.headers.get('X-RateLimit-Limit')),
+      remaining: parseInt(remaining),
+      resetTime: new Date(parseInt(response.headers.get('X-RateLimit-Reset')) * 1000)
+    });
+    this.drain();
+  }
+
+  // /rate_limit doesn't count against any bucket
+  async sync() {
+    try {
+      const response = await this.syncRequest();
+      if (!response.ok) return false;
+
+      const { resources } = await response.json();
+      TRACKED_RESOURCES.forEach(resource => {
+        const bucket = resources[resource];
+        if (!bucket || bucket.limit === 0) return;
+
+        this.setBucket(resource, {
+          limit: bucket.limit,
+          remaining: bucket.remaining,
+          resetTime: new Date(bucket.reset * 1000)
+        });
+      });
+      this.drain();
+      return true;
+    } catch (error) {
+      console.error('Error syncing rate limits:', error.message);
+      return false;
+    }
+  }
+
+  // Forget every bucket, e.g. after switching tokens; waiting requests are retried right away
+  reset() {
+    Object.values(this.resetTimers).forEach(clearTimeout);
+    this.resetTimers = {};
+    this.buckets = {};
+    this.drain();
+    this.notify();
+  }
+}
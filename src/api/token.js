@@ -0,0 +1,71 @@
+// Token chosen at runtime in the settings panel; VITE_GITHUB_TOKEN remains the build-time fallback
+const STORAGE_KEY = 'github-profile-finder-token';
+
+// Where a token can be kept; labelled through the settings.storage.* catalog keys
+export const TOKEN_STORAGE = ['memory', 'session', 'local'];
+
+// Storage can be unavailable, e.g. with cookies blocked
+const storageFor = (mode) => {
+  try {
+    if (mode === 'local') return window.localStorage;
+    if (mode === 'session') return window.sessionStorage;
+  } catch {
+    // Fall through to memory only
+  }
+  return null;
+};
+
+const readStoredToken = () => {
+  for (const mode of ['session', 'local']) {
+    try {
+      const stored = storageFor(mode)?.getItem(STORAGE_KEY);
+      if (stored) return { ...JSON.parse(stored), storage: mode };
+    } catch {
+      storageFor(mode)?.removeItem(STORAGE_KEY);
+    }
+  }
+  return null;
+};
+
+const removeStoredTokens = () => {
+  ['session', 'local'].forEach(mode => {
+    try {
+      storageFor(mode)?.removeItem(STORAGE_KEY);
+    } catch {
+      // Nothing stored there
+    }
+  });
+};
+
+// { token, login, avatarUrl, scopes, expiresAt, storage } or null
+let runtimeToken = readStoredToken();
+const listeners = new Set();
+
+const notify = () => listeners.forEach(listener => listener());
+
+export const getRuntimeToken = () => runtimeToken;
+
+export const subscribeToRuntimeToken = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+export const saveRuntimeToken = (details, storage) => {
+  removeStoredTokens();
+  const target = storageFor(storage);
+  let storedIn = target ? storage : 'memory';
+  try {
+    target?.setItem(STORAGE_KEY, JSON.stringify(details));
+  } catch (error) {
+    console.error('Error storing token, keeping it in memory:', error.message);
+    storedIn = 'memory';
+  }
+  runtimeToken = { ...details, storage: storedIn };
+  notify();
+};
+
+export const clearRuntimeToken = () => {
+  removeStoredTokens();
+  runtimeToken = null;
+  notify();
+};
@@ -0,0 +1,53 @@
+// Persistent watchlist and the profile snapshots taken on each visit
+import { STORES, runRequest } from "./database";
+
+const MAX_SNAPSHOTS = 100;
+
+// Revisiting a profile within this window doesn't add another snapshot
+const SNAPSHOT_INTERVAL = 60 * 60 * 1000;
+
+const byTakenAt = (a, b) => a.takenAt - b.takenAt;
+
+// Entries look like { key, login, addedAt }
+export const readWatchlist = async () => {
+  const entries = await runRequest(STORES.watchlist, 'readonly', store => store.getAll());
+  return (entries || []).sort((a, b) => a.addedAt - b.addedAt);
+};
+
+export const addToWatchlist = async (login) => {
+  const entry = { key: login.toLowerCase(), login, addedAt: Date.now() };
+  await runRequest(STORES.watchlist, 'readwrite', store => store.put(entry));
+  return entry;
+};
+
+export const removeFromWatchlist = async (login) => {
+  const key = login.toLowerCase();
+  await runRequest(STORES.watchlist, 'readwrite', store => store.delete(key));
+
+  const ids = await runRequest(STORES.snapshots, 'readonly', store => store.index('key').getAllKeys(key));
+  await Promise.all((ids || []).map(id => runRequest(STORES.snapshots, 'readwrite', store => store.delete(id))));
+};
+
+// Oldest first
+export const readSnapshots = async (login) => {
+  const snapshots = await runRequest(STORES.snapshots, 'readonly', store => store.index('key').getAll(login.toLowerCase()));
+  return (snapshots || []).sort(byTakenAt);
+};
+
+// Store a snapshot unless the latest one is recent, keeping the newest MAX_SNAPSHOTS.
+// Resolves to every snapshot of the profile, oldest first.
+export const recordSnapshot = async (snapshot) => {
+  const snapshots = await readSnapshots(snapshot.login);
+  const latest = snapshots[snapshots.length - 1];
+  if (latest && snapshot.takenAt - latest.takenAt < SNAPSHOT_INTERVAL) {
+    return snapshots;
+  }
+
+  const id = await runRequest(STORES.snapshots, 'readwrite', store => store.add(snapshot));
+  const updated = [...snapshots, { ...snapshot, id }];
+
+  const expired = updated.slice(0, Math.max(0, updated.length - MAX_SNAPSHOTS));
+  await Promise.all(expired.map(({ id }) => runRequest(STORES.snapshots, 'readwrite', store => store.delete(id))));
+
+  return updated.slice(expired.length);
+};
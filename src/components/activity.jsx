@@ -0,0 +1,145 @@
+import { useCallback, useMemo, useState } from "react";
+import { CACHE_TTL } from "../api/cache";
+import useAsyncData from "../hooks/useAsyncData";
+import useTranslation from "../hooks/useTranslation";
+import {
+  EVENT_TYPES,
+  EVENTS_PER_PAGE,
+  MAX_EVENT_PAGES,
+  describeEvent,
+  groupEventsByDay
+} from "../utils/events";
+import { formatDate } from "../utils/format";
+
+export default function ActivityFeed({ user, fetchResource, onClose }) {
+  const { t } = useTranslation();
+  const { login, avatar_url } = user;
+  const [pageCount, setPageCount] = useState(1);
+  const [typeFilter, setTypeFilter] = useState('');
+  const [repoFilter, setRepoFilter] = useState('');
+
+  // Earlier pages come from the cache when more are loaded
+  const loadEvents = useCallback(async (signal) => {
+    const pages = [];
+    for (let page = 1; page <= pageCount; page++) {
+      pages.push(await fetchResource(
+        `events_${login.toLowerCase()}_page_${page}`,
+        `/users/${encodeURIComponent(login)}/events/public`,
+        {
+          params: { per_page: EVENTS_PER_PAGE, page },
+          signal,
+          ttl: CACHE_TTL.events
+        }
+      ));
+    }
+    return pages;
+  }, [fetchResource, login, pageCount]);
+
+  const { data: pages, loading, error } = useAsyncData(loadEvents);
+
+  const events = useMemo(() => (pages || []).flat(), [pages]);
+  const hasMore = pageCount < MAX_EVENT_PAGES && pages?.[pages.length - 1]?.length === EVENTS_PER_PAGE;
+
+  const { types, repos } = useMemo(() => ({
+    types: [...new Set(events.map(event => event.type))],
+    repos: [...new Set(events.map(event => event.repo.name))].sort()
+  }), [events]);
+
+  const dayGroups = useMemo(() => {
+    const filtered = events.filter(event =>
+      (!typeFilter || event.type === typeFilter) && (!repoFilter || event.repo.name === repoFilter)
+    );
+    return groupEventsByDay(filtered);
+  }, [events, typeFilter, repoFilter]);
+
+  return (
+    <div className="repositories-section activity-section">
+      <div className="section-header">
+        <h3 className="section-title">
+          <img src={avatar_url} alt={login} className="browser-avatar" />
+          {t('activity.title', { login })}
+          <span className="repo-count">{t('activity.count', { count: events.length })}</span>
+        </h3>
+        {loading && (
+          <div className="repo-loading">
+            <span className="loading-dots">{t('activity.loading')}</span>
+          </div>
+        )}
+        <button className="view-all-repos" onClick={onClose}>
+          {t('common.backToProfile')}
+        </button>
+      </div>
+
+      <div className="repo-filters">
+        <label>
+          {t('activity.eventType')}
+          <select value={typeFilter} onChange={(e) => setTypeFilter(e.target.value)}>
+            <option value="">{t('activity.allEvents')}</option>
+            {types.map(type => (
+              <option key={type} value={type}>{EVENT_TYPES.includes(type) ? t(`events.type.${type}`) : type}</option>
+            ))}
+          </select>
+        </label>
+        <label>
+          {t('activity.repository')}
+          <select value={repoFilter} onChange={(e) => setRepoFilter(e.target.value)}>
+            <option value="">{t('activity.allRepositories')}</option>
+            {repos.map(repo => (
+              <option key={repo} value={repo}>{repo}</option>
+            ))}
+          </select>
+        </label>
+      </div>
+
+      {error && (
+        <div className="error-message">
+          <p>{error}</p>
+        </div>
+      )}
+
+      {!loading && !error && dayGroups.length === 0 && (
+        <div className="no-repos-message">
+          <p>{t('activity.empty')}</p>
+        </div>
+      )}
+
+      <div className="activity-timeline">
+        {dayGroups.map(({ day, events: dayEvents }) => (
+          <div key={day} className="activity-day">
+            <h4 className="activity-day-title">
+              {formatDate(day, { weekday: 'long', month: 'short', day: 'numeric', year: 'numeric' })}
+            </h4>
+            <ul className="activity-list">
+              {dayEvents.map(event => {
+                const { icon, summary, url } = describeEvent(event, t);
+                return (
+                  <li key={event.id} className="activity-item">
+                    <span className="activity-icon">{icon}</span>
+                    <a href={url} target="_blank" rel="noopener noreferrer" className="detail-link">
+                      {summary}
+                    </a>
+                    <span className="activity-time">
+                      {formatDate(event.created_at, { hour: '2-digit', minute: '2-digit' })}
+                    </span>
+                  </li>
+                );
+              })}
+            </ul>
+          </div>
+        ))}
+      </div>
+
+      {hasMore && (
+        <div className="view-more-repos">
+          <button
+            className="view-all-repos"
+            disabled={loading}
+            onClick={() => setPageCount(count => count + 1)}
+          >
+            {t('activity.loadOlder')}
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
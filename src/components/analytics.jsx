@@ -0,0 +1,221 @@
+import { useCallback, useEffect, useMemo, useState } from "react";
+import { CACHE_TTL } from "../api/cache";
+import useAsyncData from "../hooks/useAsyncData";
+import useTranslation from "../hooks/useTranslation";
+import LanguageBar from "./languagebar";
+import {
+  addLanguageBytes,
+  countPrimaryLanguages,
+  countTopics,
+  formatBytes,
+  rankTally,
+  sumStarsByLanguage
+} from "../utils/analytics";
+import { formatNumber } from "../utils/format";
+import { getLanguageColor } from "../utils/languages";
+import { fetchAllRepositories } from "../utils/repositories";
+
+// Byte counts cost one request per repository, so cap them and leave headroom in the rate limit
+const MAX_LANGUAGE_REQUESTS = 100;
+const RATE_LIMIT_RESERVE = 10;
+const MAX_TOPICS = 40;
+
+export default function LanguageAnalytics({ user, rateLimitRemaining, fetchRepositoryPage, fetchResource, onClose }) {
+  const { t } = useTranslation();
+  const { login, avatar_url } = user;
+  const [breakdownMode, setBreakdownMode] = useState('bytes');
+  const [languageBytes, setLanguageBytes] = useState({ tally: {}, analyzed: 0, planned: 0, loading: false });
+
+  const loadRepositories = useCallback((signal) => {
+    return fetchAllRepositories(fetchRepositoryPage, login, signal);
+  }, [fetchRepositoryPage, login]);
+
+  const { data: repositories, loading, error } = useAsyncData(loadRepositories);
+
+  // Budget is fixed when the repositories arrive so the loop doesn't restart on every response
+  const [byteBudget, setByteBudget] = useState(null);
+  useEffect(() => {
+    if (!repositories || byteBudget !== null) return;
+    const available = rateLimitRemaining === null ? MAX_LANGUAGE_REQUESTS : rateLimitRemaining - RATE_LIMIT_RESERVE;
+    setByteBudget(Math.max(0, Math.min(MAX_LANGUAGE_REQUESTS, available)));
+  }, [repositories, rateLimitRemaining, byteBudget]);
+
+  // Sum byte counts from /repos/:owner/:repo/languages, most-starred source repositories first
+  useEffect(() => {
+    if (!repositories || byteBudget === null) return;
+
+    const controller = new AbortController();
+    const planned = repositories
+      .filter(repo => !repo.fork)
+      .sort((a, b) => b.stargazers_count - a.stargazers_count)
+      .slice(0, byteBudget);
+
+    const loadLanguageBytes = async () => {
+      setLanguageBytes({ tally: {}, analyzed: 0, planned: planned.length, loading: true });
+
+      for (const repo of planned) {
+        try {
+          const repoLanguages = await fetchResource(
+            `languages_${repo.full_name.toLowerCase()}`,
+            `/repos/${repo.full_name}/languages`,
+            { signal: controller.signal, ttl: CACHE_TTL.languages }
+          );
+          if (controller.signal.aborted) return;
+
+          setLanguageBytes(prev => ({
+            ...prev,
+            tally: addLanguageBytes(prev.tally, repoLanguages),
+            analyzed: prev.analyzed + 1
+          }));
+        } catch (error) {
+          if (controller.signal.aborted) return;
+          // Stop early (e.g. rate limited) and keep what was gathered so far
+          console.error('Error fetching repository languages:', error.message);
+          break;
+        }
+      }
+
+      setLanguageBytes(prev => ({ ...prev, loading: false }));
+    };
+
+    loadLanguageBytes();
+    return () => controller.abort();
+  }, [repositories, byteBudget, fetchResource]);
+
+  const stats = useMemo(() => {
+    if (!repositories) return null;
+    return {
+      languages: rankTally(countPrimaryLanguages(repositories)),
+      stars: rankTally(sumStarsByLanguage(repositories)).filter(entry => entry.value > 0),
+      topics: rankTally(countTopics(repositories)).slice(0, MAX_TOPICS)
+    };
+  }, [repositories]);
+
+  const byteEntries = useMemo(() => rankTally(languageBytes.tally), [languageBytes.tally]);
+  const breakdown = breakdownMode === 'bytes' ? byteEntries : stats?.languages || [];
+  const maxStars = stats?.stars[0]?.value || 1;
+  const maxTopicCount = stats?.topics[0]?.value || 1;
+
+  return (
+    <div className="repositories-section analytics-section">
+      <div className="section-header">
+        <h3 className="section-title">
+          <img src={avatar_url} alt={login} className="browser-avatar" />
+          {t('analytics.title', { login })}
+          {repositories && (
+            <span className="repo-count">{t('analytics.count', { count: repositories.length })}</span>
+          )}
+        </h3>
+        {(loading || languageBytes.loading) && (
+          <div className="repo-loading">
+            <span className="loading-dots">
+              {loading
+                ? t('user.loadingRepos')
+                : t('analytics.analyzing', { analyzed: languageBytes.analyzed, planned: languageBytes.planned })}
+            </span>
+          </div>
+        )}
+        <button className="view-all-repos" onClick={onClose}>
+          {t('common.backToProfile')}
+        </button>
+      </div>
+
+      {error && (
+        <div className="error-message">
+          <p>{error}</p>
+        </div>
+      )}
+
+      {stats && (
+        <>
+          <div className="analytics-card">
+            <div className="analytics-card-header">
+              <h4 className="details-title">{t('analytics.breakdown')}</h4>
+              <div className="connection-tabs">
+                <button
+                  className={`history-item connection-tab ${breakdownMode === 'bytes' ? 'active' : ''}`}
+                  onClick={() => setBreakdownMode('bytes')}
+                >
+                  {t('analytics.byBytes')}
+                </button>
+                <button
+                  className={`history-item connection-tab ${breakdownMode === 'repos' ? 'active' : ''}`}
+                  onClick={() => setBreakdownMode('repos')}
+                >
+                  {t('analytics.byRepos')}
+                </button>
+              </div>
+            </div>
+
+            {breakdown.length > 0 ? (
+              <>
+                <LanguageBar entries={breakdown} />
+                <ul className="language-legend">
+                  {breakdown.map(({ name, value, share }) => (
+                    <li key={name} className="repo-language">
+                      <span className="language-dot" style={{ backgroundColor: getLanguageColor(name) }}></span>
+                      <span className="language-name">{name}</span>
+                      <span className="legend-value">
+                        {(share * 100).toFixed(1)}% · {breakdownMode === 'bytes' ? formatBytes(value) : t('analytics.repoCount', { count: value })}
+                      </span>
+                    </li>
+                  ))}
+                </ul>
+              </>
+            ) : (
+              <p className="connections-note">{t('analytics.noLanguages')}</p>
+            )}
+
+            {breakdownMode === 'bytes' && languageBytes.planned < repositories.filter(repo => !repo.fork).length && (
+              <p className="connections-note">
+                {t('analytics.bytesCapped', { count: languageBytes.planned })}
+              </p>
+            )}
+          </div>
+
+          <div className="analytics-card">
+            <h4 className="details-title">{t('analytics.stars')}</h4>
+            {stats.stars.length > 0 ? (
+              <div className="star-bars">
+                {stats.stars.map(({ name, value }) => (
+                  <div key={name} className="star-bar-row">
+                    <span className="star-bar-label">{name}</span>
+                    <span className="star-bar-track">
+                      <span
+                        className="star-bar-fill"
+                        style={{ width: `${(value / maxStars) * 100}%`, backgroundColor: getLanguageColor(name) }}
+                      ></span>
+                    </span>
+                    <span className="legend-value">⭐ {formatNumber(value)}</span>
+                  </div>
+                ))}
+              </div>
+            ) : (
+              <p className="connections-note">{t('analytics.noStars')}</p>
+            )}
+          </div>
+
+          <div className="analytics-card">
+            <h4 className="details-title">{t('analytics.topics')}</h4>
+            {stats.topics.length > 0 ? (
+              <div className="topic-cloud">
+                {stats.topics.map(({ name, value }) => (
+                  <span
+                    key={name}
+                    className="topic-tag"
+                    style={{ fontSize: `${11 + (value / maxTopicCount) * 13}px` }}
+                    title={t('analytics.count', { count: value })}
+                  >
+                    {name}
+                  </span>
+                ))}
+              </div>
+            ) : (
+              <p className="connections-note">{t('analytics.noTopics')}</p>
+            )}
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,249 @@
+import { useEffect, useMemo, useRef, useState } from "react";
+import { PRIORITY } from "../api/scheduler";
+import useRateLimits from "../hooks/useRateLimits";
+import useTranslation from "../hooks/useTranslation";
+import { formatDate, formatNumber } from "../utils/format";
+import { buildPath } from "../utils/router";
+import {
+  BULK_COLUMNS,
+  BULK_CONCURRENCY,
+  MAX_BULK_USERNAMES,
+  parseUsernames,
+  runWithConcurrency,
+  sortBulkRows
+} from "../utils/bulk";
+
+const RESET_TIME = { timeStyle: 'short' };
+
+const renderCell = (user, key, t) => {
+  const value = user[key];
+  if (BULK_COLUMNS[key].type === 'number') return formatNumber(value);
+  if (key === 'hireable') return value ? t('bulk.hireable') : '—';
+  return value || '—';
+};
+
+// Look up a pasted or uploaded list of usernames, a few at a time, into one sortable table
+export default function BulkLookup({ fetchUserProfile, onClose }) {
+  const { t } = useTranslation();
+  const [text, setText] = useState('');
+  const [rows, setRows] = useState([]);
+  const [running, setRunning] = useState(false);
+  // [key, params] pairs, translated when rendered so a language switch rewords them
+  const [notices, setNotices] = useState([]);
+  const [sort, setSort] = useState({ key: 'login', order: 'asc' });
+  const controllerRef = useRef(null);
+  const coreRateLimit = useRateLimits().core;
+
+  // Leaving the view stops the lookups still waiting
+  useEffect(() => () => controllerRef.current?.abort(), []);
+
+  const updateRow = (login, changes) => {
+    setRows(prev => prev.map(row => (row.login === login ? { ...row, ...changes } : row)));
+  };
+
+  // Profiles go through the profile view's user cache. Low priority leaves the
+  // scheduler's reserve for profile loads and holds the lookups while the rate limit is spent.
+  const lookUp = async (logins) => {
+    const controller = new AbortController();
+    controllerRef.current = controller;
+    setRunning(true);
+
+    await runWithConcurrency(logins, BULK_CONCURRENCY, async (login) => {
+      try {
+        const user = await fetchUserProfile(login, { signal: controller.signal, priority: PRIORITY.low });
+        updateRow(login, { status: 'done', user, error: null });
+      } catch (error) {
+        if (error.name !== 'AbortError') {
+          updateRow(login, { status: 'failed', error: error.message });
+        }
+      }
+    }, controller.signal);
+
+    if (controllerRef.current === controller) {
+      controllerRef.current = null;
+      setRunning(false);
+    }
+  };
+
+  const handleSubmit = (event) => {
+    event.preventDefault();
+    const { logins, invalid, dropped } = parseUsernames(text);
+
+    const skipped = [
+      invalid.length > 0 && ['bulk.skipped', {
+        count: invalid.length,
+        entries: `${invalid.slice(0, 5).join(', ')}${invalid.length > 5 ? '…' : ''}`
+      }],
+      dropped > 0 && ['bulk.dropped', { count: dropped, max: MAX_BULK_USERNAMES }]
+    ].filter(Boolean);
+    setNotices(logins.length === 0 ? [['bulk.noUsernames']] : skipped);
+    if (logins.length === 0) return;
+
+    controllerRef.current?.abort();
+    setRows(logins.map(login => ({ login, status: 'pending', user: null, error: null })));
+    lookUp(logins);
+  };
+
+  const stop = () => {
+    controllerRef.current?.abort();
+    controllerRef.current = null;
+    setRunning(false);
+    // A failed row without an error message was stopped rather than rejected
+    setRows(prev => prev.map(row => (row.status === 'pending' ? { ...row, status: 'failed', error: null } : row)));
+  };
+
+  const retryFailed = () => {
+    const failed = rows.filter(row => row.status === 'failed').map(row => row.login);
+    setRows(prev => prev.map(row => (row.status === 'failed' ? { ...row, status: 'pending', error: null } : row)));
+    lookUp(failed);
+  };
+
+  const handleFile = async (event) => {
+    const [file] = event.target.files;
+    event.target.value = '';
+    if (file) setText(await file.text());
+  };
+
+  const changeSort = (key) => {
+    setSort(prev => ({
+      key,
+      order: prev.key === key
+        ? (prev.order === 'asc' ? 'desc' : 'asc')
+        : (BULK_COLUMNS[key].type === 'text' ? 'asc' : 'desc')
+    }));
+  };
+
+  const sortedRows = useMemo(() => sortBulkRows(rows, sort.key, sort.order), [rows, sort]);
+
+  const counts = rows.reduce((totals, row) => ({ ...totals, [row.status]: totals[row.status] + 1 }), {
+    pending: 0,
+    done: 0,
+    failed: 0
+  });
+
+  // Lookups queued by the scheduler are waiting for the core rate limit to reset
+  const paused = running && coreRateLimit?.queued > 0;
+
+  return (
+    <div className="repositories-section bulk-section">
+      <div className="section-header">
+        <h3 className="section-title">
+          {t('bulk.title')}
+          {rows.length > 0 && (
+            <span className="repo-count">
+              ({t('bulk.found', { done: counts.done, total: rows.length })}
+              {counts.failed > 0 && ` · ${t('bulk.failed', { count: counts.failed })}`})
+            </span>
+          )}
+        </h3>
+        <button className="view-all-repos" onClick={onClose}>
+          {t('common.backToProfile')}
+        </button>
+      </div>
+
+      <form className="search-form" onSubmit={handleSubmit}>
+        <label className="bulk-input">
+          {t('bulk.inputLabel')}
+          <textarea
+            value={text}
+            onChange={(e) => setText(e.target.value)}
+            rows={6}
+            placeholder={'octocat\n@torvalds\nhttps://github.com/gaearon'}
+            spellCheck="false"
+          />
+        </label>
+
+        <div className="search-form-footer">
+          <div className="repo-filters">
+            <label>
+              {t('bulk.uploadLabel')}
+              <input type="file" accept=".csv,.txt,text/csv,text/plain" onChange={handleFile} />
+            </label>
+          </div>
+          {running ? (
+            <button type="button" className="clear-cache-btn" onClick={stop}>
+              {t('bulk.stop')}
+            </button>
+          ) : (
+            <button type="submit" className="view-all-repos" disabled={!text.trim()}>
+              {t('bulk.submit')}
+            </button>
+          )}
+        </div>
+      </form>
+
+      {notices.length > 0 && (
+        <p className="connections-note">{notices.map(([key, params]) => t(key, params)).join(' ')}</p>
+      )}
+
+      {paused && (
+        <p className="connections-note bulk-paused" role="status">
+          {t('bulk.paused')}
+          {coreRateLimit.resetTime && ` ${t('bulk.resumesAt', { time: formatDate(coreRateLimit.resetTime, RESET_TIME) })}`}
+        </p>
+      )}
+
+      {!running && counts.failed > 0 && (
+        <div className="profile-actions">
+          <button className="view-all-repos" onClick={retryFailed}>
+            {t('bulk.retry', { count: counts.failed })}
+          </button>
+        </div>
+      )}
+
+      {rows.length > 0 && (
+        <div className="compare-table-wrapper">
+          <table className="compare-table bulk-table">
+            <thead>
+              <tr>
+                {Object.keys(BULK_COLUMNS).map(key => (
+                  <th
+                    key={key}
+                    scope="col"
+                    aria-sort={sort.key === key ? (sort.order === 'asc' ? 'ascending' : 'descending') : undefined}
+                  >
+                    <button className="bulk-sort" onClick={() => changeSort(key)}>
+                      {t(`bulk.column.${key}`)}
+                      {sort.key === key && (sort.order === 'asc' ? ' ▲' : ' ▼')}
+                    </button>
+                  </th>
+                ))}
+                <th scope="col">{t('bulk.status')}</th>
+              </tr>
+            </thead>
+            <tbody>
+              {sortedRows.map(row => (
+                <tr key={row.login} className={row.status === 'failed' ? 'bulk-row-failed' : ''}>
+                  <td>
+                    {row.user ? (
+                      <div className="compare-user">
+                        <img src={row.user.avatar_url} alt="" className="suggestion-avatar" loading="lazy" />
+                        {/* A new tab keeps this table and its lookups */}
+                        <a
+                          href={buildPath({ view: 'profile', login: row.user.login })}
+                          target="_blank"
+                          rel="noopener noreferrer"
+                          className="compare-login"
+                        >
+                          {row.user.login}
+                        </a>
+                      </div>
+                    ) : row.login}
+                  </td>
+                  {Object.keys(BULK_COLUMNS).filter(key => key !== 'login').map(key => (
+                    <td key={key}>{row.user ? renderCell(row.user, key, t) : ''}</td>
+                  ))}
+                  <td>
+                    {row.status === 'pending' && <span className="loading-dots">{t('bulk.waiting')}</span>}
+                    {row.status === 'done' && '✓'}
+                    {row.status === 'failed' && <span className="compare-error">⚠️ {row.error || t('bulk.stopped')}</span>}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,172 @@
+import { useEffect, useState } from "react";
+import useTranslation from "../hooks/useTranslation";
+import { formatNumber } from "../utils/format";
+import { getLanguageColor } from "../utils/languages";
+import { summarizeRepositories } from "../utils/repositories";
+
+const accountAgeInYears = (createdAt) => {
+  return (Date.now() - new Date(createdAt).getTime()) / (365.25 * 24 * 60 * 60 * 1000);
+};
+
+// Indexes of the highest value in a row, so ties are all highlighted
+const leadingIndexes = (values) => {
+  const numbers = values.filter(value => typeof value === 'number');
+  if (numbers.length < 2) return [];
+  const max = Math.max(...numbers);
+  return values.reduce((indexes, value, index) => (value === max ? [...indexes, index] : indexes), []);
+};
+
+export default function CompareProfiles({ users, fetchRepositories, onRemove, onSelect, onClose }) {
+  const { t } = useTranslation();
+  const [repoSummaries, setRepoSummaries] = useState({});
+
+  // Summarize repositories for each pinned user; they come from the shared repo cache
+  useEffect(() => {
+    const controller = new AbortController();
+
+    users.forEach(async (user) => {
+      const { login } = user;
+      try {
+        const repositories = await fetchRepositories(user, controller.signal);
+        if (!controller.signal.aborted) {
+          setRepoSummaries(prev => ({ ...prev, [login]: summarizeRepositories(repositories) }));
+        }
+      } catch (error) {
+        if (error.name !== 'AbortError') {
+          setRepoSummaries(prev => ({ ...prev, [login]: { error: error.message } }));
+        }
+      }
+    });
+
+    return () => controller.abort();
+  }, [users, fetchRepositories]);
+
+  const summaryFor = (login) => repoSummaries[login] || {};
+
+  const rows = [
+    {
+      key: 'followers',
+      label: t('user.followers'),
+      values: users.map(user => user.followers),
+      render: (value) => formatNumber(value)
+    },
+    {
+      key: 'following',
+      label: t('user.following'),
+      values: users.map(user => user.following),
+      render: (value) => formatNumber(value)
+    },
+    {
+      key: 'public_repos',
+      label: t('user.publicRepos'),
+      values: users.map(user => user.public_repos),
+      render: (value) => formatNumber(value)
+    },
+    {
+      key: 'account_age',
+      label: t('compare.accountAge'),
+      values: users.map(user => accountAgeInYears(user.created_at)),
+      render: (value) => t('compare.years', { count: Math.round(value * 10) / 10 })
+    },
+    {
+      key: 'total_stars',
+      label: t('compare.totalStars'),
+      values: users.map(user => summaryFor(user.login).totalStars),
+      render: (value) => formatNumber(value)
+    },
+    {
+      key: 'most_starred',
+      label: t('compare.mostStarred'),
+      values: users.map(user => summaryFor(user.login).mostStarred?.stargazers_count),
+      render: (value, index) => {
+        const repo = summaryFor(users[index].login).mostStarred;
+        return (
+          <a href={repo.html_url} target="_blank" rel="noopener noreferrer" className="detail-link">
+            {repo.name} (⭐ {formatNumber(value)})
+          </a>
+        );
+      }
+    }
+  ];
+
+  const renderPending = (login) => {
+    const summary = summaryFor(login);
+    if (summary.error) return <span className="compare-error">{summary.error}</span>;
+    if (summary.totalStars === undefined) return <span className="loading-dots">{t('common.loading')}</span>;
+    return '—';
+  };
+
+  return (
+    <div className="repositories-section compare-section">
+      <div className="section-header">
+        <h3 className="section-title">{t('compare.title')}</h3>
+        <button className="view-all-repos" onClick={onClose}>
+          {t('common.backToProfile')}
+        </button>
+      </div>
+
+      <div className="compare-table-wrapper">
+        <table className="compare-table">
+          <thead>
+            <tr>
+              <th></th>
+              {users.map(user => (
+                <th key={user.login}>
+                  <div className="compare-user">
+                    <img src={user.avatar_url} alt={user.login} className="suggestion-avatar" />
+                    <button className="compare-login" onClick={() => onSelect(user.login)}>
+                      {user.name || user.login}
+                    </button>
+                    <button
+                      className="compare-remove"
+                      onClick={() => onRemove(user.login)}
+                      title={t('compare.unpin', { login: user.login })}
+                    >
+                      ×
+                    </button>
+                  </div>
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map(row => {
+              const leaders = leadingIndexes(row.values);
+              return (
+                <tr key={row.key}>
+                  <th scope="row">{row.label}</th>
+                  {row.values.map((value, index) => (
+                    <td
+                      key={users[index].login}
+                      className={leaders.includes(index) ? 'compare-leader' : ''}
+                    >
+                      {value === undefined ? renderPending(users[index].login) : row.render(value, index)}
+                    </td>
+                  ))}
+                </tr>
+              );
+            })}
+            <tr>
+              <th scope="row">{t('compare.topLanguages')}</th>
+              {users.map(user => (
+                <td key={user.login}>
+                  {summaryFor(user.login).topLanguages ? (
+                    summaryFor(user.login).topLanguages.map(language => (
+                      <span key={language} className="repo-language compare-language">
+                        <span
+                          className="language-dot"
+                          style={{ backgroundColor: getLanguageColor(language) }}
+                        ></span>
+                        <span className="language-name">{language}</span>
+                      </span>
+                    ))
+                  ) : renderPending(user.login)}
+                </td>
+              ))}
+            </tr>
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,160 @@
+import { useCallback, useState } from "react";
+import { CACHE_TTL } from "../api/cache";
+import useAsyncData from "../hooks/useAsyncData";
+import useTranslation from "../hooks/useTranslation";
+import {
+  CONNECTION_TABS,
+  CONNECTIONS_PER_PAGE,
+  findMutuals,
+  findNotFollowingBack
+} from "../utils/connections";
+import { formatNumber } from "../utils/format";
+
+// Mutual detection pages through both lists; cap it so huge accounts don't drain the rate limit
+const MAX_CONNECTION_PAGES = 10;
+
+export default function Connections({ user, tab, onTabChange, fetchResource, onSelectProfile, onClose }) {
+  const { t } = useTranslation();
+  const { login, avatar_url, followers, following } = user;
+  const [page, setPage] = useState(1);
+
+  const fetchConnectionPage = useCallback((type, pageNumber, signal) => {
+    return fetchResource(
+      `${type}_${login.toLowerCase()}_page_${pageNumber}`,
+      `/users/${encodeURIComponent(login)}/${type}`,
+      {
+        params: { per_page: CONNECTIONS_PER_PAGE, page: pageNumber },
+        signal,
+        ttl: CACHE_TTL.connections
+      }
+    );
+  }, [fetchResource, login]);
+
+  const fetchAllConnections = useCallback(async (type, total, signal) => {
+    const pageCount = Math.min(Math.ceil(total / CONNECTIONS_PER_PAGE), MAX_CONNECTION_PAGES);
+    const people = [];
+    for (let pageNumber = 1; pageNumber <= pageCount; pageNumber++) {
+      people.push(...await fetchConnectionPage(type, pageNumber, signal));
+    }
+    return people;
+  }, [fetchConnectionPage]);
+
+  const loadConnections = useCallback(async (signal) => {
+    if (tab === 'followers' || tab === 'following') {
+      return fetchConnectionPage(tab, page, signal);
+    }
+
+    const followerList = await fetchAllConnections('followers', followers, signal);
+    const followingList = await fetchAllConnections('following', following, signal);
+    return tab === 'mutuals'
+      ? findMutuals(followerList, followingList)
+      : findNotFollowingBack(followerList, followingList);
+  }, [tab, page, followers, following, fetchConnectionPage, fetchAllConnections]);
+
+  const { data: people, loading, error } = useAsyncData(loadConnections);
+
+  const isPaginated = tab === 'followers' || tab === 'following';
+  const total = tab === 'followers' ? followers : following;
+  const pageCount = Math.max(1, Math.ceil(total / CONNECTIONS_PER_PAGE));
+  const isTruncated = !isPaginated
+    && Math.max(followers, following) > MAX_CONNECTION_PAGES * CONNECTIONS_PER_PAGE;
+
+  const selectTab = (nextTab) => {
+    setPage(1);
+    onTabChange(nextTab);
+  };
+
+  const tabCount = (tabName) => {
+    if (tabName === 'followers') return formatNumber(followers);
+    if (tabName === 'following') return formatNumber(following);
+    if (tabName === tab && people && !loading) return formatNumber(people.length);
+    return null;
+  };
+
+  return (
+    <div className="repositories-section connections-section">
+      <div className="section-header">
+        <h3 className="section-title">
+          <img src={avatar_url} alt={login} className="browser-avatar" />
+          {t('connections.title', { login })}
+        </h3>
+        {loading && (
+          <div className="repo-loading">
+            <span className="loading-dots">{t('connections.loading')}</span>
+          </div>
+        )}
+        <button className="view-all-repos" onClick={onClose}>
+          {t('common.backToProfile')}
+        </button>
+      </div>
+
+      <div className="connection-tabs" role="tablist">
+        {Object.keys(CONNECTION_TABS).map(tabName => (
+          <button
+            key={tabName}
+            role="tab"
+            aria-selected={tab === tabName}
+            className={`history-item connection-tab ${tab === tabName ? 'active' : ''}`}
+            onClick={() => selectTab(tabName)}
+          >
+            {t(`connections.tab.${tabName}`)}
+            {tabCount(tabName) !== null && <span className="tab-count">{tabCount(tabName)}</span>}
+          </button>
+        ))}
+      </div>
+
+      {isTruncated && (
+        <p className="connections-note">
+          {t('connections.truncated', { count: MAX_CONNECTION_PAGES * CONNECTIONS_PER_PAGE })}
+        </p>
+      )}
+
+      {error && (
+        <div className="error-message">
+          <p>{error}</p>
+        </div>
+      )}
+
+      {!loading && !error && people && people.length === 0 && (
+        <div className="no-repos-message">
+          <p>{t('connections.empty')}</p>
+        </div>
+      )}
+
+      {people && people.length > 0 && (
+        <div className="people-grid">
+          {people.map(person => (
+            <button
+              key={person.id}
+              className="person-card"
+              onClick={() => onSelectProfile(person.login)}
+            >
+              <img src={person.avatar_url} alt={person.login} className="suggestion-avatar" loading="lazy" />
+              <span className="person-login">{person.login}</span>
+            </button>
+          ))}
+        </div>
+      )}
+
+      {isPaginated && pageCount > 1 && (
+        <div className="pagination">
+          <button
+            className="history-item"
+            disabled={page <= 1 || loading}
+            onClick={() => setPage(page - 1)}
+          >
+            {t('pagination.previous')}
+          </button>
+          <span className="pagination-status">{t('pagination.pageOf', { page, count: pageCount })}</span>
+          <button
+            className="history-item"
+            disabled={page >= pageCount || loading}
+            onClick={() => setPage(page + 1)}
+          >
+            {t('pagination.next')}
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,354 @@
+import { useCallback, useEffect, useMemo, useRef, useState } from "react";
+import { webUrl } from "../api/github";
+import { CACHE_TTL } from "../api/cache";
+import useAsyncData from "../hooks/useAsyncData";
+import useTranslation from "../hooks/useTranslation";
+import LanguageBar from "./languagebar";
+import { formatBytes, rankTally } from "../utils/analytics";
+import { formatNumber, formatRelativeTime } from "../utils/format";
+import { getLanguageColor } from "../utils/languages";
+import { sanitizeReadme } from "../utils/sanitize";
+
+const MAX_CONTRIBUTORS = 10;
+const MAX_RELEASES = 5;
+
+// Queried on every Tab press, since the README and lazy sections add links as they load
+const FOCUSABLE = 'a[href], button:not([disabled]), input:not([disabled]), select:not([disabled]), textarea:not([disabled]), [tabindex]:not([tabindex="-1"])';
+
+// Empty repositories answer 204 No Content instead of an empty list
+const parseList = (response) => (response.status === 204 ? [] : response.json());
+
+// Renders its loader only once scrolled into view, so unseen sections cost no requests
+function LazySection({ title, children }) {
+  const sectionRef = useRef(null);
+  const [visible, setVisible] = useState(false);
+
+  useEffect(() => {
+    if (visible) return;
+    const observer = new IntersectionObserver(([entry]) => {
+      if (entry.isIntersecting) setVisible(true);
+    }, { rootMargin: '200px' });
+    observer.observe(sectionRef.current);
+    return () => observer.disconnect();
+  }, [visible]);
+
+  return (
+    <section ref={sectionRef} className="drawer-section">
+      <h4 className="details-title">{title}</h4>
+      {visible ? children : <div className="drawer-placeholder"></div>}
+    </section>
+  );
+}
+
+function SectionStatus({ loading, error, loadingText }) {
+  if (loading) {
+    return (
+      <div className="repo-loading">
+        <span className="loading-dots">{loadingText}</span>
+      </div>
+    );
+  }
+  if (error) {
+    return <p className="connections-note">{error}</p>;
+  }
+  return null;
+}
+
+function Readme({ fullName, branch, cacheKey, fetchResource }) {
+  const { t } = useTranslation();
+  const loadReadme = useCallback((signal) => fetchResource(
+    `repo_readme_${cacheKey}`,
+    `/repos/${fullName}/readme`,
+    {
+      signal,
+      ttl: CACHE_TTL.repository,
+      headers: { Accept: 'application/vnd.github.html+json' },
+      parse: (response) => response.text()
+    }
+  ), [fetchResource, fullName, cacheKey]);
+
+  const { data: html, loading, error } = useAsyncData(loadReadme);
+
+  // The cache keeps GitHub's HTML as served; it is sanitized right before rendering
+  const content = useMemo(() => (
+    html ? sanitizeReadme(html, { repositoryUrl: webUrl(fullName), branch }) : ''
+  ), [html, fullName, branch]);
+
+  if (!html) {
+    return <SectionStatus loading={loading} error={error && t('drawer.noReadme', { error })} loadingText={t('drawer.loadingReadme')} />;
+  }
+
+  return <div className="readme-content" dangerouslySetInnerHTML={{ __html: content }}></div>;
+}
+
+function Contributors({ fullName, cacheKey, fetchResource, onSelectProfile }) {
+  const { t } = useTranslation();
+  const loadContributors = useCallback((signal) => fetchResource(
+    `repo_contributors_${cacheKey}`,
+    `/repos/${fullName}/contributors`,
+    {
+      params: { per_page: MAX_CONTRIBUTORS },
+      signal,
+      ttl: CACHE_TTL.repository,
+      parse: parseList,
+      transform: (contributors) => contributors.map(({ login, avatar_url, contributions }) => ({ login, avatar_url, contributions }))
+    }
+  ), [fetchResource, fullName, cacheKey]);
+
+  const { data: contributors, loading, error } = useAsyncData(loadContributors);
+
+  if (!contributors) {
+    return <SectionStatus loading={loading} error={error} loadingText={t('drawer.loadingContributors')} />;
+  }
+  if (contributors.length === 0) {
+    return <p className="connections-note">{t('drawer.noContributors')}</p>;
+  }
+
+  return (
+    <div className="drawer-contributors">
+      {contributors.map(({ login, avatar_url, contributions }) => (
+        <button key={login} className="person-card" onClick={() => onSelectProfile(login)} title={t('drawer.openProfile', { login })}>
+          <img src={avatar_url} alt={login} className="suggestion-avatar" loading="lazy" />
+          <span className="person-login">{login}</span>
+          <span className="repo-count">{formatNumber(contributions)}</span>
+        </button>
+      ))}
+    </div>
+  );
+}
+
+function Releases({ fullName, cacheKey, fetchResource }) {
+  const { t } = useTranslation();
+  const loadReleases = useCallback((signal) => fetchResource(
+    `repo_releases_${cacheKey}`,
+    `/repos/${fullName}/releases`,
+    {
+      params: { per_page: MAX_RELEASES },
+      signal,
+      ttl: CACHE_TTL.repository,
+      transform: (releases) => releases.map(({ id, name, tag_name, html_url, published_at, prerelease }) => ({
+        id, name, tag_name, html_url, published_at, prerelease
+      }))
+    }
+  ), [fetchResource, fullName, cacheKey]);
+
+  const { data: releases, loading, error } = useAsyncData(loadReleases);
+
+  if (!releases) {
+    return <SectionStatus loading={loading} error={error} loadingText={t('drawer.loadingReleases')} />;
+  }
+  if (releases.length === 0) {
+    return <p className="connections-note">{t('drawer.noReleases')}</p>;
+  }
+
+  return (
+    <ul className="drawer-releases">
+      {releases.map(release => (
+        <li key={release.id}>
+          <a href={release.html_url} target="_blank" rel="noopener noreferrer" className="detail-link">
+            {release.name || release.tag_name}
+          </a>
+          {release.prerelease && <span className="repo-badge">{t('drawer.prerelease')}</span>}
+          <span className="repo-count">
+            {release.tag_name} · {release.published_at ? formatRelativeTime(release.published_at) : t('drawer.draft')}
+          </span>
+        </li>
+      ))}
+    </ul>
+  );
+}
+
+function Languages({ fullName, cacheKey, fetchResource }) {
+  const { t } = useTranslation();
+  // Same key as the analytics view, so bytes fetched there (or primed by GraphQL) are reused
+  const loadLanguages = useCallback((signal) => fetchResource(
+    `languages_${cacheKey}`,
+    `/repos/${fullName}/languages`,
+    { signal, ttl: CACHE_TTL.languages }
+  ), [fetchResource, fullName, cacheKey]);
+
+  const { data: languages, loading, error } = useAsyncData(loadLanguages);
+  const entries = useMemo(() => (languages ? rankTally(languages) : []), [languages]);
+
+  if (!languages) {
+    return <SectionStatus loading={loading} error={error} loadingText={t('drawer.loadingLanguages')} />;
+  }
+  if (entries.length === 0) {
+    return <p className="connections-note">{t('drawer.noLanguages')}</p>;
+  }
+
+  return (
+    <>
+      <LanguageBar entries={entries} />
+      <ul className="language-legend">
+        {entries.map(({ name, value, share }) => (
+          <li key={name} className="repo-language">
+            <span className="language-dot" style={{ backgroundColor: getLanguageColor(name) }}></span>
+            <span className="language-name">{name}</span>
+            <span className="legend-value">{(share * 100).toFixed(1)}% · {formatBytes(value)}</span>
+          </li>
+        ))}
+      </ul>
+    </>
+  );
+}
+
+// Side panel with the details a repository card leaves out; every part is cached and
+// sections below the fold only load once scrolled to
+export default function RepositoryDrawer({ repo, fetchResource, onSelectProfile, onClose }) {
+  const { t } = useTranslation();
+  const drawerRef = useRef(null);
+  const closeButtonRef = useRef(null);
+  const fullName = repo.full_name;
+  const cacheKey = fullName.toLowerCase();
+
+  // Focus the panel while open, keep Tab inside it as aria-modal promises, and hand focus
+  // back to the card afterwards
+  useEffect(() => {
+    const previousFocus = document.activeElement;
+    closeButtonRef.current?.focus();
+
+    const handleKeyDown = (event) => {
+      if (event.key === 'Escape') {
+        onClose();
+        return;
+      }
+      if (event.key !== 'Tab' || !drawerRef.current) return;
+
+      const focusable = [...drawerRef.current.querySelectorAll(FOCUSABLE)];
+      if (focusable.length === 0) return;
+      const first = focusable[0];
+      const last = focusable[focusable.length - 1];
+
+      if (!drawerRef.current.contains(document.activeElement)) {
+        event.preventDefault();
+        first.focus();
+      } else if (event.shiftKey && document.activeElement === first) {
+        event.preventDefault();
+        last.focus();
+      } else if (!event.shiftKey && document.activeElement === last) {
+        event.preventDefault();
+        first.focus();
+      }
+    };
+    document.addEventListener('keydown', handleKeyDown);
+
+    return () => {
+      document.removeEventListener('keydown', handleKeyDown);
+      previousFocus?.focus?.();
+    };
+  }, [onClose]);
+
+  const loadOverview = useCallback(async (signal) => {
+    // open_issues_count includes pull requests, so count those separately through search
+    const [details, pulls] = await Promise.all([
+      fetchResource(`repo_${cacheKey}`, `/repos/${fullName}`, {
+        signal,
+        ttl: CACHE_TTL.repository,
+        transform: ({ default_branch, license, open_issues_count }) => ({
+          default_branch,
+          license: license ? (license.spdx_id !== 'NOASSERTION' ? license.spdx_id : license.name) : null,
+          open_issues_count
+        })
+      }),
+      fetchResource(`repo_open_prs_${cacheKey}`, '/search/issues', {
+        params: { q: `repo:${fullName} is:pr is:open`, per_page: 1 },
+        signal,
+        ttl: CACHE_TTL.repository,
+        transform: ({ total_count }) => total_count
+      }).catch(() => null)
+    ]);
+
+    return {
+      ...details,
+      openPulls: pulls,
+      openIssues: pulls === null ? null : Math.max(0, details.open_issues_count - pulls)
+    };
+  }, [fetchResource, fullName, cacheKey]);
+
+  const { data: overview, loading, error } = useAsyncData(loadOverview);
+
+  return (
+    <div className="drawer-overlay" onClick={onClose}>
+      <aside
+        ref={drawerRef}
+        className="repo-drawer"
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="repo-drawer-title"
+        onClick={(event) => event.stopPropagation()}
+      >
+        <div className="section-header">
+          <h3 className="section-title" id="repo-drawer-title">
+            <a href={repo.html_url} target="_blank" rel="noopener noreferrer" className="repo-name">
+              {fullName}
+            </a>
+          </h3>
+          <button ref={closeButtonRef} className="view-all-repos" onClick={onClose} aria-label={t('drawer.close')}>
+            ✕
+          </button>
+        </div>
+
+        {repo.description && <p className="repo-description">{repo.description}</p>}
+
+        <SectionStatus loading={loading} error={error} loadingText={t('drawer.loadingDetails')} />
+
+        {overview && (
+          <div className="drawer-stats">
+            <div className="drawer-stat">
+              <span className="stat-value">
+                {overview.openIssues === null ? formatNumber(overview.open_issues_count) : formatNumber(overview.openIssues)}
+              </span>
+              <span className="stat-label">{overview.openIssues === null ? t('drawer.issuesAndPulls') : t('drawer.openIssues')}</span>
+            </div>
+            {overview.openPulls !== null && (
+              <div className="drawer-stat">
+                <span className="stat-value">{formatNumber(overview.openPulls)}</span>
+                <span className="stat-label">{t('drawer.openPulls')}</span>
+              </div>
+            )}
+            <div className="drawer-stat">
+              <span className="stat-value">⭐ {formatNumber(repo.stargazers_count)}</span>
+              <span className="stat-label">{t('repositories.sortBy.stars')}</span>
+            </div>
+            <div className="drawer-stat">
+              <span className="stat-value">{overview.default_branch}</span>
+              <span className="stat-label">{t('drawer.defaultBranch')}</span>
+            </div>
+            <div className="drawer-stat">
+              <span className="stat-value">{overview.license || t('drawer.noLicense')}</span>
+              <span className="stat-label">{t('drawer.license')}</span>
+            </div>
+          </div>
+        )}
+
+        <LazySection title={t('drawer.languages')}>
+          <Languages fullName={fullName} cacheKey={cacheKey} fetchResource={fetchResource} />
+        </LazySection>
+
+        <LazySection title={t('drawer.releases')}>
+          <Releases fullName={fullName} cacheKey={cacheKey} fetchResource={fetchResource} />
+        </LazySection>
+
+        <LazySection title={t('drawer.contributors')}>
+          <Contributors
+            fullName={fullName}
+            cacheKey={cacheKey}
+            fetchResource={fetchResource}
+            onSelectProfile={onSelectProfile}
+          />
+        </LazySection>
+
+        {/* Relative links resolve against HEAD until the default branch is known */}
+        <LazySection title={t('drawer.readme')}>
+          <Readme
+            fullName={fullName}
+            branch={overview?.default_branch || 'HEAD'}
+            cacheKey={cacheKey}
+            fetchResource={fetchResource}
+          />
+        </LazySection>
+      </aside>
+    </div>
+  );
+}
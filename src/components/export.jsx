@@ -0,0 +1,42 @@
+import { useState } from "react";
+import useTranslation from "../hooks/useTranslation";
+import { EXPORT_FORMATS, downloadFile } from "../utils/export";
+
+// Download menu for the loaded profile; needs no API calls so it works while rate limited
+export default function ExportMenu({ user, repositories }) {
+  const { t } = useTranslation();
+  const [open, setOpen] = useState(false);
+
+  const exportAs = (format) => {
+    const { extension, mimeType, build } = EXPORT_FORMATS[format];
+    downloadFile(`${user.login}.${extension}`, build(user, repositories), mimeType);
+    setOpen(false);
+  };
+
+  return (
+    <div className="export-menu">
+      <button
+        className="view-all-repos"
+        onClick={() => setOpen(prev => !prev)}
+        aria-haspopup="menu"
+        aria-expanded={open}
+      >
+        {t('export.button')}
+      </button>
+      {open && (
+        <div className="export-options" role="menu">
+          {Object.keys(EXPORT_FORMATS).map(format => (
+            <button
+              key={format}
+              role="menuitem"
+              className="export-option"
+              onClick={() => exportAs(format)}
+            >
+              {t(`export.format.${format}`)}
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,73 @@
+import { useState, useSyncExternalStore } from "react";
+import {
+  clearRecording,
+  exitFixtureMode,
+  getFixtureState,
+  getRecordedBundle,
+  loadFixtureBundle,
+  subscribeToFixtures
+} from "../api/fixtures";
+import useTranslation from "../hooks/useTranslation";
+import { downloadFile } from "../utils/export";
+
+// Shown while API responses are recorded or replayed, so fixture data never passes for live data
+export default function FixtureBar() {
+  const { t } = useTranslation();
+  const state = useSyncExternalStore(subscribeToFixtures, getFixtureState);
+  const [error, setError] = useState(null);
+
+  if (!state.mode) return null;
+
+  const downloadBundle = () => {
+    const date = new Date().toISOString().slice(0, 10);
+    downloadFile(`github-fixtures-${date}.json`, JSON.stringify(getRecordedBundle(), null, 2), 'application/json');
+  };
+
+  const importBundle = async (event) => {
+    const [file] = event.target.files;
+    event.target.value = '';
+    if (!file) return;
+
+    try {
+      loadFixtureBundle(await file.text());
+      setError(null);
+    } catch (error) {
+      setError(t('fixtures.loadFailed', { file: file.name, error: error.message }));
+    }
+  };
+
+  return (
+    <div className="search-history fixture-bar">
+      <span className="history-label">
+        {state.mode === 'record' ? '⏺' : '▶'} {t(`fixtures.mode.${state.mode}`)}
+      </span>
+      <span className="repo-count">
+        {t('fixtures.responses', { count: state.responses })}
+        {state.mode === 'replay' && state.delay > 0 && ` · ${t('fixtures.delay', { delay: state.delay })}`}
+        {state.mode === 'replay' && state.rateLimit !== null && ` · ${t('fixtures.rateLimit', { count: state.rateLimit })}`}
+      </span>
+
+      {state.mode === 'record' ? (
+        <>
+          <button className="history-item" onClick={downloadBundle} disabled={state.responses === 0}>
+            {t('fixtures.download')}
+          </button>
+          <button className="clear-cache-btn" onClick={clearRecording} disabled={state.responses === 0}>
+            {t('history.clear')}
+          </button>
+        </>
+      ) : (
+        <label className="history-item fixture-import">
+          {t('fixtures.load')}
+          <input type="file" accept=".json,application/json" className="visually-hidden" onChange={importBundle} />
+        </label>
+      )}
+
+      <button className="clear-cache-btn" onClick={exitFixtureMode} title={t('fixtures.goLiveTitle')}>
+        {t('fixtures.goLive')}
+      </button>
+
+      {error && <p className="connections-note">{error}</p>}
+    </div>
+  );
+}
@@ -0,0 +1,182 @@
+import { useCallback, useMemo, useState } from "react";
+import { CACHE_TTL } from "../api/cache";
+import useAsyncData from "../hooks/useAsyncData";
+import useTranslation from "../hooks/useTranslation";
+import { formatBytes } from "../utils/analytics";
+import { formatDate, formatNumber, formatRelativeTime } from "../utils/format";
+import { GISTS_PER_PAGE, formatGist, formatGistFiles, gistLanguages } from "../utils/gists";
+import { highlight } from "../utils/highlight";
+import { getLanguageColor } from "../utils/languages";
+
+function FilePreview({ gistId, file, fetchResource }) {
+  const { t } = useTranslation();
+  // One request per gist covers every file in it
+  const loadFiles = useCallback((signal) => fetchResource(`gist_${gistId}`, `/gists/${gistId}`, {
+    signal,
+    ttl: CACHE_TTL.gists,
+    transform: formatGistFiles
+  }), [fetchResource, gistId]);
+
+  const { data: files, loading, error } = useAsyncData(loadFiles);
+  const preview = files?.[file.filename];
+  const tokens = useMemo(() => (preview ? highlight(preview.content, file.language) : []), [preview, file.language]);
+
+  if (!files) {
+    return loading ? (
+      <div className="repo-loading">
+        <span className="loading-dots">{t('gists.loadingFile', { file: file.filename })}</span>
+      </div>
+    ) : (
+      <p className="connections-note">{error}</p>
+    );
+  }
+  if (!preview) {
+    return <p className="connections-note">{t('gists.fileGone', { file: file.filename })}</p>;
+  }
+
+  return (
+    <div className="gist-preview">
+      <pre className="gist-code" tabIndex={0} aria-label={t('gists.fileContents', { file: file.filename })}>
+        <code>
+          {tokens.map((token, index) => (token.type
+            ? <span key={index} className={`token-${token.type}`}>{token.text}</span>
+            : token.text))}
+        </code>
+      </pre>
+      {preview.truncated && (
+        <p className="connections-note">
+          {t('gists.truncated')}{" "}
+          <a href={preview.raw_url} target="_blank" rel="noopener noreferrer" className="detail-link">
+            {t('gists.viewWholeFile')}
+          </a>
+        </p>
+      )}
+    </div>
+  );
+}
+
+function GistCard({ gist, fetchResource }) {
+  const { t } = useTranslation();
+  const [openFile, setOpenFile] = useState(null);
+  const languages = gistLanguages(gist);
+  const title = gist.description || gist.files[0]?.filename || gist.id;
+
+  return (
+    <div className="repository-card gist-card">
+      <div className="repo-header">
+        <a href={gist.html_url} target="_blank" rel="noopener noreferrer" className="repo-name">
+          {title}
+        </a>
+        {!gist.public && <span className="repo-badge">{t('gists.secret')}</span>}
+      </div>
+
+      <div className="gist-files">
+        {gist.files.map(file => (
+          <button
+            key={file.filename}
+            className={`history-item gist-file ${openFile?.filename === file.filename ? 'active' : ''}`}
+            onClick={() => setOpenFile(current => (current?.filename === file.filename ? null : file))}
+            aria-expanded={openFile?.filename === file.filename}
+            title={`${file.language || t('gists.plainText')} · ${formatBytes(file.size)}`}
+          >
+            📄 {file.filename}
+          </button>
+        ))}
+      </div>
+
+      <div className="repo-stats">
+        {languages.map(language => (
+          <div key={language} className="repo-language">
+            <span className="language-dot" style={{ backgroundColor: getLanguageColor(language) }}></span>
+            <span className="language-name">{language}</span>
+          </div>
+        ))}
+        <span className="repo-count">💬 {formatNumber(gist.comments)}</span>
+        <span className="repo-count" title={formatDate(gist.updated_at, { dateStyle: 'medium', timeStyle: 'short' })}>
+          {t('gists.dates', { created: formatDate(gist.created_at), updated: formatRelativeTime(gist.updated_at) })}
+        </span>
+      </div>
+
+      {openFile && <FilePreview gistId={gist.id} file={openFile} fetchResource={fetchResource} />}
+    </div>
+  );
+}
+
+// A user's gists, a page at a time, with files previewed inline
+export default function Gists({ user, fetchResource, onClose }) {
+  const { t } = useTranslation();
+  const { login, avatar_url, public_gists } = user;
+  const [page, setPage] = useState(1);
+
+  // Cached per page like repository listings
+  const loadGists = useCallback((signal) => fetchResource(
+    `gists_${login.toLowerCase()}_page_${page}`,
+    `/users/${encodeURIComponent(login)}/gists`,
+    {
+      params: { per_page: GISTS_PER_PAGE, page },
+      signal,
+      ttl: CACHE_TTL.gists,
+      transform: (gists) => gists.map(formatGist)
+    }
+  ), [fetchResource, login, page]);
+
+  const { data: gists, loading, error } = useAsyncData(loadGists);
+
+  // Profiles cached before the gist count was requested fall back to "a full page means more"
+  const pageCount = public_gists === undefined ? null : Math.max(1, Math.ceil(public_gists / GISTS_PER_PAGE));
+  const hasNext = pageCount === null ? gists?.length === GISTS_PER_PAGE : page < pageCount;
+
+  return (
+    <div className="repositories-section gists-section">
+      <div className="section-header">
+        <h3 className="section-title">
+          <img src={avatar_url} alt={login} className="browser-avatar" />
+          {t('gists.title', { login })}
+          {public_gists !== undefined && <span className="repo-count">{t('gists.publicCount', { count: public_gists })}</span>}
+        </h3>
+        {loading && (
+          <div className="repo-loading">
+            <span className="loading-dots">{t('gists.loading')}</span>
+          </div>
+        )}
+        <button className="view-all-repos" onClick={onClose}>
+          {t('common.backToProfile')}
+        </button>
+      </div>
+
+      {error && (
+        <div className="error-message">
+          <p>{error}</p>
+        </div>
+      )}
+
+      {gists && gists.length === 0 && (
+        <div className="no-repos-message">
+          <p>{page === 1 ? t('gists.none', { login }) : t('gists.noMore')}</p>
+        </div>
+      )}
+
+      {gists && gists.length > 0 && (
+        <div className="gist-list">
+          {gists.map(gist => (
+            <GistCard key={gist.id} gist={gist} fetchResource={fetchResource} />
+          ))}
+        </div>
+      )}
+
+      {(page > 1 || hasNext) && (
+        <div className="pagination">
+          <button className="history-item" disabled={page <= 1 || loading} onClick={() => setPage(page - 1)}>
+            {t('pagination.previous')}
+          </button>
+          <span className="pagination-status">
+            {pageCount === null ? t('pagination.page', { page }) : t('pagination.pageOf', { page, count: pageCount })}
+          </span>
+          <button className="history-item" disabled={!hasNext || loading} onClick={() => setPage(page + 1)}>
+            {t('pagination.next')}
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
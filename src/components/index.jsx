@@ -1,7 +1,58 @@
 import { useEffect, useState, useRef, useCallback, useMemo } from "react";
 import User from "./user";
+import RepositoryBrowser from "./repositories";
+import CompareProfiles from "./compare";
+import Organization from "./organization";
+import Connections from "./connections";
+import LanguageAnalytics from "./analytics";
+import ActivityFeed from "./activity";
+import Gists from "./gists";
+import ShareCard from "./sharecard";
+import AdvancedSearch from "./search";
+import RateLimitStatus from "./ratelimits";
+import TokenSettings from "./settings";
+import MyProfile from "./me";
+import Watchlist from "./watchlist";
+import BulkLookup from "./bulk";
+import LanguageSwitcher from "./language";
+import ThemeSwitcher from "./theme";
+import FixtureBar from "./fixtures";
+import { cachedGithubFetch, hasGitHubToken, primeCache, rateLimitScheduler, webUrl } from "../api/github";
+import { fetchProfile, mapProfile } from "../api/graphql";
+import { addToWatchlist, readWatchlist, recordSnapshot, removeFromWatchlist } from "../api/watchlist";
+import { OFFLINE_ERROR } from "../api/network";
+import { PRIORITY } from "../api/scheduler";
+import useOnlineStatus from "../hooks/useOnlineStatus";
+import useRateLimits from "../hooks/useRateLimits";
+import useTranslation from "../hooks/useTranslation";
+import { translate } from "../i18n";
+import { CACHE_TTL, clearCacheEntries, getCacheGeneration } from "../api/cache";
+import {
+  DEFAULT_REPOSITORY_OPTIONS,
+  REPOS_PER_PAGE,
+  fetchAllRepositories,
+  formatRepository
+} from "../utils/repositories";
+import { formatDate } from "../utils/format";
+import { navigate, parseLocation } from "../utils/router";
+import { DEFAULT_SEARCH_OPTIONS } from "../utils/search";
+import { buildSnapshot } from "../utils/watchlist";
 import './styles.css';
 
+const MAX_PINNED_USERS = 4;
+const RESET_TIME = { timeStyle: 'medium' };
+const DEFAULT_USERNAME = "ankitdeardigital";
+const SUGGESTIONS_ID = 'search-suggestions';
+
+// The profile's repository preview: its most recently updated public repositories
+const PREVIEW_REPOSITORY_COUNT = 8;
+const PREVIEW_REPOSITORY_PARAMS = { sort: 'updated', per_page: 10, type: 'public' };
+const toPreviewRepositories = (repos) => repos
+  .filter(repo => !repo.private)
+  .map(formatRepository)
+  .slice(0, PREVIEW_REPOSITORY_COUNT);
+const suggestionId = (index) => `${SUGGESTIONS_ID}-${index}`;
+
 // LRU Cache implementation for search results
 class LRUCache {
   constructor(capacity = 50) {
@@ -48,6 +99,17 @@ export default function GithubProfileFinder() {
   const [error, setError] = useState(null);
   const [isLoadingSuggestions, setIsLoadingSuggestions] = useState(false);
   const [searchHistory, setSearchHistory] = useState([]);
+  const [activeView, setActiveView] = useState('profile');
+  const [repositoryOptions, setRepositoryOptions] = useState(DEFAULT_REPOSITORY_OPTIONS);
+  const [pinnedUsers, setPinnedUsers] = useState([]);
+  const [userCacheStatus, setUserCacheStatus] = useState(null);
+  const [connectionsTab, setConnectionsTab] = useState('followers');
+  const [searchOptions, setSearchOptions] = useState(DEFAULT_SEARCH_OPTIONS);
+  const [pinnedRepositories, setPinnedRepositories] = useState([]);
+  const [tokenVersion, setTokenVersion] = useState(0);
+  const [watchlist, setWatchlist] = useState([]);
+  const [queuedSearches, setQueuedSearches] = useState([]);
+  const [announcement, setAnnouncement] = useState('');
   
   // Refs for cleanup and optimization
   const suggestionTimeoutRef = useRef(null);
@@ -57,13 +119,16 @@ export default function GithubProfileFinder() {
   const cacheRef = useRef(new LRUCache(50));
   const userCacheRef = useRef(new LRUCache(20));
   const repoCacheRef = useRef(new LRUCache(20));
+  const resourceCacheRef = useRef(new LRUCache(50));
+  const searchInputRef = useRef(null);
+  const profileRef = useRef(null);
+  const focusAfterSearchRef = useRef(null);
   
-  // Rate limiting state
-  const [rateLimitInfo, setRateLimitInfo] = useState({
-    remaining: null,
-    resetTime: null,
-    isLimited: false
-  });
+  // Rate limit buckets (core, search, graphql) tracked by the request scheduler
+  const rateLimits = useRateLimits();
+  const coreRateLimit = rateLimits.core;
+  const online = useOnlineStatus();
+  const { t } = useTranslation();
 
   // Cleanup function for abort controllers
   const cleanupAbortController = useCallback((controllerRef) => {
@@ -73,44 +138,31 @@ export default function GithubProfileFinder() {
     }
   }, []);
 
+  // Screen readers skip a live region whose text doesn't change, so repeats get a trailing space
+  const announce = useCallback((message) => {
+    setAnnouncement(prev => (prev === message ? `${message}\u00A0` : message));
+  }, []);
+
   // Enhanced error handling with rate limit detection
   const handleApiError = useCallback((error, response) => {
     if (response) {
       const remaining = response.headers.get('X-RateLimit-Remaining');
-      const resetTime = response.headers.get('X-RateLimit-Reset');
-      
-      setRateLimitInfo({
-        remaining: remaining ? parseInt(remaining) : null,
-        resetTime: resetTime ? new Date(parseInt(resetTime) * 1000) : null,
-        isLimited: response.status === 403 && remaining === '0'
-      });
 
-      if (response.status === 403 && remaining === '0') {
-        return "Rate limit exceeded. Please try again later.";
+      if ((response.status === 403 || response.status === 429) && remaining === '0') {
+        return translate('errors.rateLimited');
       }
     }
 
-    if (error.name === 'AbortError') {
-      return null; // Don't show error for cancelled requests
+    // A failed response that isn't a rate limit is left to the caller to describe
+    if (!error) {
+      return null;
     }
 
-    return error.message || "Network error. Please try again.";
-  }, []);
-
-  // Helper function to get GitHub API headers with optional token
-  const getGitHubHeaders = useCallback(() => {
-    const headers = {
-      'Accept': 'application/vnd.github.v3+json',
-      'User-Agent': 'GitHub-Profile-Finder'
-    };
-
-    // Add token if available in environment variables
-    const token = import.meta.env.VITE_GITHUB_TOKEN;
-    if (token && token !== 'your_github_personal_access_token_here') {
-      headers['Authorization'] = `token ${token}`;
+    if (error.name === 'AbortError') {
+      return null; // Don't show error for cancelled requests
     }
 
-    return headers;
+    return error.message || translate('errors.network');
   }, []);
 
   // Optimized debounced function to fetch suggestions with caching
@@ -122,17 +174,6 @@ export default function GithubProfileFinder() {
       return;
     }
 
-    // Check cache first
-    const cacheKey = `suggestions_${query.toLowerCase()}`;
-    const cachedResult = cacheRef.current.get(cacheKey);
-    
-    if (cachedResult) {
-      setSuggestions(cachedResult);
-      setShowSuggestions(true);
-      setIsLoadingSuggestions(false);
-      return;
-    }
-
     // Cancel previous request
     cleanupAbortController(abortControllerRef);
     
@@ -140,39 +181,31 @@ export default function GithubProfileFinder() {
     abortControllerRef.current = new AbortController();
     setIsLoadingSuggestions(true);
 
+    const showSuggestionItems = (items) => {
+      setSuggestions(items);
+      setShowSuggestions(true);
+      announce(items.length > 0
+        ? translate('announce.suggestions', { count: items.length })
+        : translate('announce.noSuggestions'));
+    };
+
     try {
-      const searchQuery = encodeURIComponent(query.trim());
-      const response = await fetch(
-        `https://api.github.com/search/users?q=${searchQuery}&per_page=8&sort=followers&order=desc`,
-        { 
-          signal: abortControllerRef.current.signal,
-          headers: getGitHubHeaders()
-        }
-      );
-      
-      // Update rate limit info
-      const remaining = response.headers.get('X-RateLimit-Remaining');
-      const resetTime = response.headers.get('X-RateLimit-Reset');
-      
-      setRateLimitInfo(prev => ({
-        ...prev,
-        remaining: remaining ? parseInt(remaining) : prev.remaining,
-        resetTime: resetTime ? new Date(parseInt(resetTime) * 1000) : prev.resetTime,
-        isLimited: response.status === 403 && remaining === '0'
-      }));
+      const result = await cachedGithubFetch(`suggestions_${query.toLowerCase()}`, '/search/users', {
+        params: { q: query.trim(), per_page: 8, sort: 'followers', order: 'desc' },
+        signal: abortControllerRef.current.signal,
+        ttl: CACHE_TTL.suggestions,
+        memoryCache: cacheRef.current,
+        transform: (data) => data.items || [],
+        // Autocomplete yields to every other request when the search budget runs low
+        priority: PRIORITY.low,
+        onStale: (entry) => showSuggestionItems(entry.data)
+      });
       
-      if (!response.ok) {
-        throw new Error(`GitHub API error: ${response.status}`);
+      if (!result.ok) {
+        throw new Error(`GitHub API error: ${result.response.status}`);
       }
 
-      const data = await response.json();
-      
-      if (data.items) {
-        // Cache the results
-        cacheRef.current.set(cacheKey, data.items);
-        setSuggestions(data.items);
-        setShowSuggestions(true);
-      }
+      showSuggestionItems(result.data);
     } catch (error) {
       const errorMessage = handleApiError(error, null);
       if (errorMessage) {
@@ -183,7 +216,7 @@ export default function GithubProfileFinder() {
       setIsLoadingSuggestions(false);
       abortControllerRef.current = null;
     }
-  }, [cleanupAbortController, handleApiError, getGitHubHeaders]);
+  }, [cleanupAbortController, handleApiError, announce]);
 
   // New function to fetch user repositories with caching
   const fetchUserRepositories = useCallback(async (username) => {
@@ -191,155 +224,254 @@ export default function GithubProfileFinder() {
 
     const trimmedUsername = username.trim();
     
-    // Check cache first
-    const cacheKey = `repos_${trimmedUsername.toLowerCase()}`;
-    const cachedRepos = repoCacheRef.current.get(cacheKey);
-    
-    if (cachedRepos) {
-      setUserRepositories(cachedRepos);
-      return;
-    }
-
-    setLoadingRepos(true);
-    
     // Cancel previous repository request
     cleanupAbortController(repoAbortControllerRef);
     repoAbortControllerRef.current = new AbortController();
     
     try {
-      const response = await fetch(
-        `https://api.github.com/users/${encodeURIComponent(trimmedUsername)}/repos?sort=updated&per_page=10&type=public`,
-        { 
+      const result = await cachedGithubFetch(
+        `repos_${trimmedUsername.toLowerCase()}`,
+        `/users/${encodeURIComponent(trimmedUsername)}/repos`,
+        {
+          params: PREVIEW_REPOSITORY_PARAMS,
           signal: repoAbortControllerRef.current.signal,
-          headers: getGitHubHeaders()
+          ttl: CACHE_TTL.repos,
+          memoryCache: repoCacheRef.current,
+          transform: toPreviewRepositories,
+          onStale: (entry) => setUserRepositories(entry.data),
+          onMiss: () => setLoadingRepos(true)
         }
       );
       
-      // Update rate limit info
-      const remaining = response.headers.get('X-RateLimit-Remaining');
-      const resetTime = response.headers.get('X-RateLimit-Reset');
-      
-      setRateLimitInfo(prev => ({
-        ...prev,
-        remaining: remaining ? parseInt(remaining) : prev.remaining,
-        resetTime: resetTime ? new Date(parseInt(resetTime) * 1000) : prev.resetTime,
-        isLimited: response.status === 403 && remaining === '0'
-      }));
-      
-      if (response.ok) {
-        const repos = await response.json();
-        
-        // Filter and format repositories
-        const formattedRepos = repos
-          .filter(repo => !repo.private)
-          .map(repo => ({
-            id: repo.id,
-            name: repo.name,
-            full_name: repo.full_name,
-            description: repo.description,
-            html_url: repo.html_url,
-            homepage: repo.homepage,
-            language: repo.language,
-            stargazers_count: repo.stargazers_count,
-            forks_count: repo.forks_count,
-            updated_at: repo.updated_at,
-            topics: repo.topics || []
-          }))
-          .slice(0, 8); // Show top 8 repositories
-        
-        // Cache the repositories
-        repoCacheRef.current.set(cacheKey, formattedRepos);
-        setUserRepositories(formattedRepos);
+      if (result.ok) {
+        setUserRepositories(result.data);
       } else {
-        console.error('Error fetching repositories:', response.status);
+        console.error('Error fetching repositories:', result.response.status);
         setUserRepositories([]);
       }
     } catch (error) {
       const errorMessage = handleApiError(error, null);
       if (errorMessage) {
         console.error('Error fetching repositories:', errorMessage);
+        setUserRepositories([]);
       }
-      setUserRepositories([]);
     } finally {
       setLoadingRepos(false);
       repoAbortControllerRef.current = null;
     }
-  }, [cleanupAbortController, handleApiError, getGitHubHeaders]);
+  }, [cleanupAbortController, handleApiError]);
+
+  // Fetch one page of a user's public repositories for the repository browser
+  const fetchRepositoryPage = useCallback(async (username, page, signal) => {
+    const result = await cachedGithubFetch(
+      `repos_${username.toLowerCase()}_page_${page}`,
+      `/users/${encodeURIComponent(username)}/repos`,
+      {
+        params: { sort: 'pushed', per_page: REPOS_PER_PAGE, page },
+        signal,
+        ttl: CACHE_TTL.repos,
+        memoryCache: repoCacheRef.current,
+        transform: (repos) => repos
+          .filter(repo => !repo.private)
+          .map(formatRepository)
+      }
+    );
+
+    if (!result.ok) {
+      throw new Error(handleApiError(new Error(`GitHub API error: ${result.response.status}`), result.response));
+    }
+
+    return result.data;
+  }, [handleApiError]);
+
+  // Every public repository of a user. When the profile preview already holds them all it is
+  // served from the same repos_ entry; larger accounts are paged like the repository browser.
+  const fetchAllUserRepositories = useCallback(async (user, signal) => {
+    if (user.public_repos > PREVIEW_REPOSITORY_COUNT) {
+      return fetchAllRepositories(fetchRepositoryPage, user.login, signal);
+    }
+
+    const result = await cachedGithubFetch(
+      `repos_${user.login.toLowerCase()}`,
+      `/users/${encodeURIComponent(user.login)}/repos`,
+      {
+        params: PREVIEW_REPOSITORY_PARAMS,
+        signal,
+        ttl: CACHE_TTL.repos,
+        memoryCache: repoCacheRef.current,
+        transform: toPreviewRepositories
+      }
+    );
+
+    if (!result.ok) {
+      throw new Error(handleApiError(new Error(`GitHub API error: ${result.response.status}`), result.response));
+    }
+
+    return result.data;
+  }, [fetchRepositoryPage, handleApiError]);
+
+  // Fetch any other API resource for child views through the shared caches
+  const fetchResource = useCallback(async (key, path, { params, signal, ttl, headers, parse, transform, priority, persist } = {}) => {
+    const result = await cachedGithubFetch(key, path, {
+      params,
+      signal,
+      ttl,
+      headers,
+      parse,
+      transform,
+      priority,
+      persist,
+      memoryCache: resourceCacheRef.current
+    });
+
+    if (!result.ok) {
+      const message = result.data?.message || `GitHub API error: ${result.response.status}`;
+      throw new Error(handleApiError(new Error(message), result.response));
+    }
+
+    return result.data;
+  }, [handleApiError]);
+
+  // Fetch a profile through the same user cache the profile view uses, e.g. for bulk lookups
+  const fetchUserProfile = useCallback(async (login, { signal, priority } = {}) => {
+    const result = await cachedGithubFetch(`user_${login.toLowerCase()}`, `/users/${encodeURIComponent(login)}`, {
+      signal,
+      ttl: CACHE_TTL.user,
+      memoryCache: userCacheRef.current,
+      priority
+    });
+
+    if (!result.ok) {
+      const message = result.data?.message || `GitHub API error: ${result.response.status}`;
+      throw new Error(handleApiError(new Error(message), result.response));
+    }
+
+    return result.data;
+  }, [handleApiError]);
+
+  // Load the profile and top repositories in one GraphQL query and store them under the REST
+  // cache keys, so the REST fetches that follow are served from the cache. Organizations are
+  // left to /users/:login/orgs: GraphQL would include private memberships the token can see.
+  // Resolves to null for organizations and on any failure, leaving REST to do the work.
+  const fetchGraphqlProfile = useCallback(async (username, signal) => {
+    const generation = getCacheGeneration();
+    try {
+      const result = await cachedGithubFetch(`graphql_profile_${username.toLowerCase()}`, '/graphql', {
+        signal,
+        ttl: CACHE_TTL.profile,
+        memoryCache: userCacheRef.current,
+        transform: mapProfile,
+        request: () => fetchProfile(username, { signal, priority: PRIORITY.urgent })
+      });
+
+      if (!result.ok || !result.data) return null;
+
+      const { user, repositories, repositoryLanguages } = result.data;
+      const login = user.login.toLowerCase();
+      primeCache(`user_${login}`, user, result.storedAt, userCacheRef.current, generation);
+      primeCache(`repos_${login}`, repositories, result.storedAt, repoCacheRef.current, generation);
+      Object.entries(repositoryLanguages).forEach(([fullName, languages]) => {
+        primeCache(`languages_${fullName.toLowerCase()}`, languages, result.storedAt, resourceCacheRef.current, generation);
+      });
+
+      return result.data;
+    } catch (error) {
+      if (error.name !== 'AbortError') {
+        console.error('GraphQL profile query failed, falling back to REST:', error.message);
+      }
+      return null;
+    }
+  }, []);
 
   // Updated function to fetch user data with repository fetching
-  const fetchGithubUserData = useCallback(async (searchUsername = userName) => {
+  const fetchGithubUserData = useCallback(async (searchUsername) => {
     const trimmedUsername = searchUsername.trim();
     
     if (!trimmedUsername) {
-      setError("Please enter a username");
+      setError(translate('errors.enterUsername'));
       return;
     }
 
-    // Check cache first
-    const cacheKey = `user_${trimmedUsername.toLowerCase()}`;
-    const cachedUser = userCacheRef.current.get(cacheKey);
-    
-    if (cachedUser) {
-      setUserData(cachedUser);
-      setShowSuggestions(false);
-      setSuggestions([]);
-      setError(null);
-      addToSearchHistory(trimmedUsername);
-      
-      // Fetch repositories for cached user
-      fetchUserRepositories(trimmedUsername);
-      return;
-    }
-
-    setLoading(true);
     setError(null);
-    setUserRepositories([]); // Clear previous repos
     
     // Cancel previous user request
     cleanupAbortController(userAbortControllerRef);
     userAbortControllerRef.current = new AbortController();
+    const { signal } = userAbortControllerRef.current;
+
+    const showUser = (data, storedAt, revalidating, offline = false) => {
+      setUserData(data);
+      setUserCacheStatus({ storedAt, revalidating, offline });
+      setShowSuggestions(false);
+      setSuggestions([]);
+      addToSearchHistory(trimmedUsername);
+    };
+
+    // Stale cached data is shown right away while it is revalidated
+    let showedStale = false;
     
     try {
-      const response = await fetch(
-        `https://api.github.com/users/${encodeURIComponent(trimmedUsername)}`,
-        { 
-          signal: userAbortControllerRef.current.signal,
-          headers: getGitHubHeaders()
+      if (hasGitHubToken()) {
+        const profile = await fetchGraphqlProfile(trimmedUsername, signal);
+        if (signal.aborted) return;
+        setPinnedRepositories(profile?.pinnedRepositories || []);
+      } else {
+        setPinnedRepositories([]);
+      }
+
+      const result = await cachedGithubFetch(
+        `user_${trimmedUsername.toLowerCase()}`,
+        `/users/${encodeURIComponent(trimmedUsername)}`,
+        {
+          signal,
+          ttl: CACHE_TTL.user,
+          memoryCache: userCacheRef.current,
+          priority: PRIORITY.urgent,
+          onStale: (entry) => {
+            showedStale = true;
+            showUser(entry.data, entry.storedAt, true);
+            announce(translate('announce.profileLoaded', { login: entry.data.login }));
+            fetchUserRepositories(trimmedUsername);
+          },
+          onMiss: () => {
+            setLoading(true);
+            announce(translate('announce.loadingProfile', { login: trimmedUsername }));
+            setUserRepositories([]); // Clear previous repos
+          }
         }
       );
       
-      // Update rate limit info
-      const remaining = response.headers.get('X-RateLimit-Remaining');
-      const resetTime = response.headers.get('X-RateLimit-Reset');
-      
-      setRateLimitInfo(prev => ({
-        ...prev,
-        remaining: remaining ? parseInt(remaining) : prev.remaining,
-        resetTime: resetTime ? new Date(parseInt(resetTime) * 1000) : prev.resetTime,
-        isLimited: response.status === 403 && remaining === '0'
-      }));
-      
-      const data = await response.json();
-      
-      if (response.ok && data) {
-        // Cache the user data
-        userCacheRef.current.set(cacheKey, data);
-        setUserData(data);
-        setShowSuggestions(false);
-        setSuggestions([]);
-        addToSearchHistory(trimmedUsername);
+      if (result.ok) {
+        showUser(result.data, result.storedAt, false, Boolean(result.offline));
         
         // Fetch user repositories
-        fetchUserRepositories(trimmedUsername);
+        if (!showedStale) {
+          announce(translate('announce.profileLoaded', { login: result.data.login }));
+          fetchUserRepositories(trimmedUsername);
+        }
       } else {
-        const errorMessage = handleApiError(null, response) || data.message || "User not found";
+        const errorMessage = handleApiError(null, result.response)
+          || (result.response.status !== 404 && result.data?.message)
+          || translate('errors.userNotFound');
         setError(errorMessage);
         setUserData(null);
         setUserRepositories([]);
       }
     } catch (error) {
       const errorMessage = handleApiError(error, null);
-      if (errorMessage) {
+      if (error.name === OFFLINE_ERROR) {
+        // Nothing cached for this user: look it up once the connection is back
+        setQueuedSearches(prev => [
+          trimmedUsername,
+          ...prev.filter(queued => queued.toLowerCase() !== trimmedUsername.toLowerCase())
+        ]);
+        setError(translate('errors.offlineQueued', { login: trimmedUsername }));
+        setUserData(null);
+        setUserRepositories([]);
+      } else if (showedStale) {
+        // Keep showing the cached profile when revalidation fails
+        setUserCacheStatus(prev => ({ ...prev, revalidating: false }));
+      } else if (errorMessage) {
         setError(errorMessage);
         setUserData(null);
         setUserRepositories([]);
@@ -348,7 +480,142 @@ export default function GithubProfileFinder() {
       setLoading(false);
       userAbortControllerRef.current = null;
     }
-  }, [userName, cleanupAbortController, handleApiError, fetchUserRepositories, getGitHubHeaders]);
+  }, [cleanupAbortController, handleApiError, fetchGraphqlProfile, fetchUserRepositories, announce]);
+
+  // Show a profile and record it in the browser history
+  const openProfile = useCallback((login) => {
+    focusAfterSearchRef.current = login;
+    navigate({ view: 'profile', login });
+    setUserName(login);
+    setActiveView('profile');
+    setRepositoryOptions(DEFAULT_REPOSITORY_OPTIONS);
+    fetchGithubUserData(login);
+  }, [fetchGithubUserData]);
+
+  // Pin the profiles a compare URL names, loading those not pinned yet through the profile cache.
+  // With fewer than two left to compare, fall back to the profile.
+  const loadComparison = useCallback(async (logins) => {
+    const users = await Promise.all(logins.slice(0, MAX_PINNED_USERS).map(login => (
+      pinnedUsers.find(pinned => pinned.login.toLowerCase() === login.toLowerCase())
+      || fetchUserProfile(login)
+        .catch(error => {
+          console.error(`Error loading ${login} for comparison:`, error.message);
+          return null;
+        })
+    )));
+
+    // The user may have moved on while the profiles loaded
+    if (parseLocation().view !== 'compare') return;
+
+    const found = users.filter(Boolean);
+    setPinnedUsers(found);
+    if (found.length < 2) {
+      const login = userData?.login || DEFAULT_USERNAME;
+      navigate({ view: 'profile', login }, { replace: true });
+      setActiveView('profile');
+      if (!userData) fetchGithubUserData(login);
+    }
+  }, [pinnedUsers, userData, fetchUserProfile, fetchGithubUserData]);
+
+  // Show the view a URL describes, loading the user unless it is already displayed
+  const applyRoute = useCallback((route) => {
+    setActiveView(route.view);
+    setRepositoryOptions(route.repositoryOptions);
+    setConnectionsTab(route.connectionsTab);
+    setSearchOptions(route.searchOptions);
+
+    if (route.view === 'compare') {
+      loadComparison(route.compareLogins);
+      return;
+    }
+
+    // The search, settings, "Me", watchlist and bulk pages don't need a profile loaded
+    if (['search', 'settings', 'me', 'watchlist', 'bulk'].includes(route.view)) return;
+
+    const login = route.login || DEFAULT_USERNAME;
+    if (route.login) {
+      setUserName(route.login);
+    }
+    if (login.toLowerCase() !== userData?.login.toLowerCase()) {
+      fetchGithubUserData(login);
+    }
+  }, [userData, fetchGithubUserData, loadComparison]);
+
+  const openRepositoryBrowser = useCallback(() => {
+    navigate({ view: 'repositories', login: userData.login, repositoryOptions });
+    setActiveView('repositories');
+  }, [userData, repositoryOptions]);
+
+  // Filter and sort changes replace the history entry instead of piling up
+  const changeRepositoryOptions = useCallback((options) => {
+    navigate({ view: 'repositories', login: userData.login, repositoryOptions: options }, { replace: true });
+    setRepositoryOptions(options);
+  }, [userData]);
+
+  const showUserProfile = useCallback(() => {
+    navigate({ view: 'profile', login: userData.login });
+    setActiveView('profile');
+  }, [userData]);
+
+  // Each submitted search is its own history entry
+  const changeSearchOptions = useCallback((options) => {
+    navigate({ view: 'search', searchOptions: options });
+    setSearchOptions(options);
+    setActiveView('search');
+  }, []);
+
+  const openSettings = useCallback(() => {
+    navigate({ view: 'settings' });
+    setActiveView('settings');
+  }, []);
+
+  const openMe = useCallback(() => {
+    navigate({ view: 'me' });
+    setActiveView('me');
+  }, []);
+
+  const openWatchlist = useCallback(() => {
+    navigate({ view: 'watchlist' });
+    setActiveView('watchlist');
+  }, []);
+
+  const openBulkLookup = useCallback(() => {
+    navigate({ view: 'bulk' });
+    setActiveView('bulk');
+  }, []);
+
+  const watchProfile = useCallback(async (login) => {
+    const entry = await addToWatchlist(login);
+    setWatchlist(prev => [...prev.filter(watched => watched.key !== entry.key), entry]);
+  }, []);
+
+  // Unwatching also drops the profile's snapshots
+  const unwatchProfile = useCallback(async (login) => {
+    await removeFromWatchlist(login);
+    setWatchlist(prev => prev.filter(watched => watched.key !== login.toLowerCase()));
+  }, []);
+
+  // Leave a page that doesn't belong to a profile, e.g. search or settings
+  const returnToProfile = useCallback(() => {
+    if (userData) {
+      navigate({ view: 'profile', login: userData.login });
+      setActiveView('profile');
+    } else {
+      openProfile(DEFAULT_USERNAME);
+    }
+  }, [userData, openProfile]);
+
+  // Open a profile sub-view without extra state, e.g. analytics or activity
+  const openProfileView = useCallback((view) => {
+    navigate({ view, login: userData.login });
+    setActiveView(view);
+  }, [userData]);
+
+  const openConnections = useCallback((tab) => {
+    navigate({ view: 'connections', login: userData.login, connectionsTab: tab });
+    setConnectionsTab(tab);
+    setActiveView('connections');
+  }, [userData]);
 
   // Add to search history
   const addToSearchHistory = useCallback((username) => {
@@ -361,9 +628,9 @@ export default function GithubProfileFinder() {
   // Optimized submit handler
   const handleSubmit = useCallback(() => {
     if (userName.trim()) {
-      fetchGithubUserData(userName.trim());
+      openProfile(userName.trim());
     }
-  }, [userName, fetchGithubUserData]);
+  }, [userName, openProfile]);
 
   // Optimized input change handler with better debouncing
   const handleInputChange = useCallback((event) => {
@@ -400,6 +667,14 @@ export default function GithubProfileFinder() {
       return;
     }
 
+    // Down arrow reopens suggestions that were dismissed with Escape
+    if (event.key === 'ArrowDown' && !showSuggestions && suggestions.length > 0) {
+      event.preventDefault();
+      setShowSuggestions(true);
+      setActiveSuggestion(0);
+      return;
+    }
+
     if (!showSuggestions) return;
 
     switch (event.key) {
@@ -413,6 +688,10 @@ export default function GithubProfileFinder() {
         event.preventDefault();
         setActiveSuggestion(prev => prev > 0 ? prev - 1 : -1);
         break;
+      case 'Tab':
+        setShowSuggestions(false);
+        setActiveSuggestion(-1);
+        break;
       case 'Enter':
         event.preventDefault();
         if (activeSuggestion >= 0) {
@@ -439,9 +718,9 @@ export default function GithubProfileFinder() {
     
     // Automatically search when suggestion is selected
     setTimeout(() => {
-      fetchGithubUserData(suggestion.login);
+      openProfile(suggestion.login);
     }, 50); // Reduced delay
-  }, [fetchGithubUserData, cleanupAbortController]);
+  }, [openProfile, cleanupAbortController]);
 
   // Optimized blur handler
   const handleInputBlur = useCallback(() => {
@@ -459,15 +738,57 @@ export default function GithubProfileFinder() {
     }
   }, [suggestions.length, userName.length]);
 
-  // Clear cache function
-  const clearCache = useCallback(() => {
+  const clearResponseCaches = useCallback(() => {
     cacheRef.current.clear();
     userCacheRef.current.clear();
     repoCacheRef.current.clear();
+    resourceCacheRef.current.clear();
+    clearCacheEntries();
+  }, []);
+
+  // Clear cache function
+  const clearCache = useCallback(() => {
+    clearResponseCaches();
     setSearchHistory([]);
     setUserRepositories([]);
+  }, [clearResponseCaches]);
+
+  // Another token can see different data and has its own budgets, so nothing cached carries over
+  const changeToken = useCallback(() => {
+    clearResponseCaches();
+    rateLimitScheduler.reset();
+    rateLimitScheduler.sync();
+    setTokenVersion(version => version + 1);
+  }, [clearResponseCaches]);
+
+  // Pin the loaded profile for side-by-side comparison
+  const pinUser = useCallback((user) => {
+    setPinnedUsers(prev => {
+      if (prev.length >= MAX_PINNED_USERS || prev.some(pinned => pinned.login === user.login)) {
+        return prev;
+      }
+      return [...prev, user];
+    });
   }, []);
 
+  const openComparison = useCallback(() => {
+    navigate({ view: 'compare', compareLogins: pinnedUsers.map(pinned => pinned.login) });
+    setActiveView('compare');
+  }, [pinnedUsers]);
+
+  const unpinUser = useCallback((login) => {
+    const remaining = pinnedUsers.filter(pinned => pinned.login !== login);
+    setPinnedUsers(remaining);
+    if (activeView !== 'compare') return;
+
+    // Comparison needs at least two profiles
+    if (remaining.length >= 2) {
+      navigate({ view: 'compare', compareLogins: remaining.map(pinned => pinned.login) }, { replace: true });
+    } else {
+      returnToProfile();
+    }
+  }, [pinnedUsers, activeView, returnToProfile]);
+
   // Memoized suggestions list for better performance
   const suggestionsList = useMemo(() => {
     if (!showSuggestions || suggestions.length === 0) return null;
@@ -475,41 +796,144 @@ export default function GithubProfileFinder() {
     return (
       <div className="suggestions-dropdown">
         {isLoadingSuggestions && (
-          <div className="suggestion-loading">
-            <span>Searching...</span>
+          <div className="suggestion-loading" aria-hidden="true">
+            <span>{t('search.suggestionsLoading')}</span>
           </div>
         )}
-        {suggestions.map((suggestion, index) => (
-          <div
-            key={suggestion.id}
-            className={`suggestion-item ${index === activeSuggestion ? 'active' : ''}`}
-            onClick={() => selectSuggestion(suggestion)}
-          >
-            <img 
-              src={suggestion.avatar_url} 
-              alt={suggestion.login}
-              className="suggestion-avatar"
-              loading="lazy"
-            />
-            <div className="suggestion-info">
-              <span className="suggestion-username">{suggestion.login}</span>
-              {suggestion.type && (
-                <span className="suggestion-type">{suggestion.type}</span>
-              )}
-              {suggestion.score && (
-                <span className="suggestion-score">Score: {Math.round(suggestion.score)}</span>
-              )}
+        <div id={SUGGESTIONS_ID} role="listbox" aria-label={t('search.suggestionsLabel')}>
+          {suggestions.map((suggestion, index) => (
+            <div
+              key={suggestion.id}
+              id={suggestionId(index)}
+              role="option"
+              aria-selected={index === activeSuggestion}
+              className={`suggestion-item ${index === activeSuggestion ? 'active' : ''}`}
+              // Keep focus in the input so the click isn't lost to the blur handler
+              onMouseDown={(event) => event.preventDefault()}
+              onMouseEnter={() => setActiveSuggestion(index)}
+              onClick={() => selectSuggestion(suggestion)}
+            >
+              <img 
+                src={suggestion.avatar_url} 
+                alt=""
+                className="suggestion-avatar"
+                loading="lazy"
+              />
+              <div className="suggestion-info">
+                <span className="suggestion-username">{suggestion.login}</span>
+                {suggestion.type && (
+                  <span className="suggestion-type">{suggestion.type}</span>
+                )}
+                {suggestion.score && (
+                  <span className="suggestion-score">{t('search.score', { score: Math.round(suggestion.score) })}</span>
+                )}
+              </div>
             </div>
-          </div>
-        ))}
+          ))}
+        </div>
       </div>
     );
-  }, [showSuggestions, suggestions, activeSuggestion, isLoadingSuggestions, selectSuggestion]);
+  }, [showSuggestions, suggestions, activeSuggestion, isLoadingSuggestions, selectSuggestion, t]);
 
-  // Load default user on mount
+  // Keep the highlighted suggestion visible while arrowing through a scrolled list
   useEffect(() => {
-    fetchGithubUserData("ankitdeardigital");
-  }, [fetchGithubUserData]);
+    if (activeSuggestion < 0) return;
+    document.getElementById(suggestionId(activeSuggestion))?.scrollIntoView({ block: 'nearest' });
+  }, [activeSuggestion]);
+
+  // The loading screen replaces the search input, so once a search settles move focus to
+  // the profile, or back to the input to correct the name if it failed
+  useEffect(() => {
+    const login = focusAfterSearchRef.current;
+    if (!login || loading) return;
+    if (error) {
+      focusAfterSearchRef.current = null;
+      searchInputRef.current?.focus();
+    } else if (userData?.login.toLowerCase() === login.toLowerCase()) {
+      focusAfterSearchRef.current = null;
+      profileRef.current?.focus();
+    }
+  }, [loading, error, userData]);
+
+  // Announce when the core budget runs low or out, not on every request in between
+  const rateLimitAnnouncement = coreRateLimit?.remaining === 0 && coreRateLimit.resetTime
+    ? t('announce.rateLimitExhausted', { time: formatDate(coreRateLimit.resetTime, RESET_TIME) })
+    : coreRateLimit?.remaining > 0 && coreRateLimit.remaining <= 10
+      ? t('announce.rateLimitLow')
+      : null;
+
+  useEffect(() => {
+    if (rateLimitAnnouncement) announce(rateLimitAnnouncement);
+  }, [rateLimitAnnouncement, announce]);
+
+  // Load the user from the URL on mount, falling back to the default user
+  const initialRouteAppliedRef = useRef(false);
+  useEffect(() => {
+    if (initialRouteAppliedRef.current) return;
+    initialRouteAppliedRef.current = true;
+    applyRoute(parseLocation());
+  }, [applyRoute]);
+
+  useEffect(() => {
+    readWatchlist().then(setWatchlist);
+  }, []);
+
+  // Every visit to a watched profile records a snapshot (recordSnapshot skips recent duplicates)
+  const isWatched = userData !== null && watchlist.some(entry => entry.key === userData.login.toLowerCase());
+  const revalidatingUser = Boolean(userCacheStatus?.revalidating);
+  const offlineUser = Boolean(userCacheStatus?.offline);
+  useEffect(() => {
+    // Wait for fresh data rather than snapshotting a stale cached profile
+    if (!isWatched || revalidatingUser || offlineUser) return;
+
+    const controller = new AbortController();
+    fetchAllRepositories(fetchRepositoryPage, userData.login, controller.signal)
+      .then(repositories => recordSnapshot(buildSnapshot(userData, repositories)))
+      .catch(error => {
+        if (error.name !== 'AbortError') {
+          console.error('Error recording snapshot:', error.message);
+        }
+      });
+    return () => controller.abort();
+  }, [isWatched, revalidatingUser, offlineUser, userData, fetchRepositoryPage]);
+
+  // Back online: look up the searches queued meanwhile and refresh a profile shown from the cache
+  useEffect(() => {
+    const handleOnline = () => {
+      const { login } = parseLocation();
+      const current = login?.toLowerCase();
+
+      queuedSearches
+        .filter(queued => queued.toLowerCase() !== current)
+        .forEach(queued => {
+          cachedGithubFetch(`user_${queued.toLowerCase()}`, `/users/${encodeURIComponent(queued)}`, {
+            ttl: CACHE_TTL.user,
+            memoryCache: userCacheRef.current,
+            priority: PRIORITY.low
+          }).catch(error => console.error(`Error loading queued search ${queued}:`, error.message));
+        });
+      setQueuedSearches([]);
+
+      if (login && (!userData || offlineUser || userData.login.toLowerCase() !== current)) {
+        fetchGithubUserData(login);
+      }
+    };
+
+    window.addEventListener('online', handleOnline);
+    return () => window.removeEventListener('online', handleOnline);
+  }, [queuedSearches, userData, offlineUser, fetchGithubUserData]);
+
+  // Follow browser back/forward navigation
+  useEffect(() => {
+    const handlePopState = () => applyRoute(parseLocation());
+    window.addEventListener('popstate', handlePopState);
+    return () => window.removeEventListener('popstate', handlePopState);
+  }, [applyRoute]);
+
+  // Start from the real budgets; /rate_limit requests are free
+  useEffect(() => {
+    rateLimitScheduler.sync();
+  }, []);
 
   // Cleanup on unmount
   useEffect(() => {
@@ -530,25 +954,23 @@ export default function GithubProfileFinder() {
     return (
       <div className="error-message">
         <p>{error}</p>
-        {rateLimitInfo.isLimited && rateLimitInfo.resetTime && (
+        {coreRateLimit?.remaining === 0 && coreRateLimit.resetTime && (
           <div className="rate-limit-info">
-            <p>Rate limit resets at: {rateLimitInfo.resetTime.toLocaleTimeString()}</p>
+            <p>{t('rateLimit.resetsAt', { time: formatDate(coreRateLimit.resetTime, RESET_TIME) })}</p>
             <div className="rate-limit-solutions">
-              <h4>💡 Solutions to avoid rate limits:</h4>
+              <h4>{t('rateLimit.solutionsTitle')}</h4>
               <ul>
-                <li>🔑 Add a GitHub token to get 5000 requests/hour instead of 60</li>
-                <li>⏰ Wait until {rateLimitInfo.resetTime.toLocaleTimeString()} for the limit to reset</li>
-                <li>💾 Use cached results from search history</li>
-                <li>🧹 Clear cache to free up memory and rely on cached data</li>
+                <li>{t('rateLimit.solutionToken')}</li>
+                <li>{t('rateLimit.solutionWait', { time: formatDate(coreRateLimit.resetTime, RESET_TIME) })}</li>
+                <li>{t('rateLimit.solutionHistory')}</li>
+                <li>{t('rateLimit.solutionClear')}</li>
               </ul>
               <div className="token-instructions">
-                <p><strong>How to add a GitHub token:</strong></p>
+                <p><strong>{t('rateLimit.howToTitle')}</strong></p>
                 <ol>
-                  <li>Go to <a href="https://github.com/settings/tokens" target="_blank" rel="noopener noreferrer">GitHub Settings → Tokens</a></li>
-                  <li>Generate a new token (no special permissions needed)</li>
-                  <li>Create a <code>.env</code> file in your project root</li>
-                  <li>Add: <code>VITE_GITHUB_TOKEN=your_token_here</code></li>
-                  <li>Restart the development server</li>
+                  <li>{t('rateLimit.howToGoTo')} <a href={webUrl('settings/tokens')} target="_blank" rel="noopener noreferrer">{t('rateLimit.howToSettingsLink')}</a></li>
+                  <li>{t('rateLimit.howToGenerate')}</li>
+                  <li>{t('rateLimit.howToOpen')} <button className="inline-link-button" onClick={openSettings}>{t('rateLimit.howToSettingsButton')}</button> {t('rateLimit.howToPaste')}</li>
                 </ol>
               </div>
             </div>
@@ -556,7 +978,7 @@ export default function GithubProfileFinder() {
         )}
       </div>
     );
-  }, [error, rateLimitInfo]);
+  }, [error, coreRateLimit, openSettings, t]);
 
   // Memoized search history
   const searchHistoryComponent = useMemo(() => {
@@ -564,32 +986,101 @@ export default function GithubProfileFinder() {
 
     return (
       <div className="search-history">
-        <span className="history-label">Recent searches:</span>
+        <span className="history-label">{t('history.label')}</span>
         {searchHistory.map((username, index) => (
           <button
             key={index}
             className="history-item"
-            onClick={() => {
-              setUserName(username);
-              fetchGithubUserData(username);
-            }}
+            onClick={() => openProfile(username)}
           >
             {username}
           </button>
         ))}
-        <button className="clear-cache-btn" onClick={clearCache} title="Clear cache and history">
-          Clear
+        <button className="clear-cache-btn" onClick={clearCache} title={t('history.clearTitle')}>
+          {t('history.clear')}
         </button>
       </div>
     );
-  }, [searchHistory, fetchGithubUserData, clearCache]);
+  }, [searchHistory, openProfile, clearCache, t]);
+
+  // Memoized pinned profiles bar
+  const pinnedUsersComponent = useMemo(() => {
+    const canPinCurrent = userData !== null
+      && pinnedUsers.length < MAX_PINNED_USERS
+      && !pinnedUsers.some(pinned => pinned.login === userData.login);
+
+    if (pinnedUsers.length === 0 && !canPinCurrent) return null;
+
+    return (
+      <div className="search-history pinned-users">
+        <span className="history-label">{t('compare.label')}</span>
+        {pinnedUsers.map(pinned => (
+          <span key={pinned.login} className="history-item pinned-user">
+            {pinned.login}
+            <button
+              className="pinned-remove"
+              onClick={() => unpinUser(pinned.login)}
+              title={t('compare.unpin', { login: pinned.login })}
+            >
+              ×
+            </button>
+          </span>
+        ))}
+        {canPinCurrent && (
+          <button className="history-item" onClick={() => pinUser(userData)}>
+            {t('compare.pin', { login: userData.login })}
+          </button>
+        )}
+        <button
+          className="clear-cache-btn compare-btn"
+          onClick={openComparison}
+          disabled={pinnedUsers.length < 2}
+          title={pinnedUsers.length < 2 ? t('compare.needTwo') : ''}
+        >
+          {t('compare.button', { count: pinnedUsers.length, max: MAX_PINNED_USERS })}
+        </button>
+      </div>
+    );
+  }, [userData, pinnedUsers, pinUser, unpinUser, openComparison, t]);
+
+  // Memoized watchlist bar
+  const watchlistComponent = useMemo(() => {
+    if (watchlist.length === 0) return null;
+
+    return (
+      <div className="search-history watchlist-bar">
+        <span className="history-label">{t('watchlist.label')}</span>
+        {watchlist.map(entry => (
+          <button
+            key={entry.key}
+            className="history-item"
+            onClick={() => openProfile(entry.login)}
+          >
+            {entry.login}
+          </button>
+        ))}
+        <button className="clear-cache-btn compare-btn" onClick={openWatchlist}>
+          {t('watchlist.changes', { count: watchlist.length })}
+        </button>
+      </div>
+    );
+  }, [watchlist, openProfile, openWatchlist, t]);
+
+  // Rendered first in both layouts so the regions stay mounted across the loading screen
+  const liveRegions = (
+    <>
+      <div className="visually-hidden" role="status" aria-live="polite">{announcement}</div>
+      <div className="visually-hidden" role="alert">{error}</div>
+    </>
+  );
 
   if (loading) {
     return (
       <div className="github-profile-container">
+        {liveRegions}
         <div className="loading-container">
           <div className="loading-spinner"></div>
-          <h1>Loading user data...</h1>
+          <h1>{t('loading.user')}</h1>
         </div>
       </div>
     );
@@ -597,78 +1088,249 @@ export default function GithubProfileFinder() {
 
   return (
     <div className="github-profile-container">
+      {liveRegions}
       <div className="input-wrapper">
         <div className="search-container">
           <input
+            ref={searchInputRef}
             name="search-by-username"
             type="text"
-            placeholder="Search Github Username..."
+            placeholder={t('search.placeholder')}
             value={userName}
             onChange={handleInputChange}
             onKeyDown={handleKeyDown}
             onBlur={handleInputBlur}
             onFocus={handleInputFocus}
             autoComplete="off"
-            aria-label="GitHub username search"
-            aria-expanded={showSuggestions}
-            aria-haspopup="listbox"
-            disabled={rateLimitInfo.isLimited}
+            role="combobox"
+            aria-label={t('search.ariaLabel')}
+            aria-autocomplete="list"
+            aria-expanded={suggestionsList !== null}
+            aria-controls={SUGGESTIONS_ID}
+            aria-activedescendant={suggestionsList && activeSuggestion >= 0 ? suggestionId(activeSuggestion) : undefined}
           />
           {suggestionsList}
         </div>
         <button 
           onClick={handleSubmit} 
-          disabled={!userName.trim() || loading || rateLimitInfo.isLimited}
+          disabled={!userName.trim() || loading}
           className="search-button"
-          title={rateLimitInfo.isLimited ? 'Rate limit exceeded. Please wait or add a GitHub token.' : ''}
         >
-          {loading ? 'Searching...' : rateLimitInfo.isLimited ? 'Rate Limited' : 'Search'}
+          {loading ? t('search.submitting') : t('search.submit')}
+        </button>
+        <button
+          onClick={() => changeSearchOptions(searchOptions)}
+          className="search-button advanced-search-button"
+          title={t('search.advancedTitle')}
+        >
+          {t('search.advanced')}
+        </button>
+        <button
+          onClick={openSettings}
+          className="search-button advanced-search-button"
+          title={t('search.tokenTitle')}
+        >
+          {t('search.token')}
         </button>
+        <button
+          onClick={openBulkLookup}
+          className="search-button advanced-search-button"
+          title={t('search.bulkTitle')}
+        >
+          {t('search.bulk')}
+        </button>
+        {hasGitHubToken() && (
+          <button
+            onClick={openMe}
+            className="search-button advanced-search-button"
+            title={t('search.meTitle')}
+          >
+            {t('search.me')}
+          </button>
+        )}
+        <LanguageSwitcher />
+        <ThemeSwitcher />
       </div>
       
       {/* Rate limit warning for low remaining calls */}
-      {rateLimitInfo.remaining !== null && rateLimitInfo.remaining <= 10 && rateLimitInfo.remaining > 0 && (
+      {coreRateLimit?.remaining > 0 && coreRateLimit.remaining <= 10 && (
         <div className="rate-limit-warning">
           <div className="warning-content">
             <span className="warning-icon">⚠️</span>
             <div className="warning-text">
-              <p><strong>Low API calls remaining: {rateLimitInfo.remaining}</strong></p>
-              <p>Consider adding a GitHub token to get 5000 requests/hour instead of 60.</p>
-              {rateLimitInfo.resetTime && (
-                <p>Rate limit resets at: {rateLimitInfo.resetTime.toLocaleTimeString()}</p>
+              <p><strong>{t('rateLimit.lowRemaining', { count: coreRateLimit.remaining })}</strong></p>
+              <p>{t('rateLimit.lowAdvice')}</p>
+              {coreRateLimit.resetTime && (
+                <p>{t('rateLimit.resetsAt', { time: formatDate(coreRateLimit.resetTime, RESET_TIME) })}</p>
               )}
             </div>
             <a 
-              href="https://github.com/settings/tokens" 
+              href={webUrl('settings/tokens')} 
               target="_blank" 
               rel="noopener noreferrer"
               className="get-token-link"
             >
-              Get Token
+              {t('rateLimit.getToken')}
             </a>
           </div>
         </div>
       )}
       
+      {!online && (
+        <div className="rate-limit-warning offline-warning" role="status">
+          <div className="warning-content">
+            <span className="warning-icon">📴</span>
+            <div className="warning-text">
+              <p><strong>{t('offline.title')}</strong></p>
+              {userData && userCacheStatus ? (
+                <p>{t('offline.cachedAsOf', {
+                  login: userData.login,
+                  time: formatDate(userCacheStatus.storedAt, { dateStyle: 'medium', timeStyle: 'short' })
+                })}</p>
+              ) : (
+                <p>{t('offline.cachedProfiles')}</p>
+              )}
+              {queuedSearches.length > 0 && (
+                <p>{t('offline.queued', { logins: queuedSearches.join(', ') })}</p>
+              )}
+            </div>
+          </div>
+        </div>
+      )}
+
+      <FixtureBar />
       {searchHistoryComponent}
+      {pinnedUsersComponent}
+      {watchlistComponent}
       {errorMessage}
       
-      {userData !== null ? (
+      {activeView === 'settings' ? (
+        <TokenSettings
+          onTokenChange={changeToken}
+          onClose={returnToProfile}
+        />
+      ) : activeView === 'watchlist' ? (
+        <Watchlist
+          watchlist={watchlist}
+          fetchResource={fetchResource}
+          fetchRepositoryPage={fetchRepositoryPage}
+          onSelectProfile={openProfile}
+          onUnwatch={unwatchProfile}
+          onClose={returnToProfile}
+        />
+      ) : activeView === 'bulk' ? (
+        <BulkLookup
+          fetchUserProfile={fetchUserProfile}
+          onClose={returnToProfile}
+        />
+      ) : activeView === 'me' ? (
+        <MyProfile
+          key={tokenVersion}
+          fetchResource={fetchResource}
+          onSelectProfile={openProfile}
+          onOpenSettings={openSettings}
+          onClose={returnToProfile}
+        />
+      ) : activeView === 'search' ? (
+        <AdvancedSearch
+          options={searchOptions}
+          onOptionsChange={changeSearchOptions}
+          fetchResource={fetchResource}
+          onSelectProfile={openProfile}
+          onClose={returnToProfile}
+        />
+      ) : activeView === 'compare' ? (
+        pinnedUsers.length >= 2 ? (
+          <CompareProfiles
+            users={pinnedUsers}
+            fetchRepositories={fetchAllUserRepositories}
+            onRemove={unpinUser}
+            onSelect={openProfile}
+            onClose={returnToProfile}
+          />
+        ) : (
+          <div className="repo-loading">
+            <span className="loading-dots">{t('common.loading')}</span>
+          </div>
+        )
+      ) : userData !== null && activeView === 'repositories' ? (
+        <RepositoryBrowser
+          user={userData}
+          options={repositoryOptions}
+          onOptionsChange={changeRepositoryOptions}
+          fetchRepositoryPage={fetchRepositoryPage}
+          onClose={showUserProfile}
+        />
+      ) : userData !== null && activeView === 'analytics' ? (
+        <LanguageAnalytics
+          key={userData.login}
+          user={userData}
+          rateLimitRemaining={coreRateLimit?.remaining ?? null}
+          fetchRepositoryPage={fetchRepositoryPage}
+          fetchResource={fetchResource}
+          onClose={showUserProfile}
+        />
+      ) : userData !== null && activeView === 'activity' ? (
+        <ActivityFeed
+          key={userData.login}
+          user={userData}
+          fetchResource={fetchResource}
+          onClose={showUserProfile}
+        />
+      ) : userData !== null && activeView === 'gists' ? (
+        <Gists
+          key={userData.login}
+          user={userData}
+          fetchResource={fetchResource}
+          onClose={showUserProfile}
+        />
+      ) : userData !== null && activeView === 'card' ? (
+        <ShareCard
+          key={userData.login}
+          user={userData}
+          fetchRepositoryPage={fetchRepositoryPage}
+          onClose={showUserProfile}
+        />
+      ) : userData !== null && activeView === 'connections' ? (
+        <Connections
+          key={userData.login}
+          user={userData}
+          tab={connectionsTab}
+          onTabChange={openConnections}
+          fetchResource={fetchResource}
+          onSelectProfile={openProfile}
+          onClose={showUserProfile}
+        />
+      ) : userData !== null && userData.type === 'Organization' ? (
+        <Organization
+          key={userData.login}
+          ref={profileRef}
+          organization={userData}
+          repositories={userRepositories}
+          loadingRepos={loadingRepos}
+          fetchResource={fetchResource}
+          onSelectProfile={openProfile}
+          onBrowseRepositories={openRepositoryBrowser}
+        />
+      ) : userData !== null ? (
         <User 
+          ref={profileRef}
           user={userData} 
           repositories={userRepositories}
+          pinnedRepositories={pinnedRepositories}
           loadingRepos={loadingRepos}
+          cacheStatus={userCacheStatus}
+          fetchResource={fetchResource}
+          onSelectProfile={openProfile}
+          onBrowseRepositories={openRepositoryBrowser}
+          onOpenConnections={openConnections}
+          onOpenView={openProfileView}
+          watched={isWatched}
+          onToggleWatch={() => (isWatched ? unwatchProfile(userData.login) : watchProfile(userData.login))}
         />
       ) : null}
       
-      {rateLimitInfo.remaining !== null && (
-        <div className={`rate-limit-display ${rateLimitInfo.remaining <= 10 ? 'warning' : ''} ${rateLimitInfo.isLimited ? 'limited' : ''}`}>
-          API calls remaining: {rateLimitInfo.remaining}
-          {import.meta.env.VITE_GITHUB_TOKEN && import.meta.env.VITE_GITHUB_TOKEN !== 'your_github_personal_access_token_here' && (
-            <span className="token-active"> (🔑 Token Active)</span>
-          )}
-        </div>
-      )}
+      <RateLimitStatus buckets={rateLimits} />
     </div>
   );
 }
\ No newline at end of file
@@ -0,0 +1,17 @@
+import { LOCALES, setLocale } from "../i18n";
+import useTranslation from "../hooks/useTranslation";
+
+export default function LanguageSwitcher() {
+  const { locale, t } = useTranslation();
+
+  return (
+    <label className="language-switcher" title={t('language.label')}>
+      <span aria-hidden="true">🌐</span>
+      <select value={locale} onChange={(e) => setLocale(e.target.value)} aria-label={t('language.label')}>
+        {Object.entries(LOCALES).map(([code, { label }]) => (
+          <option key={code} value={code} lang={code}>{label}</option>
+        ))}
+      </select>
+    </label>
+  );
+}
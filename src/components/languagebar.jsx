@@ -0,0 +1,17 @@
+import { getLanguageColor } from "../utils/languages";
+
+// Stacked bar of { name, share } entries as returned by rankTally
+export default function LanguageBar({ entries }) {
+  return (
+    <div className="language-bar">
+      {entries.map(({ name, share }) => (
+        <span
+          key={name}
+          className="language-bar-segment"
+          style={{ width: `${share * 100}%`, backgroundColor: getLanguageColor(name) }}
+          title={`${name} ${(share * 100).toFixed(1)}%`}
+        ></span>
+      ))}
+    </div>
+  );
+}
@@ -0,0 +1,223 @@
+import { useCallback, useMemo, useState } from "react";
+import { hasGitHubToken } from "../api/github";
+import { CACHE_TTL } from "../api/cache";
+import useAsyncData from "../hooks/useAsyncData";
+import useTranslation from "../hooks/useTranslation";
+import Repository from "./repository";
+import {
+  REPOS_PER_PAGE,
+  REPOSITORY_AFFILIATIONS,
+  REPOSITORY_PERMISSIONS,
+  REPOSITORY_VISIBILITIES,
+  fetchAllRepositories,
+  formatAccessibleRepository,
+  mergeAffiliations,
+  sortRepositories
+} from "../utils/repositories";
+
+const CARDS_PER_PAGE = 24;
+
+const DEFAULT_FILTERS = {
+  query: '',
+  visibility: '',
+  affiliation: '',
+  permission: ''
+};
+
+// Everything the token can reach: own, collaborator and organization repositories, private ones included
+export default function MyProfile({ fetchResource, onSelectProfile, onOpenSettings, onClose }) {
+  const { t } = useTranslation();
+  const [filters, setFilters] = useState(DEFAULT_FILTERS);
+  const [page, setPage] = useState(1);
+  const authenticated = hasGitHubToken();
+
+  const loadAccount = useCallback(async (signal) => {
+    if (!authenticated) return null;
+
+    const fetchAffiliationPage = (affiliation, pageNumber, pageSignal) => fetchResource(
+      `me_repos_${affiliation}_page_${pageNumber}`,
+      '/user/repos',
+      {
+        params: { affiliation, visibility: 'all', sort: 'pushed', per_page: REPOS_PER_PAGE, page: pageNumber },
+        signal: pageSignal,
+        ttl: CACHE_TTL.repos,
+        transform: (repos) => repos.map(formatAccessibleRepository),
+        persist: false
+      }
+    );
+
+    // One listing per affiliation tells us how each repository is reached. Private data stays
+    // in memory, so it is gone with the token instead of lingering in IndexedDB.
+    const affiliations = Object.keys(REPOSITORY_AFFILIATIONS);
+    const [user, ...lists] = await Promise.all([
+      fetchResource('me_user', '/user', { signal, ttl: CACHE_TTL.user, persist: false }),
+      ...affiliations.map(affiliation => fetchAllRepositories(fetchAffiliationPage, affiliation, signal))
+    ]);
+
+    const repositories = mergeAffiliations(Object.fromEntries(affiliations.map((affiliation, index) => [affiliation, lists[index]])));
+    return { user, repositories: sortRepositories(repositories, 'pushed', 'desc') };
+  }, [authenticated, fetchResource]);
+
+  const { data: account, loading, error } = useAsyncData(loadAccount);
+  const repositories = useMemo(() => account?.repositories || [], [account]);
+
+  const visibilityCounts = useMemo(() => {
+    const counts = {};
+    repositories.forEach(repo => {
+      counts[repo.visibility] = (counts[repo.visibility] || 0) + 1;
+    });
+    return counts;
+  }, [repositories]);
+
+  const visibleRepositories = useMemo(() => {
+    const query = filters.query.trim().toLowerCase();
+    return repositories.filter(repo => {
+      if (query && !repo.full_name.toLowerCase().includes(query)) return false;
+      if (filters.visibility && repo.visibility !== filters.visibility) return false;
+      if (filters.affiliation && !repo.affiliations.includes(filters.affiliation)) return false;
+      if (filters.permission && repo.permission !== filters.permission) return false;
+      return true;
+    });
+  }, [repositories, filters]);
+
+  const pageCount = Math.max(1, Math.ceil(visibleRepositories.length / CARDS_PER_PAGE));
+  const currentPage = Math.min(page, pageCount);
+  const pageRepositories = visibleRepositories.slice(
+    (currentPage - 1) * CARDS_PER_PAGE,
+    currentPage * CARDS_PER_PAGE
+  );
+
+  const updateFilter = (key) => (event) => {
+    setFilters(prev => ({ ...prev, [key]: event.target.value }));
+    setPage(1);
+  };
+
+  if (!authenticated) {
+    return (
+      <div className="repositories-section me-section">
+        <div className="section-header">
+          <h3 className="section-title">{t('me.title')}</h3>
+          <button className="view-all-repos" onClick={onClose}>
+            {t('common.backToProfile')}
+          </button>
+        </div>
+        <div className="no-repos-message">
+          <p>{t('me.needsToken')}</p>
+          <button className="view-all-repos" onClick={onOpenSettings}>
+            {t('me.addToken')}
+          </button>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="repositories-section me-section">
+      <div className="section-header">
+        <h3 className="section-title">
+          {account && <img src={account.user.avatar_url} alt={account.user.login} className="browser-avatar" />}
+          {account ? t('repositories.title', { login: account.user.login }) : t('me.title')}
+          {account && (
+            <span className="repo-count">
+              ({t('me.reachable', { count: repositories.length })}
+              {Object.keys(REPOSITORY_VISIBILITIES)
+                .filter(visibility => visibilityCounts[visibility])
+                .map(visibility => ` · ${t(`me.visibilityCount.${visibility}`, { count: visibilityCounts[visibility] })}`)
+                .join('')})
+            </span>
+          )}
+        </h3>
+        {loading && (
+          <div className="repo-loading">
+            <span className="loading-dots">{t('user.loadingRepos')}</span>
+          </div>
+        )}
+        <button className="view-all-repos" onClick={onClose}>
+          {t('common.backToProfile')}
+        </button>
+      </div>
+
+      {account && (
+        <div className="profile-actions">
+          <button className="view-all-repos" onClick={() => onSelectProfile(account.user.login)}>
+            {t('me.publicProfile')}
+          </button>
+        </div>
+      )}
+
+      <div className="repo-filters">
+        <label>
+          {t('me.name')}
+          <input type="text" value={filters.query} onChange={updateFilter('query')} placeholder="owner/repo" />
+        </label>
+        <label>
+          {t('me.visibility')}
+          <select value={filters.visibility} onChange={updateFilter('visibility')}>
+            <option value="">{t('repositories.type.all')}</option>
+            {Object.keys(REPOSITORY_VISIBILITIES).map(value => (
+              <option key={value} value={value}>{t(`repository.visibility.${value}`)}</option>
+            ))}
+          </select>
+        </label>
+        <label>
+          {t('me.affiliation')}
+          <select value={filters.affiliation} onChange={updateFilter('affiliation')}>
+            <option value="">{t('repositories.type.all')}</option>
+            {Object.keys(REPOSITORY_AFFILIATIONS).map(value => (
+              <option key={value} value={value}>{t(`repository.affiliation.${value}`)}</option>
+            ))}
+          </select>
+        </label>
+        <label>
+          {t('me.permission')}
+          <select value={filters.permission} onChange={updateFilter('permission')}>
+            <option value="">{t('repositories.type.all')}</option>
+            {Object.keys(REPOSITORY_PERMISSIONS).map(value => (
+              <option key={value} value={value}>{t(`repository.permission.${value}`)}</option>
+            ))}
+          </select>
+        </label>
+      </div>
+
+      {error && (
+        <div className="error-message">
+          <p>{error}</p>
+        </div>
+      )}
+
+      {!loading && account && visibleRepositories.length === 0 && (
+        <div className="no-repos-message">
+          <p>{t('repositories.noMatch')}</p>
+        </div>
+      )}
+
+      {pageRepositories.length > 0 && (
+        <div className="repositories-grid">
+          {pageRepositories.map((repo) => (
+            <Repository key={repo.id} repo={repo} />
+          ))}
+        </div>
+      )}
+
+      {pageCount > 1 && (
+        <div className="pagination">
+          <button
+            className="history-item"
+            disabled={currentPage <= 1}
+            onClick={() => setPage(currentPage - 1)}
+          >
+            {t('pagination.previous')}
+          </button>
+          <span className="pagination-status">{t('pagination.pageOf', { page: currentPage, count: pageCount })}</span>
+          <button
+            className="history-item"
+            disabled={currentPage >= pageCount}
+            onClick={() => setPage(currentPage + 1)}
+          >
+            {t('pagination.next')}
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,39 @@
+import { useCallback } from "react";
+import { CACHE_TTL } from "../api/cache";
+import useAsyncData from "../hooks/useAsyncData";
+import useTranslation from "../hooks/useTranslation";
+
+// Public organizations a user belongs to, each opening the in-app organization view
+export default function UserOrganizations({ login, fetchResource, onSelectProfile }) {
+  const { t } = useTranslation();
+
+  const loadOrganizations = useCallback((signal) => {
+    return fetchResource(`user_orgs_${login.toLowerCase()}`, `/users/${encodeURIComponent(login)}/orgs`, {
+      signal,
+      ttl: CACHE_TTL.orgs
+    });
+  }, [fetchResource, login]);
+
+  const { data: organizations } = useAsyncData(loadOrganizations);
+
+  if (!organizations || organizations.length === 0) return null;
+
+  return (
+    <div className="details-section organizations-section">
+      <h4 className="details-title">{t('organizations.title')}</h4>
+      <div className="organization-list">
+        {organizations.map(org => (
+          <button
+            key={org.id}
+            className="organization-chip"
+            onClick={() => onSelectProfile(org.login)}
+            title={org.description || org.login}
+          >
+            <img src={org.avatar_url} alt={org.login} loading="lazy" />
+            <span>{org.login}</span>
+          </button>
+        ))}
+      </div>
+    </div>
+  );
+}
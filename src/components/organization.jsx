@@ -0,0 +1,267 @@
+import { useCallback, useState } from "react";
+import { webUrl } from "../api/github";
+import { CACHE_TTL } from "../api/cache";
+import useAsyncData from "../hooks/useAsyncData";
+import useTranslation from "../hooks/useTranslation";
+import Repository from "./repository";
+import { formatDate, formatNumber } from "../utils/format";
+
+const MEMBERS_PER_PAGE = 30;
+
+export default function Organization({
+  organization,
+  repositories = [],
+  loadingRepos = false,
+  fetchResource,
+  onSelectProfile,
+  onBrowseRepositories,
+  ref
+}) {
+  const { login } = organization;
+  const { t } = useTranslation();
+  const [membersPage, setMembersPage] = useState(1);
+
+  const loadDetails = useCallback((signal) => {
+    return fetchResource(`org_${login.toLowerCase()}`, `/orgs/${encodeURIComponent(login)}`, {
+      signal,
+      ttl: CACHE_TTL.orgs
+    });
+  }, [fetchResource, login]);
+
+  const loadMembers = useCallback((signal) => {
+    return fetchResource(
+      `org_members_${login.toLowerCase()}_page_${membersPage}`,
+      `/orgs/${encodeURIComponent(login)}/public_members`,
+      {
+        params: { per_page: MEMBERS_PER_PAGE, page: membersPage },
+        signal,
+        ttl: CACHE_TTL.members
+      }
+    );
+  }, [fetchResource, login, membersPage]);
+
+  const details = useAsyncData(loadDetails);
+  const members = useAsyncData(loadMembers);
+
+  // Fall back to the /users payload until the /orgs details arrive
+  const org = details.data || organization;
+  const {
+    avatar_url,
+    name,
+    description,
+    blog,
+    location,
+    email,
+    twitter_username,
+    is_verified,
+    public_repos,
+    followers,
+    created_at
+  } = org;
+
+  const memberList = members.data || [];
+
+  return (
+    <div className="user organization" ref={ref} tabIndex={-1} role="region" aria-label={t('organization.regionLabel', { name: name || login })}>
+      <div className="user-content">
+        <div className="user-left-section">
+          <div className="avatar-container">
+            <img src={avatar_url} className="avatar organization-avatar" alt={t('organization.avatarAlt')} />
+          </div>
+
+          <div className="user-basic-info">
+            <div className="name-container">
+              <a
+                href={webUrl(login)}
+                target="_blank"
+                rel="noopener noreferrer"
+                className="github-link"
+              >
+                {name || login}
+              </a>
+              <span className="org-badge">{t('organization.badge')}</span>
+              {is_verified && (
+                <span className="verified-badge" title={t('organization.verifiedTitle')}>
+                  {t('organization.verified')}
+                </span>
+              )}
+            </div>
+
+            <p className="join-date">
+              {t('organization.created', { date: formatDate(created_at, { month: 'short', year: 'numeric' }) })}
+            </p>
+
+            {description && (
+              <div className="bio-section">
+                <p className="bio-text">{description}</p>
+              </div>
+            )}
+          </div>
+        </div>
+
+        <div className="user-right-section">
+          <div className="stats-section">
+            <div className="stat-card">
+              <div className="stat-icon">📦</div>
+              <div className="stat-content">
+                <span className="stat-label">{t('user.publicRepos')}</span>
+                <span className="stat-value">{formatNumber(public_repos)}</span>
+              </div>
+            </div>
+
+            <div className="stat-card">
+              <div className="stat-icon">👥</div>
+              <div className="stat-content">
+                <span className="stat-label">{t('user.followers')}</span>
+                <span className="stat-value">{formatNumber(followers)}</span>
+              </div>
+            </div>
+          </div>
+
+          {(blog || location || email || twitter_username) && (
+            <div className="details-section">
+              <h4 className="details-title">{t('user.contactInfo')}</h4>
+              <div className="details-grid">
+                {blog && (
+                  <div className="detail-item">
+                    <span className="detail-icon">🌐</span>
+                    <a
+                      href={blog.startsWith('http') ? blog : `https://${blog}`}
+                      target="_blank"
+                      rel="noopener noreferrer"
+                      className="detail-link"
+                    >
+                      {blog}
+                    </a>
+                    {is_verified && <span className="verified-badge">✓</span>}
+                  </div>
+                )}
+                {location && (
+                  <div className="detail-item">
+                    <span className="detail-icon">📍</span>
+                    <span className="detail-text">{location}</span>
+                  </div>
+                )}
+                {email && (
+                  <div className="detail-item">
+                    <span className="detail-icon">📧</span>
+                    <a href={`mailto:${email}`} className="detail-link">
+                      {email}
+                    </a>
+                  </div>
+                )}
+                {twitter_username && (
+                  <div className="detail-item">
+                    <span className="detail-icon">🐦</span>
+                    <a
+                      href={`https://twitter.com/${twitter_username}`}
+                      target="_blank"
+                      rel="noopener noreferrer"
+                      className="detail-link"
+                    >
+                      @{twitter_username}
+                    </a>
+                  </div>
+                )}
+              </div>
+            </div>
+          )}
+        </div>
+      </div>
+
+      {/* Public Members Section */}
+      <div className="repositories-section">
+        <div className="section-header">
+          <h3 className="section-title">{t('organization.publicMembers')}</h3>
+          {members.loading && (
+            <div className="repo-loading">
+              <span className="loading-dots">{t('organization.loadingMembers')}</span>
+            </div>
+          )}
+        </div>
+
+        {members.error && (
+          <div className="no-repos-message">
+            <p>{members.error}</p>
+          </div>
+        )}
+
+        {!members.loading && !members.error && memberList.length === 0 && (
+          <div className="no-repos-message">
+            <p>{t('organization.noMembers')}</p>
+          </div>
+        )}
+
+        {memberList.length > 0 && (
+          <div className="people-grid">
+            {memberList.map(member => (
+              <button
+                key={member.id}
+                className="person-card"
+                onClick={() => onSelectProfile(member.login)}
+              >
+                <img src={member.avatar_url} alt={member.login} className="suggestion-avatar" loading="lazy" />
+                <span className="person-login">{member.login}</span>
+              </button>
+            ))}
+          </div>
+        )}
+
+        {(membersPage > 1 || memberList.length === MEMBERS_PER_PAGE) && (
+          <div className="pagination">
+            <button
+              className="history-item"
+              disabled={membersPage <= 1 || members.loading}
+              onClick={() => setMembersPage(page => page - 1)}
+            >
+              {t('pagination.previous')}
+            </button>
+            <span className="pagination-status">{t('pagination.page', { page: membersPage })}</span>
+            <button
+              className="history-item"
+              disabled={memberList.length < MEMBERS_PER_PAGE || members.loading}
+              onClick={() => setMembersPage(page => page + 1)}
+            >
+              {t('pagination.next')}
+            </button>
+          </div>
+        )}
+      </div>
+
+      {/* Repositories Section */}
+      {public_repos > 0 && (
+        <div className="repositories-section">
+          <div className="section-header">
+            <h3 className="section-title">
+              {t('organization.repositories')}
+              {repositories.length > 0 && (
+                <span className="repo-count">{t('user.reposShown', { count: repositories.length })}</span>
+              )}
+            </h3>
+            {loadingRepos && (
+              <div className="repo-loading">
+                <span className="loading-dots">{t('user.loadingRepos')}</span>
+              </div>
+            )}
+          </div>
+
+          {!loadingRepos && repositories.length > 0 && (
+            <div className="repositories-grid">
+              {repositories.map(repo => (
+                <Repository key={repo.id} repo={repo} />
+              ))}
+            </div>
+          )}
+
+          {repositories.length > 0 && public_repos > repositories.length && (
+            <div className="view-more-repos">
+              <button className="view-all-repos" onClick={onBrowseRepositories}>
+                {t('user.browseAll', { count: public_repos })}
+              </button>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,45 @@
+import { useEffect, useState } from "react";
+import { hasGitHubToken } from "../api/github";
+import useTranslation from "../hooks/useTranslation";
+import { formatCountdown } from "../utils/format";
+
+// Labelled through the rateLimit.bucket.* catalog keys
+const BUCKETS = ['core', 'search', 'graphql'];
+
+// One entry per rate limit bucket, counting down to each reset
+export default function RateLimitStatus({ buckets }) {
+  const { t } = useTranslation();
+  const [now, setNow] = useState(() => Date.now());
+
+  const shownBuckets = BUCKETS
+    .filter(resource => buckets[resource]?.remaining !== null && buckets[resource]?.remaining !== undefined)
+    .map(resource => ({ resource, label: t(`rateLimit.bucket.${resource}`), ...buckets[resource] }));
+
+  // Only tick while some bucket is waiting for a reset
+  const counting = shownBuckets.some(bucket => bucket.resetTime && bucket.remaining < bucket.limit);
+  useEffect(() => {
+    if (!counting) return;
+    const interval = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(interval);
+  }, [counting]);
+
+  if (shownBuckets.length === 0) return null;
+
+  return (
+    <div className="rate-limit-display">
+      {shownBuckets.map(({ resource, label, limit, remaining, resetTime, queued }) => (
+        <span
+          key={resource}
+          className={`rate-limit-bucket ${remaining <= Math.min(10, limit * 0.2) ? 'warning' : ''} ${remaining === 0 ? 'limited' : ''}`}
+        >
+          {t('rateLimit.bucketStatus', { label, remaining, limit })}
+          {resetTime && remaining < limit && t('rateLimit.resetsIn', { time: formatCountdown(resetTime - now) })}
+          {queued > 0 && t('rateLimit.queued', { count: queued })}
+        </span>
+      ))}
+      {hasGitHubToken() && (
+        <span className="token-active">{t('rateLimit.tokenActive')}</span>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,187 @@
+import { useEffect, useMemo, useState } from "react";
+import useTranslation from "../hooks/useTranslation";
+import Repository from "./repository";
+import {
+  REPOS_PER_PAGE,
+  REPOSITORY_SORTS,
+  collectFilterValues,
+  filterRepositories,
+  sortRepositories
+} from "../utils/repositories";
+
+const CARDS_PER_PAGE = 24;
+
+export default function RepositoryBrowser({ user, options, onOptionsChange, fetchRepositoryPage, onClose }) {
+  const { login, avatar_url, public_repos } = user;
+  const { t } = useTranslation();
+  const [repositories, setRepositories] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  // Page through every public repository; each page is cached by fetchRepositoryPage
+  useEffect(() => {
+    const controller = new AbortController();
+
+    const loadAllPages = async () => {
+      setRepositories([]);
+      setError(null);
+      setLoading(true);
+
+      try {
+        for (let page = 1; ; page++) {
+          const pageRepos = await fetchRepositoryPage(login, page, controller.signal);
+          if (controller.signal.aborted) return;
+
+          setRepositories(prev => [...prev, ...pageRepos]);
+          if (pageRepos.length < REPOS_PER_PAGE) break;
+        }
+      } catch (error) {
+        if (error.name !== 'AbortError') {
+          setError(error.message);
+        }
+      } finally {
+        if (!controller.signal.aborted) {
+          setLoading(false);
+        }
+      }
+    };
+
+    loadAllPages();
+    return () => controller.abort();
+  }, [login, fetchRepositoryPage]);
+
+  const { languages, topics } = useMemo(() => collectFilterValues(repositories), [repositories]);
+
+  const visibleRepositories = useMemo(() => {
+    const filtered = filterRepositories(repositories, options);
+    return sortRepositories(filtered, options.sort, options.direction);
+  }, [repositories, options]);
+
+  const pageCount = Math.max(1, Math.ceil(visibleRepositories.length / CARDS_PER_PAGE));
+  const currentPage = Math.min(options.page, pageCount);
+  const pageRepositories = visibleRepositories.slice(
+    (currentPage - 1) * CARDS_PER_PAGE,
+    currentPage * CARDS_PER_PAGE
+  );
+
+  // Any filter or sort change starts again from the first page
+  const updateOption = (key, value) => {
+    onOptionsChange({ ...options, [key]: value, page: key === 'page' ? value : 1 });
+  };
+
+  return (
+    <div className="repositories-section repository-browser">
+      <div className="section-header">
+        <h3 className="section-title">
+          <img src={avatar_url} alt={login} className="browser-avatar" />
+          {t('repositories.title', { login })}
+          <span className="repo-count">
+            {public_repos > repositories.length
+              ? t('repositories.countWithTotal', { shown: visibleRepositories.length, loaded: repositories.length, total: public_repos })
+              : t('repositories.count', { shown: visibleRepositories.length, loaded: repositories.length })}
+          </span>
+        </h3>
+        {loading && (
+          <div className="repo-loading">
+            <span className="loading-dots">{t('user.loadingRepos')}</span>
+          </div>
+        )}
+        <button className="view-all-repos" onClick={onClose}>
+          {t('common.backToProfile')}
+        </button>
+      </div>
+
+      <div className="repo-filters">
+        <label>
+          {t('repositories.sort')}
+          <select value={options.sort} onChange={(e) => updateOption('sort', e.target.value)}>
+            {Object.keys(REPOSITORY_SORTS).map(value => (
+              <option key={value} value={value}>{t(`repositories.sortBy.${value}`)}</option>
+            ))}
+          </select>
+        </label>
+        <button
+          className="direction-toggle"
+          onClick={() => updateOption('direction', options.direction === 'desc' ? 'asc' : 'desc')}
+          title={options.direction === 'desc' ? t('repositories.descending') : t('repositories.ascending')}
+        >
+          {options.direction === 'desc' ? '↓' : '↑'}
+        </button>
+        <label>
+          {t('repositories.language')}
+          <select value={options.language} onChange={(e) => updateOption('language', e.target.value)}>
+            <option value="">{t('repositories.allLanguages')}</option>
+            {languages.map(language => (
+              <option key={language} value={language}>{language}</option>
+            ))}
+          </select>
+        </label>
+        <label>
+          {t('repositories.topic')}
+          <select value={options.topic} onChange={(e) => updateOption('topic', e.target.value)}>
+            <option value="">{t('repositories.allTopics')}</option>
+            {topics.map(topic => (
+              <option key={topic} value={topic}>{topic}</option>
+            ))}
+          </select>
+        </label>
+        <label>
+          {t('repositories.type')}
+          <select value={options.type} onChange={(e) => updateOption('type', e.target.value)}>
+            <option value="all">{t('repositories.type.all')}</option>
+            <option value="sources">{t('repositories.type.sources')}</option>
+            <option value="forks">{t('repositories.type.forks')}</option>
+          </select>
+        </label>
+        <label>
+          {t('repositories.archived')}
+          <select value={options.archived} onChange={(e) => updateOption('archived', e.target.value)}>
+            <option value="all">{t('repositories.archived.all')}</option>
+            <option value="active">{t('repositories.archived.active')}</option>
+            <option value="archived">{t('repositories.archived.archived')}</option>
+          </select>
+        </label>
+      </div>
+
+      {error && (
+        <div className="error-message">
+          <p>{error}</p>
+        </div>
+      )}
+
+      {pageRepositories.length > 0 && (
+        <div className="repositories-grid">
+          {pageRepositories.map(repo => (
+            <Repository key={repo.id} repo={repo} />
+          ))}
+        </div>
+      )}
+
+      {!loading && !error && visibleRepositories.length === 0 && (
+        <div className="no-repos-message">
+          <p>{t('repositories.noMatch')}</p>
+        </div>
+      )}
+
+      {pageCount > 1 && (
+        <div className="pagination">
+          <button
+            className="history-item"
+            disabled={currentPage <= 1}
+            onClick={() => updateOption('page', currentPage - 1)}
+          >
+            {t('pagination.previous')}
+          </button>
+          <span className="pagination-status">{t('pagination.pageOf', { page: currentPage, count: pageCount })}</span>
+          <button
+            className="history-item"
+            disabled={currentPage >= pageCount}
+            onClick={() => updateOption('page', currentPage + 1)}
+          >
+            {t('pagination.next')}
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,124 @@
+import useTranslation from "../hooks/useTranslation";
+import { formatDate, formatNumber } from "../utils/format";
+import { getLanguageColor } from "../utils/languages";
+import {
+  REPOSITORY_AFFILIATIONS,
+  REPOSITORY_PERMISSIONS,
+  REPOSITORY_VISIBILITIES
+} from "../utils/repositories";
+
+export default function Repository({ repo, onOpen }) {
+  const { t } = useTranslation();
+
+  // With onOpen the whole card opens the details drawer; its links still go to GitHub
+  const openProps = onOpen ? {
+    role: 'button',
+    tabIndex: 0,
+    onClick: (event) => {
+      if (!event.target.closest('a')) onOpen(repo);
+    },
+    onKeyDown: (event) => {
+      if (event.target === event.currentTarget && (event.key === 'Enter' || event.key === ' ')) {
+        event.preventDefault();
+        onOpen(repo);
+      }
+    }
+  } : {};
+
+  return (
+    <div className={`repository-card${onOpen ? ' repository-card-openable' : ''}`} {...openProps}>
+      <div className="repo-header">
+        <a
+          href={repo.html_url}
+          target="_blank"
+          rel="noopener noreferrer"
+          className="repo-name"
+        >
+          {repo.owner ? repo.full_name : repo.name}
+        </a>
+        {repo.archived && (
+          <span className="repo-badge">{t('repository.archived')}</span>
+        )}
+        {repo.fork && (
+          <span className="repo-badge">{t('repository.fork')}</span>
+        )}
+        {repo.homepage && (
+          <a
+            href={repo.homepage.startsWith('http') ? repo.homepage : `https://${repo.homepage}`}
+            target="_blank"
+            rel="noopener noreferrer"
+            className="repo-homepage"
+            title={t('repository.homepage')}
+          >
+            🔗
+          </a>
+        )}
+      </div>
+
+      {/* Access details, only present for repositories listed through /user/repos */}
+      {repo.visibility && (
+        <div className="repo-access">
+          <span className={`repo-badge repo-badge-${repo.visibility}`}>
+            {REPOSITORY_VISIBILITIES[repo.visibility] ? t(`repository.visibility.${repo.visibility}`) : repo.visibility}
+          </span>
+          {repo.affiliations?.map(affiliation => (
+            <span key={affiliation} className="repo-badge">
+              {REPOSITORY_AFFILIATIONS[affiliation] ? t(`repository.affiliation.${affiliation}`) : affiliation}
+            </span>
+          ))}
+          {repo.permission && (
+            <span className={`repo-badge repo-badge-permission-${repo.permission}`}>
+              {REPOSITORY_PERMISSIONS[repo.permission] ? t(`repository.permission.${repo.permission}`) : repo.permission}
+            </span>
+          )}
+        </div>
+      )}
+
+      {repo.description && (
+        <p className="repo-description">{repo.description}</p>
+      )}
+
+      <div className="repo-stats">
+        {repo.language && (
+          <div className="repo-language">
+            <span
+              className="language-dot"
+              style={{ backgroundColor: getLanguageColor(repo.language) }}
+            ></span>
+            <span className="language-name">{repo.language}</span>
+          </div>
+        )}
+
+        <div className="repo-metrics">
+          {repo.stargazers_count > 0 && (
+            <span className="metric">
+              ⭐ {formatNumber(repo.stargazers_count)}
+            </span>
+          )}
+          {repo.forks_count > 0 && (
+            <span className="metric">
+              🍴 {formatNumber(repo.forks_count)}
+            </span>
+          )}
+        </div>
+      </div>
+
+      {repo.topics && repo.topics.length > 0 && (
+        <div className="repo-topics">
+          {repo.topics.slice(0, 3).map((topic, index) => (
+            <span key={index} className="topic-tag">
+              {topic}
+            </span>
+          ))}
+          {repo.topics.length > 3 && (
+            <span className="topic-more">+{repo.topics.length - 3}</span>
+          )}
+        </div>
+      )}
+
+      <div className="repo-updated">
+        {t('repository.updated', { date: formatDate(repo.updated_at) })}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,205 @@
+import { useCallback, useState } from "react";
+import { CACHE_TTL } from "../api/cache";
+import useAsyncData from "../hooks/useAsyncData";
+import useTranslation from "../hooks/useTranslation";
+import {
+  MAX_SEARCH_RESULTS,
+  SEARCH_RESULTS_PER_PAGE,
+  SEARCH_SORTS,
+  buildSearchQuery
+} from "../utils/search";
+
+export default function AdvancedSearch({ options, onOptionsChange, fetchResource, onSelectProfile, onClose }) {
+  // Form edits stay local until the search is submitted
+  const { t } = useTranslation();
+  const [draft, setDraft] = useState(options);
+  const [submittedOptions, setSubmittedOptions] = useState(options);
+
+  // Back/forward navigation replaces the submitted options, so reset the form to match
+  if (options !== submittedOptions) {
+    setSubmittedOptions(options);
+    setDraft(options);
+  }
+
+  const query = buildSearchQuery(options);
+
+  const loadResults = useCallback(async (signal) => {
+    if (!query) return null;
+
+    return fetchResource(
+      `search_${query.toLowerCase()}_${options.sort}_${options.order}_page_${options.page}`,
+      '/search/users',
+      {
+        params: {
+          q: query,
+          sort: options.sort,
+          order: options.order,
+          per_page: SEARCH_RESULTS_PER_PAGE,
+          page: options.page
+        },
+        signal,
+        ttl: CACHE_TTL.suggestions
+      }
+    );
+  }, [fetchResource, query, options.sort, options.order, options.page]);
+
+  const { data: results, loading, error } = useAsyncData(loadResults);
+
+  const updateDraft = (key) => (event) => {
+    setDraft(prev => ({ ...prev, [key]: event.target.value }));
+  };
+
+  const handleSubmit = (event) => {
+    event.preventDefault();
+    onOptionsChange({ ...draft, page: 1 });
+  };
+
+  // Sort and page changes apply right away
+  const changeResults = (changes) => {
+    onOptionsChange({ ...options, ...changes });
+  };
+
+  const reachableResults = Math.min(results?.total_count || 0, MAX_SEARCH_RESULTS);
+  const pageCount = Math.max(1, Math.ceil(reachableResults / SEARCH_RESULTS_PER_PAGE));
+
+  return (
+    <div className="repositories-section search-section">
+      <div className="section-header">
+        <h3 className="section-title">{t('advancedSearch.title')}</h3>
+        <button className="view-all-repos" onClick={onClose}>
+          {t('common.backToProfile')}
+        </button>
+      </div>
+
+      <form className="search-form" onSubmit={handleSubmit}>
+        <div className="repo-filters">
+          <label>
+            {t('advancedSearch.keywords')}
+            <input type="text" value={draft.q} onChange={updateDraft('q')} placeholder={t('advancedSearch.keywordsPlaceholder')} />
+          </label>
+          <label>
+            {t('advancedSearch.location')}
+            <input type="text" value={draft.location} onChange={updateDraft('location')} placeholder={t('advancedSearch.locationPlaceholder')} />
+          </label>
+          <label>
+            {t('advancedSearch.language')}
+            <input type="text" value={draft.language} onChange={updateDraft('language')} placeholder={t('advancedSearch.languagePlaceholder')} />
+          </label>
+          <label>
+            {t('advancedSearch.followers')}
+            <input type="number" min="0" value={draft.followers} onChange={updateDraft('followers')} />
+          </label>
+          <label>
+            {t('advancedSearch.repos')}
+            <input type="number" min="0" value={draft.repos} onChange={updateDraft('repos')} />
+          </label>
+          <label>
+            {t('advancedSearch.joinedAfter')}
+            <input type="date" value={draft.createdAfter} onChange={updateDraft('createdAfter')} />
+          </label>
+          <label>
+            {t('advancedSearch.joinedBefore')}
+            <input type="date" value={draft.createdBefore} onChange={updateDraft('createdBefore')} />
+          </label>
+          <label>
+            {t('advancedSearch.accountType')}
+            <select value={draft.type} onChange={updateDraft('type')}>
+              <option value="">{t('advancedSearch.accountType.all')}</option>
+              <option value="user">{t('advancedSearch.accountType.user')}</option>
+              <option value="org">{t('advancedSearch.accountType.org')}</option>
+            </select>
+          </label>
+        </div>
+
+        <div className="search-form-footer">
+          <code className="search-query-preview">{buildSearchQuery(draft) || t('advancedSearch.emptyQuery')}</code>
+          <button type="submit" className="view-all-repos" disabled={!buildSearchQuery(draft)}>
+            {t('search.submit')}
+          </button>
+        </div>
+      </form>
+
+      {results && (
+        <div className="section-header search-results-header">
+          <span className="repo-count">
+            {t('advancedSearch.results', { count: results.total_count })}
+            {results.total_count > MAX_SEARCH_RESULTS && t('advancedSearch.resultsCapped', { max: MAX_SEARCH_RESULTS })}
+          </span>
+          <div className="repo-filters">
+            <label>
+              {t('repositories.sort')}
+              <select value={options.sort} onChange={(e) => changeResults({ sort: e.target.value, page: 1 })}>
+                {Object.keys(SEARCH_SORTS).map(value => (
+                  <option key={value} value={value}>{t(`advancedSearch.sortBy.${value || 'bestMatch'}`)}</option>
+                ))}
+              </select>
+            </label>
+            {options.sort && (
+              <button
+                className="direction-toggle"
+                onClick={() => changeResults({ order: options.order === 'desc' ? 'asc' : 'desc', page: 1 })}
+                title={options.order === 'desc' ? t('repositories.descending') : t('repositories.ascending')}
+              >
+                {options.order === 'desc' ? '↓' : '↑'}
+              </button>
+            )}
+          </div>
+        </div>
+      )}
+
+      {loading && query && (
+        <div className="repo-loading">
+          <span className="loading-dots">{t('search.submitting')}</span>
+        </div>
+      )}
+
+      {error && (
+        <div className="error-message">
+          <p>{error}</p>
+        </div>
+      )}
+
+      {results && results.items.length === 0 && !loading && (
+        <div className="no-repos-message">
+          <p>{t('advancedSearch.noResults')}</p>
+        </div>
+      )}
+
+      {results && results.items.length > 0 && (
+        <div className="people-grid">
+          {results.items.map(item => (
+            <button
+              key={item.id}
+              className="person-card"
+              onClick={() => onSelectProfile(item.login)}
+            >
+              <img src={item.avatar_url} alt={item.login} className="suggestion-avatar" loading="lazy" />
+              <span className="person-login">{item.login}</span>
+              {item.type === 'Organization' && <span className="suggestion-type">{t('advancedSearch.org')}</span>}
+            </button>
+          ))}
+        </div>
+      )}
+
+      {results && pageCount > 1 && (
+        <div className="pagination">
+          <button
+            className="history-item"
+            disabled={options.page <= 1 || loading}
+            onClick={() => changeResults({ page: options.page - 1 })}
+          >
+            {t('pagination.previous')}
+          </button>
+          <span className="pagination-status">{t('pagination.pageOf', { page: options.page, count: pageCount })}</span>
+          <button
+            className="history-item"
+            disabled={options.page >= pageCount || loading}
+            onClick={() => changeResults({ page: options.page + 1 })}
+          >
+            {t('pagination.next')}
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,144 @@
+import { useState, useSyncExternalStore } from "react";
+import { API_BASE_URL, hasBuildTimeToken, validateGitHubToken, webUrl } from "../api/github";
+import useTranslation from "../hooks/useTranslation";
+import { formatDate } from "../utils/format";
+import {
+  TOKEN_STORAGE,
+  clearRuntimeToken,
+  getRuntimeToken,
+  saveRuntimeToken,
+  subscribeToRuntimeToken
+} from "../api/token";
+
+const describeScopes = (scopes, t) => {
+  if (scopes === null) return t('settings.scopesFineGrained');
+  if (scopes.length === 0) return t('settings.scopesNone');
+  return scopes.join(', ');
+};
+
+export default function TokenSettings({ onTokenChange, onClose }) {
+  const { t } = useTranslation();
+  const current = useSyncExternalStore(subscribeToRuntimeToken, getRuntimeToken);
+  const [draft, setDraft] = useState('');
+  const [storage, setStorage] = useState(current?.storage || 'session');
+  const [validating, setValidating] = useState(false);
+  const [error, setError] = useState(null);
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    setValidating(true);
+    setError(null);
+
+    try {
+      const details = await validateGitHubToken(draft.trim());
+      saveRuntimeToken(details, storage);
+      setDraft('');
+      onTokenChange();
+    } catch (error) {
+      setError(error.message);
+    } finally {
+      setValidating(false);
+    }
+  };
+
+  const signOut = () => {
+    clearRuntimeToken();
+    onTokenChange();
+  };
+
+  return (
+    <div className="repositories-section settings-section">
+      <div className="section-header">
+        <h3 className="section-title">{t('settings.title')}</h3>
+        <button className="view-all-repos" onClick={onClose}>
+          {t('common.backToProfile')}
+        </button>
+      </div>
+
+      {current ? (
+        <div className="details-section token-status">
+          <img src={current.avatarUrl} alt={current.login} className="suggestion-avatar" />
+          <div className="details-grid">
+            <div className="detail-item">
+              <span className="detail-icon">👤</span>
+              <span className="detail-text">
+                {t('settings.signedInAs')}{" "}
+                <a href={webUrl(current.login)} target="_blank" rel="noopener noreferrer" className="detail-link">
+                  @{current.login}
+                </a>
+              </span>
+            </div>
+            <div className="detail-item">
+              <span className="detail-icon">🔐</span>
+              <span className="detail-text">{t('settings.scopes', { scopes: describeScopes(current.scopes, t) })}</span>
+            </div>
+            <div className="detail-item">
+              <span className="detail-icon">⏳</span>
+              <span className="detail-text">
+                {current.expiresAt
+                  ? t('settings.expires', { date: formatDate(current.expiresAt, { dateStyle: 'medium', timeStyle: 'short' }) })
+                  : t('settings.noExpiration')}
+              </span>
+            </div>
+            <div className="detail-item">
+              <span className="detail-icon">💾</span>
+              <span className="detail-text">{t('settings.storedIn', { storage: t(`settings.storage.${current.storage}`) })}</span>
+            </div>
+          </div>
+          <button className="clear-cache-btn" onClick={signOut}>
+            {t('settings.signOut')}
+          </button>
+        </div>
+      ) : (
+        <p className="connections-note">
+          {hasBuildTimeToken()
+            ? t('settings.buildTimeToken')
+            : t('settings.noToken')}
+        </p>
+      )}
+
+      <form className="search-form" onSubmit={handleSubmit}>
+        <div className="repo-filters">
+          <label>
+            {current ? t('settings.switchToken') : t('settings.tokenLabel')}
+            <input
+              type="password"
+              value={draft}
+              onChange={(e) => setDraft(e.target.value)}
+              placeholder="ghp_... or github_pat_..."
+              autoComplete="off"
+              spellCheck="false"
+            />
+          </label>
+          <label>
+            {t('settings.rememberIn')}
+            <select value={storage} onChange={(e) => setStorage(e.target.value)}>
+              {TOKEN_STORAGE.map(value => (
+                <option key={value} value={value}>{t(`settings.storage.${value}`)}</option>
+              ))}
+            </select>
+          </label>
+        </div>
+
+        <div className="search-form-footer">
+          <span className="connections-note">
+            {t('settings.sentOnlyTo', { url: API_BASE_URL })}{" "}
+            <a href={webUrl('settings/tokens')} target="_blank" rel="noopener noreferrer" className="detail-link">
+              {t('settings.createToken')}
+            </a>{" "}
+            {t('settings.noScopesNeeded')}
+          </span>
+          <button type="submit" className="view-all-repos" disabled={!draft.trim() || validating}>
+            {validating ? t('settings.checking') : t('settings.save')}
+          </button>
+        </div>
+      </form>
+
+      {error && (
+        <div className="error-message">
+          <p>{error}</p>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,120 @@
+import { useCallback, useMemo, useState } from "react";
+import useAsyncData from "../hooks/useAsyncData";
+import useTranslation from "../hooks/useTranslation";
+import { countPrimaryLanguages, rankTally } from "../utils/analytics";
+import { downloadFile } from "../utils/export";
+import { fetchAllRepositories } from "../utils/repositories";
+import { CARD_LAYOUTS, CARD_THEMES, buildShareCardSvg, fetchAvatarDataUri } from "../utils/shareCard";
+
+export default function ShareCard({ user, fetchRepositoryPage, onClose }) {
+  const { t } = useTranslation();
+  const { login, avatar_url, followers, public_repos } = user;
+  const [layout, setLayout] = useState('wide');
+  const [theme, setTheme] = useState('dark');
+  const [copyStatus, setCopyStatus] = useState(null);
+
+  // Star totals and languages come from the cached repository pages
+  const loadRepositories = useCallback((signal) => {
+    return fetchAllRepositories(fetchRepositoryPage, login, signal);
+  }, [fetchRepositoryPage, login]);
+
+  const loadAvatar = useCallback((signal) => fetchAvatarDataUri(avatar_url, 160, signal), [avatar_url]);
+
+  const { data: repositories, loading, error } = useAsyncData(loadRepositories);
+  const avatar = useAsyncData(loadAvatar);
+
+  const svg = useMemo(() => {
+    if (!repositories) return null;
+
+    return buildShareCardSvg({
+      user,
+      stats: {
+        followers,
+        repos: public_repos,
+        stars: repositories.reduce((sum, repo) => sum + repo.stargazers_count, 0)
+      },
+      languages: rankTally(countPrimaryLanguages(repositories)),
+      avatarDataUri: avatar.data,
+      layout,
+      theme
+    });
+  }, [user, followers, public_repos, repositories, avatar.data, layout, theme]);
+
+  const copySvg = async () => {
+    try {
+      await navigator.clipboard.writeText(svg);
+      setCopyStatus('copied');
+    } catch (error) {
+      console.error('Error copying share card:', error);
+      setCopyStatus('failed');
+    }
+    setTimeout(() => setCopyStatus(null), 2000);
+  };
+
+  return (
+    <div className="repositories-section share-card-section">
+      <div className="section-header">
+        <h3 className="section-title">{t('shareCard.title')}</h3>
+        {(loading || avatar.loading) && (
+          <div className="repo-loading">
+            <span className="loading-dots">{t('shareCard.building')}</span>
+          </div>
+        )}
+        <button className="view-all-repos" onClick={onClose}>
+          {t('common.backToProfile')}
+        </button>
+      </div>
+
+      <div className="repo-filters">
+        <label>
+          {t('shareCard.layout')}
+          <select value={layout} onChange={(e) => setLayout(e.target.value)}>
+            {Object.keys(CARD_LAYOUTS).map(value => (
+              <option key={value} value={value}>{t(`shareCard.layout.${value}`)}</option>
+            ))}
+          </select>
+        </label>
+        <label>
+          {t('theme.label')}
+          <select value={theme} onChange={(e) => setTheme(e.target.value)}>
+            {Object.keys(CARD_THEMES).map(value => (
+              <option key={value} value={value}>{t(`shareCard.theme.${value}`)}</option>
+            ))}
+          </select>
+        </label>
+      </div>
+
+      {error && (
+        <div className="error-message">
+          <p>{error}</p>
+        </div>
+      )}
+
+      {avatar.error && (
+        <p className="connections-note">{t('shareCard.avatarFailed')}</p>
+      )}
+
+      {svg && (
+        <>
+          <div className="share-card-preview">
+            <img
+              src={`data:image/svg+xml;charset=utf-8,${encodeURIComponent(svg)}`}
+              alt={t('shareCard.alt', { login })}
+            />
+          </div>
+          <div className="profile-actions">
+            <button
+              className="view-all-repos"
+              onClick={() => downloadFile(`${login}-card.svg`, svg, 'image/svg+xml')}
+            >
+              {t('shareCard.download')}
+            </button>
+            <button className="view-all-repos" onClick={copySvg}>
+              📋 {t(`shareCard.copy.${copyStatus || 'idle'}`)}
+            </button>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,22 @@
+// Tiny inline trend line; a single value draws a flat line
+export default function Sparkline({ values, width = 80, height = 20 }) {
+  const points = values.filter(value => value !== null && value !== undefined);
+  if (points.length === 0) return null;
+
+  const min = Math.min(...points);
+  const range = Math.max(...points) - min || 1;
+  const step = points.length > 1 ? width / (points.length - 1) : 0;
+  const coordinates = (points.length > 1 ? points : [points[0], points[0]])
+    .map((value, index) => {
+      const x = points.length > 1 ? index * step : index * width;
+      const y = height - 2 - ((value - min) / range) * (height - 4);
+      return `${x.toFixed(1)},${y.toFixed(1)}`;
+    })
+    .join(' ');
+
+  return (
+    <svg className="sparkline" width={width} height={height} viewBox={`0 0 ${width} ${height}`} aria-hidden="true">
+      <polyline points={coordinates} fill="none" stroke="currentColor" strokeWidth="1.5" strokeLinejoin="round" />
+    </svg>
+  );
+}
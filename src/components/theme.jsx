@@ -0,0 +1,19 @@
+import { useSyncExternalStore } from "react";
+import useTranslation from "../hooks/useTranslation";
+import { THEMES, getThemePreference, setThemePreference, subscribeToThemePreference } from "../utils/theme";
+
+export default function ThemeSwitcher() {
+  const preference = useSyncExternalStore(subscribeToThemePreference, getThemePreference);
+  const { t } = useTranslation();
+
+  return (
+    <label className="theme-switcher" title={t('theme.label')}>
+      <span aria-hidden="true">🎨</span>
+      <select value={preference} onChange={(e) => setThemePreference(e.target.value)} aria-label={t('theme.label')}>
+        {THEMES.map(theme => (
+          <option key={theme} value={theme}>{t(`theme.${theme}`)}</option>
+        ))}
+      </select>
+    </label>
+  );
+}
@@ -1,4 +1,27 @@
-export default function User({ user, repositories = [], loadingRepos = false }) {
+import { useCallback, useState } from "react";
+import { webUrl } from "../api/github";
+import Repository from "./repository";
+import RepositoryDrawer from "./drawer";
+import UserOrganizations from "./memberships";
+import ExportMenu from "./export";
+import useTranslation from "../hooks/useTranslation";
+import { formatDate, formatNumber, formatRelativeTime } from "../utils/format";
+
+export default function User({
+  user,
+  repositories = [],
+  pinnedRepositories = [],
+  loadingRepos = false,
+  cacheStatus = null,
+  fetchResource,
+  onSelectProfile,
+  onBrowseRepositories,
+  onOpenConnections,
+  onOpenView,
+  watched = false,
+  onToggleWatch,
+  ref
+}) {
     const {
       avatar_url,
       followers,
@@ -16,45 +39,12 @@ export default function User({ user, repositories = [], loadingRepos = false })
       hireable
     } = user;
   
-    const createdDate = new Date(created_at);
-
-    // Helper function to format repository stats
-    const formatNumber = (num) => {
-      if (num >= 1000) {
-        return (num / 1000).toFixed(1) + 'k';
-      }
-      return num.toString();
-    };
+    const { t } = useTranslation();
+    const [openRepository, setOpenRepository] = useState(null);
+    const closeRepository = useCallback(() => setOpenRepository(null), []);
 
-    // Helper function to get language color
-    const getLanguageColor = (language) => {
-      const colors = {
-        JavaScript: '#f7df1e',
-        TypeScript: '#3178c6',
-        Python: '#3776ab',
-        Java: '#007396',
-        'C++': '#00599c',
-        C: '#555555',
-        'C#': '#239120',
-        PHP: '#777bb4',
-        Ruby: '#cc342d',
-        Go: '#00add8',
-        Rust: '#000000',
-        Swift: '#fa7343',
-        Kotlin: '#7f52ff',
-        Dart: '#0175c2',
-        HTML: '#e34f26',
-        CSS: '#1572b6',
-        Shell: '#89e051',
-        Vue: '#4fc08d',
-        React: '#61dafb',
-        Angular: '#dd0031'
-      };
-      return colors[language] || '#6b7280';
-    };
-  
     return (
-      <div className="user">
+      <div className="user" ref={ref} tabIndex={-1} role="region" aria-label={t('user.regionLabel', { name: name || login })}>
         {/* Background decoration elements */}
         <div className="user-background-decoration">
           <div className="decoration-circle decoration-circle-1"></div>
@@ -67,14 +57,14 @@ export default function User({ user, repositories = [], loadingRepos = false })
           {/* Left Section - Avatar and Basic Info */}
           <div className="user-left-section">
             <div className="avatar-container">
-              <img src={avatar_url} className="avatar" alt="User" />
+              <img src={avatar_url} className="avatar" alt={t('user.avatarAlt')} />
               <div className="avatar-ring"></div>
             </div>
             
             <div className="user-basic-info">
               <div className="name-container">
                 <a 
-                  href={`https://github.com/${login}`} 
+                  href={webUrl(login)} 
                   target="_blank" 
                   rel="noopener noreferrer"
                   className="github-link"
@@ -82,17 +72,22 @@ export default function User({ user, repositories = [], loadingRepos = false })
                   {name || login}
                 </a>
                 {hireable && (
-                  <span className="hireable-badge">Available for hire</span>
+                  <span className="hireable-badge">{t('user.hireable')}</span>
                 )}
               </div>
               
               <p className="join-date">
-                Member since{" "}
-                {`${createdDate.toLocaleString("en-us", {
-                  month: "short",
-                })} ${createdDate.getFullYear()}`}
+                {t('user.memberSince', { date: formatDate(created_at, { month: 'short', year: 'numeric' }) })}
               </p>
 
+              {cacheStatus && (
+                <p className={`cache-status ${cacheStatus.revalidating ? 'revalidating' : ''}`}>
+                  {t('user.lastUpdated', { time: formatRelativeTime(cacheStatus.storedAt) })}
+                  {cacheStatus.revalidating && t('user.refreshing')}
+                  {cacheStatus.offline && t('user.offlineCopy')}
+                </p>
+              )}
+
               {/* Bio Section */}
               {bio && (
                 <div className="bio-section">
@@ -109,32 +104,62 @@ export default function User({ user, repositories = [], loadingRepos = false })
               <div className="stat-card">
                 <div className="stat-icon">📦</div>
                 <div className="stat-content">
-                  <span className="stat-label">Public Repos</span>
-                  <span className="stat-value">{public_repos}</span>
+                  <span className="stat-label">{t('user.publicRepos')}</span>
+                  <span className="stat-value">{formatNumber(public_repos)}</span>
                 </div>
               </div>
               
-              <div className="stat-card">
+              <button
+                className="stat-card stat-card-button"
+                onClick={() => onOpenConnections('followers')}
+                title={t('user.exploreFollowers')}
+              >
                 <div className="stat-icon">👥</div>
                 <div className="stat-content">
-                  <span className="stat-label">Followers</span>
-                  <span className="stat-value">{followers}</span>
+                  <span className="stat-label">{t('user.followers')}</span>
+                  <span className="stat-value">{formatNumber(followers)}</span>
                 </div>
-              </div>
+              </button>
               
-              <div className="stat-card">
+              <button
+                className="stat-card stat-card-button"
+                onClick={() => onOpenConnections('following')}
+                title={t('user.exploreFollowing')}
+              >
                 <div className="stat-icon">🔗</div>
                 <div className="stat-content">
-                  <span className="stat-label">Following</span>
-                  <span className="stat-value">{following}</span>
+                  <span className="stat-label">{t('user.following')}</span>
+                  <span className="stat-value">{formatNumber(following)}</span>
                 </div>
-              </div>
+              </button>
+            </div>
+
+            {/* Profile Views */}
+            <div className="profile-actions">
+              <button className="view-all-repos" onClick={() => onOpenView('activity')}>
+                {t('user.recentActivity')}
+              </button>
+              <button className="view-all-repos" onClick={() => onOpenView('gists')}>
+                {t('user.gists')}
+              </button>
+              <button className="view-all-repos" onClick={() => onOpenView('card')}>
+                {t('user.shareCard')}
+              </button>
+              <button
+                className="view-all-repos"
+                onClick={onToggleWatch}
+                aria-pressed={watched}
+                title={watched ? t('user.unwatchTitle') : t('user.watchTitle')}
+              >
+                {watched ? t('user.watching') : t('user.watch')}
+              </button>
+              <ExportMenu user={user} repositories={repositories} />
             </div>
 
             {/* Details Section */}
             {(company || location || blog || twitter_username || email) && (
               <div className="details-section">
-                <h4 className="details-title">Contact & Info</h4>
+                <h4 className="details-title">{t('user.contactInfo')}</h4>
                 <div className="details-grid">
                   {company && (
                     <div className="detail-item">
@@ -188,130 +213,95 @@ export default function User({ user, repositories = [], loadingRepos = false })
                 </div>
               </div>
             )}
+
+            {/* Organizations Section; keyed so another profile never shows the previous one's */}
+            <UserOrganizations
+              key={login}
+              login={login}
+              fetchResource={fetchResource}
+              onSelectProfile={onSelectProfile}
+            />
           </div>
         </div>
 
+        {/* Pinned Repositories Section (GraphQL mode only) */}
+        {pinnedRepositories.length > 0 && (
+          <div className="repositories-section">
+            <div className="section-header">
+              <h3 className="section-title">{t('user.pinned')}</h3>
+            </div>
+            <div className="repositories-grid">
+              {pinnedRepositories.map((repo) => (
+                <Repository key={repo.id} repo={repo} onOpen={setOpenRepository} />
+              ))}
+            </div>
+          </div>
+        )}
+
         {/* Public Repositories Section */}
         {public_repos > 0 && (
           <div className="repositories-section">
             <div className="section-header">
               <h3 className="section-title">
-                📦 Public Repositories
+                {t('user.publicRepositories')}
                 {repositories.length > 0 && (
-                  <span className="repo-count">({repositories.length} shown)</span>
+                  <span className="repo-count">{t('user.reposShown', { count: repositories.length })}</span>
                 )}
               </h3>
               {loadingRepos && (
                 <div className="repo-loading">
-                  <span className="loading-dots">Loading repositories...</span>
+                  <span className="loading-dots">{t('user.loadingRepos')}</span>
                 </div>
               )}
+              <button className="view-all-repos" onClick={() => onOpenView('analytics')}>
+                {t('user.languageAnalytics')}
+              </button>
             </div>
 
             {!loadingRepos && repositories.length > 0 && (
               <div className="repositories-grid">
                 {repositories.map((repo) => (
-                  <div key={repo.id} className="repository-card">
-                    <div className="repo-header">
-                      <a
-                        href={repo.html_url}
-                        target="_blank"
-                        rel="noopener noreferrer"
-                        className="repo-name"
-                      >
-                        {repo.name}
-                      </a>
-                      {repo.homepage && (
-                        <a
-                          href={repo.homepage.startsWith('http') ? repo.homepage : `https://${repo.homepage}`}
-                          target="_blank"
-                          rel="noopener noreferrer"
-                          className="repo-homepage"
-                          title="Visit homepage"
-                        >
-                          🔗
-                        </a>
-                      )}
-                    </div>
-
-                    {repo.description && (
-                      <p className="repo-description">{repo.description}</p>
-                    )}
-
-                    <div className="repo-stats">
-                      {repo.language && (
-                        <div className="repo-language">
-                          <span 
-                            className="language-dot" 
-                            style={{ backgroundColor: getLanguageColor(repo.language) }}
-                          ></span>
-                          <span className="language-name">{repo.language}</span>
-                        </div>
-                      )}
-
-                      <div className="repo-metrics">
-                        {repo.stargazers_count > 0 && (
-                          <span className="metric">
-                            ⭐ {formatNumber(repo.stargazers_count)}
-                          </span>
-                        )}
-                        {repo.forks_count > 0 && (
-                          <span className="metric">
-                            🍴 {formatNumber(repo.forks_count)}
-                          </span>
-                        )}
-                      </div>
-                    </div>
-
-                    {repo.topics && repo.topics.length > 0 && (
-                      <div className="repo-topics">
-                        {repo.topics.slice(0, 3).map((topic, index) => (
-                          <span key={index} className="topic-tag">
-                            {topic}
-                          </span>
-                        ))}
-                        {repo.topics.length > 3 && (
-                          <span className="topic-more">+{repo.topics.length - 3}</span>
-                        )}
-                      </div>
-                    )}
-
-                    <div className="repo-updated">
-                      Updated {new Date(repo.updated_at).toLocaleDateString()}
-                    </div>
-                  </div>
+                  <Repository key={repo.id} repo={repo} onOpen={setOpenRepository} />
                 ))}
               </div>
             )}
 
             {!loadingRepos && repositories.length === 0 && public_repos > 0 && (
               <div className="no-repos-message">
-                <p>No public repositories found or failed to load repositories.</p>
+                <p>{t('user.noRepos')}</p>
                 <a
-                  href={`https://github.com/${login}?tab=repositories`}
+                  href={webUrl(`${login}?tab=repositories`)}
                   target="_blank"
                   rel="noopener noreferrer"
                   className="view-all-repos"
                 >
-                  View all repositories on GitHub →
+                  {t('user.viewAllOnGitHub')}
                 </a>
               </div>
             )}
 
             {repositories.length > 0 && public_repos > repositories.length && (
               <div className="view-more-repos">
-                <a
-                  href={`https://github.com/${login}?tab=repositories`}
-                  target="_blank"
-                  rel="noopener noreferrer"
-                  className="view-all-repos"
-                >
-                  View all {public_repos} repositories on GitHub →
-                </a>
+                <button className="view-all-repos" onClick={onBrowseRepositories}>
+                  {t('user.browseAll', { count: public_repos })}
+                </button>
               </div>
             )}
           </div>
         )}
+
+        {openRepository && (
+          <RepositoryDrawer
+            key={openRepository.id}
+            repo={openRepository}
+            fetchResource={fetchResource}
+            onSelectProfile={(profile) => {
+              closeRepository();
+              onSelectProfile(profile);
+            }}
+            onClose={closeRepository}
+          />
+        )}
       </div>
     );
 }
\ No newline at end of file
@@ -0,0 +1,176 @@
+import { useCallback } from "react";
+import { CACHE_TTL } from "../api/cache";
+import { recordSnapshot } from "../api/watchlist";
+import useAsyncData from "../hooks/useAsyncData";
+import useTranslation from "../hooks/useTranslation";
+import Sparkline from "./sparkline";
+import { formatDate, formatNumber, formatRelativeTime } from "../utils/format";
+import { fetchAllRepositories } from "../utils/repositories";
+import { buildSnapshot, diffSnapshots, hasChanges, totalForks, totalStars } from "../utils/watchlist";
+
+const MAX_LISTED_CHANGES = 5;
+const SNAPSHOT_TIME = { dateStyle: 'medium', timeStyle: 'short' };
+
+const formatDelta = (delta) => (delta > 0 ? `+${formatNumber(delta)}` : `−${formatNumber(-delta)}`);
+
+function Metric({ label, values }) {
+  const current = values[values.length - 1];
+  const delta = values.length > 1 ? current - values[values.length - 2] : 0;
+
+  return (
+    <div className="watch-metric">
+      <span className="stat-label">{label}</span>
+      <span className="stat-value">
+        {formatNumber(current)}
+        {delta !== 0 && (
+          <span className={`watch-delta ${delta > 0 ? 'up' : 'down'}`}>{formatDelta(delta)}</span>
+        )}
+      </span>
+      <Sparkline values={values} />
+    </div>
+  );
+}
+
+function WatchedProfile({ entry, fetchResource, fetchRepositoryPage, onSelectProfile, onUnwatch }) {
+  const { t } = useTranslation();
+  const { login, key } = entry;
+
+  // Opening the watchlist counts as a visit: refresh through the caches and snapshot
+  const loadSnapshots = useCallback(async (signal) => {
+    const user = await fetchResource(`user_${key}`, `/users/${encodeURIComponent(login)}`, {
+      signal,
+      ttl: CACHE_TTL.user
+    });
+    const repositories = await fetchAllRepositories(fetchRepositoryPage, login, signal);
+    return recordSnapshot(buildSnapshot(user, repositories));
+  }, [fetchResource, fetchRepositoryPage, login, key]);
+
+  const { data: snapshots, loading, error } = useAsyncData(loadSnapshots);
+
+  const latest = snapshots?.[snapshots.length - 1];
+  const previous = snapshots?.[snapshots.length - 2];
+  const diff = previous ? diffSnapshots(previous, latest) : null;
+
+  // Per-repository star history for the sparklines next to star changes
+  const starHistory = (name) => snapshots.map(snapshot => snapshot.repos[name]?.stars ?? null);
+
+  return (
+    <div className="watch-card">
+      <div className="watch-card-header">
+        <button className="person-card watch-profile" onClick={() => onSelectProfile(login)}>
+          {latest && <img src={latest.avatarUrl} alt={login} className="suggestion-avatar" loading="lazy" />}
+          <span className="person-login">{latest?.login || login}</span>
+        </button>
+        {snapshots && (
+          <span className="repo-count">
+            {t('watchlist.snapshots', { count: snapshots.length, time: formatRelativeTime(latest.takenAt) })}
+          </span>
+        )}
+        <button className="clear-cache-btn" onClick={() => onUnwatch(login)} title={t('watchlist.unwatchTitle', { login })}>
+          {t('watchlist.unwatch')}
+        </button>
+      </div>
+
+      {loading && !snapshots && (
+        <div className="repo-loading">
+          <span className="loading-dots">{t('watchlist.taking')}</span>
+        </div>
+      )}
+
+      {error && (
+        <div className="error-message">
+          <p>{error}</p>
+        </div>
+      )}
+
+      {snapshots && snapshots.length > 0 && (
+        <>
+          <div className="watch-metrics">
+            <Metric label={t('user.followers')} values={snapshots.map(snapshot => snapshot.followers)} />
+            <Metric label={t('user.publicRepos')} values={snapshots.map(snapshot => snapshot.publicRepos)} />
+            <Metric label={t('watchlist.stars')} values={snapshots.map(totalStars)} />
+            <Metric label={t('watchlist.forks')} values={snapshots.map(totalForks)} />
+          </div>
+
+          {!diff ? (
+            <p className="connections-note">{t('watchlist.firstSnapshot')}</p>
+          ) : !hasChanges(diff) ? (
+            <p className="connections-note">{t('watchlist.noChanges', { time: formatDate(previous.takenAt, SNAPSHOT_TIME) })}</p>
+          ) : (
+            <ul className="watch-changes">
+              <li className="connections-note">{t('watchlist.since', { time: formatDate(previous.takenAt, SNAPSHOT_TIME) })}</li>
+              {diff.followers !== 0 && (
+                <li>{t('watchlist.followersDelta', { count: Math.abs(diff.followers), delta: formatDelta(diff.followers) })}</li>
+              )}
+              {diff.following !== 0 && (
+                <li>{t('watchlist.followingDelta', { delta: formatDelta(diff.following) })}</li>
+              )}
+              {diff.newRepos.length > 0 && (
+                <li>{t('watchlist.newRepos', { repos: diff.newRepos.join(', ') })}</li>
+              )}
+              {diff.removedRepos.length > 0 && (
+                <li>{t('watchlist.removedRepos', { repos: diff.removedRepos.join(', ') })}</li>
+              )}
+              {diff.starChanges.slice(0, MAX_LISTED_CHANGES).map(({ name, delta }) => (
+                <li key={`stars-${name}`}>
+                  {t('watchlist.starsDelta', { name, count: Math.abs(delta), delta: formatDelta(delta) })}
+                  <Sparkline values={starHistory(name)} width={60} height={14} />
+                </li>
+              ))}
+              {diff.starChanges.length > MAX_LISTED_CHANGES && (
+                <li className="connections-note">{t('watchlist.moreStarChanges', { count: diff.starChanges.length - MAX_LISTED_CHANGES })}</li>
+              )}
+              {diff.forkChanges.slice(0, MAX_LISTED_CHANGES).map(({ name, delta }) => (
+                <li key={`forks-${name}`}>{t('watchlist.forksDelta', { name, count: Math.abs(delta), delta: formatDelta(delta) })}</li>
+              ))}
+              {diff.profileEdits.map(({ field, from, to }) => (
+                <li key={field}>
+                  ✏️ {t(`watchlist.field.${field}`)}: <del>{from || t('watchlist.emptyValue')}</del>
+                  {" "}{t('watchlist.editArrow')}{" "}
+                  <ins>{to || t('watchlist.emptyValue')}</ins>
+                </li>
+              ))}
+            </ul>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
+
+// Watched profiles with what changed between their last two snapshots
+export default function Watchlist({ watchlist, fetchResource, fetchRepositoryPage, onSelectProfile, onUnwatch, onClose }) {
+  const { t } = useTranslation();
+  return (
+    <div className="repositories-section watchlist-section">
+      <div className="section-header">
+        <h3 className="section-title">
+          {t('watchlist.title')}
+          <span className="repo-count">{t('watchlist.count', { count: watchlist.length })}</span>
+        </h3>
+        <button className="view-all-repos" onClick={onClose}>
+          {t('common.backToProfile')}
+        </button>
+      </div>
+
+      {watchlist.length === 0 ? (
+        <div className="no-repos-message">
+          <p>{t('watchlist.none', { watch: t('user.watch') })}</p>
+        </div>
+      ) : (
+        <div className="watch-list">
+          {watchlist.map(entry => (
+            <WatchedProfile
+              key={entry.key}
+              entry={entry}
+              fetchResource={fetchResource}
+              fetchRepositoryPage={fetchRepositoryPage}
+              onSelectProfile={onSelectProfile}
+              onUnwatch={onUnwatch}
+            />
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,27 @@
+import { useEffect, useState } from "react";
+
+// Run a memoized async loader whenever it changes, aborting the previous run
+export default function useAsyncData(load) {
+  const [state, setState] = useState({ data: null, loading: true, error: null });
+
+  useEffect(() => {
+    const controller = new AbortController();
+    setState(prev => ({ ...prev, loading: true, error: null }));
+
+    load(controller.signal)
+      .then(data => {
+        if (!controller.signal.aborted) {
+          setState({ data, loading: false, error: null });
+        }
+      })
+      .catch(error => {
+        if (!controller.signal.aborted && error.name !== 'AbortError') {
+          setState({ data: null, loading: false, error: error.message });
+        }
+      });
+
+    return () => controller.abort();
+  }, [load]);
+
+  return state;
+}
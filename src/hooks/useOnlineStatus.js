@@ -0,0 +1,7 @@
+import { useSyncExternalStore } from "react";
+import { isOnline, subscribeToNetworkStatus } from "../api/network";
+
+// Whether the browser currently has a connection
+export default function useOnlineStatus() {
+  return useSyncExternalStore(subscribeToNetworkStatus, isOnline);
+}
@@ -0,0 +1,7 @@
+import { useSyncExternalStore } from "react";
+import { rateLimitScheduler } from "../api/github";
+
+// Current rate limit buckets keyed by resource (core, search, graphql)
+export default function useRateLimits() {
+  return useSyncExternalStore(rateLimitScheduler.subscribe, rateLimitScheduler.getSnapshot);
+}
@@ -0,0 +1,10 @@
+import { useCallback, useSyncExternalStore } from "react";
+import { getLocale, subscribeToLocale, translate } from "../i18n";
+
+// The current locale and a t(key, params) bound to it; t changes identity with the locale,
+// so memoized output that uses it re-renders on a language switch
+export default function useTranslation() {
+  const locale = useSyncExternalStore(subscribeToLocale, getLocale);
+  const t = useCallback((key, params) => translate(key, params, locale), [locale]);
+  return { locale, t };
+}
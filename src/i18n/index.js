@@ -0,0 +1,87 @@
+import en from "./messages/en";
+import es from "./messages/es";
+import ar from "./messages/ar";
+
+// Supported languages, each labelled in its own language
+export const LOCALES = {
+  en: { label: 'English', dir: 'ltr', messages: en },
+  es: { label: 'Español', dir: 'ltr', messages: es },
+  ar: { label: 'العربية', dir: 'rtl', messages: ar }
+};
+
+const STORAGE_KEY = 'github-profile-finder-locale';
+const DEFAULT_LOCALE = 'en';
+
+// A saved choice wins, then the first browser language we have a catalog for
+const detectLocale = () => {
+  try {
+    const stored = window.localStorage.getItem(STORAGE_KEY);
+    if (LOCALES[stored]) return stored;
+  } catch {
+    // Storage unavailable, fall back to the browser languages
+  }
+
+  const preferred = navigator.languages?.length ? navigator.languages : [navigator.language];
+  return preferred
+    .map(tag => tag?.toLowerCase().split('-')[0])
+    .find(code => LOCALES[code]) || DEFAULT_LOCALE;
+};
+
+let currentLocale = detectLocale();
+const listeners = new Set();
+
+// lang and dir on <html> let the browser pick fonts and mirror the layout for RTL
+const applyToDocument = () => {
+  document.documentElement.lang = currentLocale;
+  document.documentElement.dir = LOCALES[currentLocale].dir;
+};
+
+applyToDocument();
+
+export const getLocale = () => currentLocale;
+
+export const subscribeToLocale = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+export const setLocale = (locale) => {
+  if (!LOCALES[locale] || locale === currentLocale) return;
+
+  currentLocale = locale;
+  try {
+    window.localStorage.setItem(STORAGE_KEY, locale);
+  } catch (error) {
+    console.error('Error storing language:', error.message);
+  }
+  applyToDocument();
+  listeners.forEach(listener => listener());
+};
+
+// Intl constructors are costly, so keep one per constructor, locale and options
+const formatters = new Map();
+
+export const getFormatter = (Formatter, options = {}, locale = currentLocale) => {
+  const key = `${Formatter.name}|${locale}|${JSON.stringify(options)}`;
+  if (!formatters.has(key)) {
+    formatters.set(key, new Formatter(locale, options));
+  }
+  return formatters.get(key);
+};
+
+// Look a message up in the locale's catalog, falling back to English, and fill in {params}.
+// Numeric params are formatted for the locale; plural messages pick their form by params.count.
+export const translate = (key, params = {}, locale = currentLocale) => {
+  let message = LOCALES[locale].messages[key] ?? en[key] ?? key;
+
+  if (typeof message === 'object') {
+    const category = getFormatter(Intl.PluralRules, {}, locale).select(params.count);
+    message = message[category] ?? message.other;
+  }
+
+  return message.replace(/\{(\w+)\}/g, (placeholder, name) => {
+    if (!(name in params)) return placeholder;
+    const value = params[name];
+    return typeof value === 'number' ? getFormatter(Intl.NumberFormat, {}, locale).format(value) : value;
+  });
+};
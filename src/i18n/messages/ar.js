@@ -0,0 +1,563 @@
+// Arabic catalog (right-to-left)
+export default {
+  'language.label': 'اللغة',
+
+  'theme.label': 'المظهر',
+  'theme.system': 'حسب النظام',
+  'theme.light': 'فاتح',
+  'theme.dark': 'داكن',
+  'theme.high-contrast': 'تباين عالٍ',
+
+  'search.placeholder': 'ابحث عن اسم مستخدم في GitHub...',
+  'search.ariaLabel': 'البحث عن مستخدمي GitHub',
+  'search.submit': 'بحث',
+  'search.submitting': 'جارٍ البحث...',
+  'search.suggestionsLoading': 'جارٍ البحث...',
+  'search.score': 'الدرجة: {score}',
+  'search.advanced': 'بحث متقدم',
+  'search.advancedTitle': 'ابحث حسب الموقع واللغة والمتابعين وغير ذلك',
+  'search.token': '🔑 الرمز',
+  'search.tokenTitle': 'أضف رمز GitHub الخاص بك أو بدّله',
+  'search.bulk': '📋 دفعة',
+  'search.bulkTitle': 'ابحث عن قائمة من أسماء المستخدمين دفعة واحدة',
+  'search.me': '🙋 أنا',
+  'search.meTitle': 'المستودعات التي يصل إليها رمزك، بما فيها الخاصة',
+  'search.suggestionsLabel': 'مستخدمون مقترحون',
+
+  'loading.user': 'جارٍ تحميل بيانات المستخدم...',
+
+  'announce.suggestions': {
+    one: 'اقتراح واحد. استخدم السهمين لأعلى ولأسفل للتنقل وEnter للفتح.',
+    two: 'اقتراحان. استخدم السهمين لأعلى ولأسفل للتنقل وEnter للفتح.',
+    few: '{count} اقتراحات. استخدم السهمين لأعلى ولأسفل للتنقل وEnter للفتح.',
+    many: '{count} اقتراحًا. استخدم السهمين لأعلى ولأسفل للتنقل وEnter للفتح.',
+    other: '{count} اقتراح. استخدم السهمين لأعلى ولأسفل للتنقل وEnter للفتح.'
+  },
+  'announce.noSuggestions': 'لا يوجد مستخدمون مطابقون',
+  'announce.loadingProfile': 'جارٍ تحميل الملف الشخصي لـ {login}...',
+  'announce.profileLoaded': 'تم تحميل الملف الشخصي لـ {login}',
+  'announce.rateLimitLow': 'الطلبات المتبقية إلى واجهة GitHub البرمجية قليلة.',
+  'announce.rateLimitExhausted': 'تم بلوغ حد الطلبات. تُستأنف الطلبات في {time}.',
+
+  'errors.enterUsername': 'يرجى إدخال اسم مستخدم',
+  'errors.userNotFound': 'لم يُعثر على المستخدم',
+  'errors.rateLimited': 'تم تجاوز حد الطلبات. يرجى المحاولة لاحقًا.',
+  'errors.network': 'خطأ في الشبكة. يرجى المحاولة مرة أخرى.',
+  'errors.offlineQueued': 'أنت غير متصل. سيُحمَّل {login} عند عودة الاتصال.',
+
+  'rateLimit.resetsAt': 'يُعاد ضبط حد الطلبات في: {time}',
+  'rateLimit.solutionsTitle': '💡 حلول لتجنب حد الطلبات:',
+  'rateLimit.solutionToken': '🔑 أضف رمز GitHub لتحصل على 5000 طلب في الساعة بدلًا من 60',
+  'rateLimit.solutionWait': '⏰ انتظر حتى {time} ليُعاد ضبط الحد',
+  'rateLimit.solutionHistory': '💾 استخدم النتائج المحفوظة من سجل البحث',
+  'rateLimit.solutionClear': '🧹 امسح ذاكرة التخزين المؤقت لتحرير الذاكرة والاعتماد على البيانات المحفوظة',
+  'rateLimit.howToTitle': 'كيفية إضافة رمز GitHub:',
+  'rateLimit.howToGoTo': 'انتقل إلى',
+  'rateLimit.howToSettingsLink': 'إعدادات GitHub ← الرموز',
+  'rateLimit.howToGenerate': 'أنشئ رمزًا جديدًا (لا يحتاج إلى صلاحيات خاصة)',
+  'rateLimit.howToOpen': 'افتح',
+  'rateLimit.howToSettingsButton': '🔑 إعدادات الرمز',
+  'rateLimit.howToPaste': 'والصقه هناك',
+  'rateLimit.lowRemaining': 'عدد طلبات API المتبقية منخفض: {count}',
+  'rateLimit.lowAdvice': 'فكّر في إضافة رمز GitHub لتحصل على 5000 طلب في الساعة بدلًا من 60.',
+  'rateLimit.getToken': 'احصل على رمز',
+
+  'offline.title': 'أنت غير متصل',
+  'offline.cachedAsOf': 'بيانات {login} محفوظة منذ {time}.',
+  'offline.cachedProfiles': 'لا تزال الملفات الشخصية التي عرضتها سابقًا تُفتح من الذاكرة المؤقتة.',
+  'offline.queued': 'في الانتظار حتى عودة الاتصال: {logins}',
+
+  'history.label': 'عمليات البحث الأخيرة:',
+  'history.clear': 'مسح',
+  'history.clearTitle': 'مسح الذاكرة المؤقتة والسجل',
+
+  'compare.label': 'مقارنة:',
+  'compare.unpin': 'إلغاء تثبيت {login}',
+  'compare.pin': '📌 تثبيت {login}',
+  'compare.button': 'مقارنة ({count}/{max})',
+  'compare.needTwo': 'ثبّت ملفين شخصيين على الأقل للمقارنة',
+
+  'watchlist.label': 'قيد المراقبة:',
+  'watchlist.changes': 'التغييرات ({count})',
+
+  'user.avatarAlt': 'المستخدم',
+  'user.regionLabel': 'الملف الشخصي لـ {name}',
+  'user.hireable': 'متاح للتوظيف',
+  'user.memberSince': 'عضو منذ {date}',
+  'user.lastUpdated': 'آخر تحديث {time}',
+  'user.refreshing': ' · جارٍ التحديث...',
+  'user.offlineCopy': ' · نسخة دون اتصال',
+  'user.publicRepos': 'المستودعات العامة',
+  'user.followers': 'المتابِعون',
+  'user.following': 'يتابع',
+  'user.exploreFollowers': 'استعراض المتابِعين',
+  'user.exploreFollowing': 'استعراض من يتابعهم',
+  'user.recentActivity': '🕒 النشاط الأخير',
+  'user.gists': '📝 Gists',
+  'user.shareCard': '🖼️ بطاقة المشاركة',
+  'user.watch': '👁️ مراقبة',
+  'user.watching': '👁️ قيد المراقبة',
+  'user.watchTitle': 'تتبّع المتابِعين والمستودعات والنجوم بمرور الوقت',
+  'user.unwatchTitle': 'إيقاف مراقبة هذا الملف الشخصي',
+  'user.contactInfo': 'التواصل والمعلومات',
+  'user.pinned': '📌 المثبّتة',
+  'user.publicRepositories': '📦 المستودعات العامة',
+  'user.reposShown': '(يُعرض {count})',
+  'user.loadingRepos': 'جارٍ تحميل المستودعات...',
+  'user.languageAnalytics': '📊 تحليل اللغات',
+  'user.noRepos': 'لم يُعثر على مستودعات عامة أو تعذّر تحميلها.',
+  'user.viewAllOnGitHub': 'عرض كل المستودعات على GitHub ←',
+  'user.browseAll': {
+    zero: 'لا توجد مستودعات ←',
+    one: 'استعراض مستودع واحد ←',
+    two: 'استعراض المستودعين ←',
+    few: 'استعراض {count} مستودعات ←',
+    many: 'استعراض {count} مستودعًا ←',
+    other: 'استعراض {count} مستودع ←'
+  },
+
+  'common.backToProfile': '→ العودة إلى الملف الشخصي',
+  'common.loading': 'جارٍ التحميل...',
+
+  'pagination.previous': '→ السابق',
+  'pagination.next': 'التالي ←',
+  'pagination.page': 'الصفحة {page}',
+  'pagination.pageOf': 'الصفحة {page} من {count}',
+
+  'repository.archived': 'مؤرشف',
+  'repository.fork': 'نسخة متفرعة',
+  'repository.homepage': 'زيارة الصفحة الرئيسية',
+  'repository.updated': 'آخر تحديث {date}',
+  'repository.visibility.public': 'عام',
+  'repository.visibility.private': 'خاص',
+  'repository.visibility.internal': 'داخلي',
+  'repository.affiliation.owner': 'مالك',
+  'repository.affiliation.collaborator': 'متعاون',
+  'repository.affiliation.organization_member': 'عضو في المنظمة',
+  'repository.permission.admin': 'مسؤول',
+  'repository.permission.maintain': 'صيانة',
+  'repository.permission.push': 'كتابة',
+  'repository.permission.triage': 'فرز',
+  'repository.permission.pull': 'قراءة',
+
+  'repositories.title': 'مستودعات {login}',
+  'repositories.count': '(تم تحميل {loaded}، يظهر منها {shown})',
+  'repositories.countWithTotal': '(تم تحميل {loaded} من أصل {total}، يظهر منها {shown})',
+  'repositories.sort': 'الترتيب',
+  'repositories.sortBy.stars': 'النجوم',
+  'repositories.sortBy.forks': 'النسخ المتفرعة',
+  'repositories.sortBy.name': 'الاسم',
+  'repositories.sortBy.created': 'تاريخ الإنشاء',
+  'repositories.sortBy.pushed': 'آخر دفع',
+  'repositories.descending': 'تنازلي',
+  'repositories.ascending': 'تصاعدي',
+  'repositories.language': 'اللغة',
+  'repositories.allLanguages': 'كل اللغات',
+  'repositories.topic': 'الموضوع',
+  'repositories.allTopics': 'كل المواضيع',
+  'repositories.type': 'النوع',
+  'repositories.type.all': 'الكل',
+  'repositories.type.sources': 'الأصلية',
+  'repositories.type.forks': 'المتفرعة',
+  'repositories.archived': 'الأرشفة',
+  'repositories.archived.all': 'الكل',
+  'repositories.archived.active': 'غير المؤرشفة',
+  'repositories.archived.archived': 'المؤرشفة فقط',
+  'repositories.noMatch': 'لا توجد مستودعات مطابقة لهذه المرشحات.',
+
+  'compare.title': '⚖️ مقارنة الملفات الشخصية',
+  'compare.accountAge': 'عمر الحساب',
+  'compare.years': {
+    zero: '{count} سنة',
+    one: 'سنة واحدة',
+    two: 'سنتان',
+    few: '{count} سنوات',
+    many: '{count} سنة',
+    other: '{count} سنة'
+  },
+  'compare.totalStars': 'إجمالي النجوم',
+  'compare.mostStarred': 'المستودع الأكثر نجومًا',
+  'compare.topLanguages': 'أبرز اللغات',
+
+  'organizations.title': 'المنظمات',
+
+  'organization.regionLabel': 'الملف الشخصي للمنظمة {name}',
+  'organization.avatarAlt': 'منظمة',
+  'organization.badge': 'منظمة',
+  'organization.verified': '✓ موثّقة',
+  'organization.verifiedTitle': 'وثّقت هذه المنظمة نطاقاتها',
+  'organization.created': 'أُنشئت في {date}',
+  'organization.publicMembers': '👥 الأعضاء العلنيون',
+  'organization.loadingMembers': 'جارٍ تحميل الأعضاء...',
+  'organization.noMembers': 'لا يوجد أعضاء علنيون في هذه المنظمة.',
+  'organization.repositories': '📦 المستودعات',
+
+  'rateLimit.bucket.core': 'طلبات الواجهة البرمجية',
+  'rateLimit.bucket.search': 'البحث',
+  'rateLimit.bucket.graphql': 'نقاط GraphQL',
+  'rateLimit.bucketStatus': '{label}: {remaining}/{limit}',
+  'rateLimit.resetsIn': ' · يُعاد الضبط خلال {time}',
+  'rateLimit.queued': ' · {count} في الانتظار',
+  'rateLimit.tokenActive': '🔑 الرمز مفعّل',
+
+  'export.button': '⬇️ تصدير',
+  'export.format.json': 'JSON (البيانات الخام)',
+  'export.format.csv': 'CSV (المستودعات)',
+  'export.format.markdown': 'ملخص Markdown',
+  'export.format.vcard': 'بطاقة اتصال vCard',
+
+  'errors.tokenRejected': 'رفض GitHub هذا الرمز. تحقّق من نسخه كاملًا ومن أنه لم تنتهِ صلاحيته.',
+  'errors.offline': 'أنت غير متصل ولم يُحفظ هذا في ذاكرة التخزين المؤقت بعد.',
+
+  'settings.title': '🔑 رمز GitHub',
+  'settings.signedInAs': 'مسجّل الدخول باسم',
+  'settings.scopes': 'الصلاحيات: {scopes}',
+  'settings.scopesFineGrained': 'رمز دقيق الصلاحيات (تُحدَّد الصلاحيات لكل مستودع)',
+  'settings.scopesNone': 'بلا صلاحيات (البيانات العامة فقط)',
+  'settings.expires': 'تنتهي صلاحيته في {date}',
+  'settings.noExpiration': 'لم يُذكر تاريخ انتهاء',
+  'settings.storedIn': 'محفوظ في: {storage}',
+  'settings.storage.memory': 'الذاكرة (حتى إعادة تحميل الصفحة)',
+  'settings.storage.session': 'هذا التبويب (sessionStorage)',
+  'settings.storage.local': 'هذا المتصفح (localStorage)',
+  'settings.signOut': 'تسجيل الخروج',
+  'settings.buildTimeToken': 'يُستخدم الرمز المضمّن في هذا النشر. احفظ رمزك الخاص لاستخدامه بدلًا منه.',
+  'settings.noToken': 'لا يوجد رمز: الطلبات محدودة بـ 60 في الساعة. يرفعها الرمز إلى 5000.',
+  'settings.switchToken': 'التبديل إلى رمز آخر',
+  'settings.tokenLabel': 'رمز الوصول الشخصي',
+  'settings.rememberIn': 'التذكّر في',
+  'settings.sentOnlyTo': 'لا يُرسل الرمز إلا إلى {url}.',
+  'settings.createToken': 'إنشاء رمز',
+  'settings.noScopesNeeded': '(لا حاجة إلى أي صلاحيات للبيانات العامة).',
+  'settings.checking': 'جارٍ التحقق...',
+  'settings.save': 'حفظ الرمز',
+
+  'advancedSearch.title': '🔎 بحث متقدم عن المستخدمين',
+  'advancedSearch.keywords': 'كلمات مفتاحية',
+  'advancedSearch.keywordsPlaceholder': 'مثلًا rust',
+  'advancedSearch.location': 'الموقع',
+  'advancedSearch.locationPlaceholder': 'مثلًا برلين',
+  'advancedSearch.language': 'اللغة',
+  'advancedSearch.languagePlaceholder': 'مثلًا Go',
+  'advancedSearch.followers': 'متابعون أكثر من',
+  'advancedSearch.repos': 'مستودعات أكثر من',
+  'advancedSearch.joinedAfter': 'انضم بعد',
+  'advancedSearch.joinedBefore': 'انضم قبل',
+  'advancedSearch.accountType': 'نوع الحساب',
+  'advancedSearch.accountType.all': 'المستخدمون والمؤسسات',
+  'advancedSearch.accountType.user': 'المستخدمون',
+  'advancedSearch.accountType.org': 'المؤسسات',
+  'advancedSearch.emptyQuery': 'املأ حقلًا واحدًا على الأقل',
+  'advancedSearch.results': {
+    zero: 'لا توجد نتائج',
+    one: 'نتيجة واحدة',
+    two: 'نتيجتان',
+    few: '{count} نتائج',
+    many: '{count} نتيجة',
+    other: '{count} نتيجة'
+  },
+  'advancedSearch.resultsCapped': ' (المتاح أول {max})',
+  'advancedSearch.sortBy.bestMatch': 'الأكثر تطابقًا',
+  'advancedSearch.sortBy.followers': 'المتابعون',
+  'advancedSearch.sortBy.repositories': 'المستودعات',
+  'advancedSearch.sortBy.joined': 'تاريخ الانضمام',
+  'advancedSearch.noResults': 'لا يوجد مستخدمون يطابقون هذا البحث.',
+  'advancedSearch.org': 'مؤسسة',
+
+  'connections.title': 'علاقات {login}',
+  'connections.loading': 'جارٍ تحميل العلاقات...',
+  'connections.tab.followers': 'المتابعون',
+  'connections.tab.following': 'يتابع',
+  'connections.tab.mutuals': 'متابعة متبادلة',
+  'connections.tab.not-following-back': 'لا يتابعون بالمثل',
+  'connections.truncated': 'بناءً على أول {count} من المتابعين والمتابَعين.',
+  'connections.empty': 'لا توجد حسابات لعرضها.',
+
+  'activity.title': 'نشاط {login}',
+  'activity.count': {
+    zero: '(لا أحداث)',
+    one: '(حدث واحد)',
+    two: '(حدثان)',
+    few: '({count} أحداث)',
+    many: '({count} حدثًا)',
+    other: '({count} حدث)'
+  },
+  'activity.loading': 'جارٍ تحميل النشاط...',
+  'activity.eventType': 'نوع الحدث',
+  'activity.allEvents': 'كل الأحداث',
+  'activity.repository': 'المستودع',
+  'activity.allRepositories': 'كل المستودعات',
+  'activity.empty': 'لا يوجد نشاط عام حديث.',
+  'activity.loadOlder': 'تحميل نشاط أقدم ←',
+
+  'events.type.PushEvent': 'الدفع',
+  'events.type.PullRequestEvent': 'طلبات السحب',
+  'events.type.PullRequestReviewEvent': 'المراجعات',
+  'events.type.PullRequestReviewCommentEvent': 'تعليقات المراجعة',
+  'events.type.IssuesEvent': 'المشكلات',
+  'events.type.IssueCommentEvent': 'التعليقات',
+  'events.type.ReleaseEvent': 'الإصدارات',
+  'events.type.WatchEvent': 'النجوم',
+  'events.type.ForkEvent': 'التفرعات',
+  'events.type.CreateEvent': 'الإنشاء',
+  'events.type.DeleteEvent': 'الحذف',
+  'events.type.PublicEvent': 'الإتاحة للعامة',
+  'events.type.MemberEvent': 'المتعاونون',
+  'events.type.GollumEvent': 'الويكي',
+  'events.type.CommitCommentEvent': 'تعليقات الإيداعات',
+  'events.action.opened': 'فتح',
+  'events.action.closed': 'أغلق',
+  'events.action.reopened': 'أعاد فتح',
+  'events.action.merged': 'دمج',
+  'events.action.published': 'نشر',
+  'events.action.created': 'أنشأ',
+  'events.action.edited': 'عدّل',
+  'events.action.added': 'أضاف',
+  'events.refType.branch': 'الفرع',
+  'events.refType.tag': 'الوسم',
+  'events.push': {
+    zero: 'دفع {count} إيداع إلى {branch} في {repo}',
+    one: 'دفع إيداعًا واحدًا إلى {branch} في {repo}',
+    two: 'دفع إيداعين إلى {branch} في {repo}',
+    few: 'دفع {count} إيداعات إلى {branch} في {repo}',
+    many: 'دفع {count} إيداعًا إلى {branch} في {repo}',
+    other: 'دفع {count} إيداع إلى {branch} في {repo}'
+  },
+  'events.pullRequest': '{action} طلب السحب #{number} في {repo}',
+  'events.review': 'راجع طلب السحب #{number} في {repo}',
+  'events.reviewComment': 'علّق على مراجعة طلب السحب #{number} في {repo}',
+  'events.issue': '{action} المشكلة #{number} في {repo}',
+  'events.pullRequestComment': 'علّق على طلب السحب #{number} في {repo}',
+  'events.issueComment': 'علّق على المشكلة #{number} في {repo}',
+  'events.release': '{action} الإصدار {tag} في {repo}',
+  'events.star': 'أضاف نجمة إلى {repo}',
+  'events.fork': 'فرّع {repo} إلى {fork}',
+  'events.createRepository': 'أنشأ المستودع {repo}',
+  'events.create': 'أنشأ {refType} {ref} في {repo}',
+  'events.delete': 'حذف {refType} {ref} في {repo}',
+  'events.public': 'أتاح {repo} للعامة',
+  'events.member': '{action} {member} متعاونًا في {repo}',
+  'events.wiki': {
+    zero: 'حدّث {count} صفحة ويكي في {repo}',
+    one: 'حدّث صفحة ويكي واحدة في {repo}',
+    two: 'حدّث صفحتي ويكي في {repo}',
+    few: 'حدّث {count} صفحات ويكي في {repo}',
+    many: 'حدّث {count} صفحة ويكي في {repo}',
+    other: 'حدّث {count} صفحة ويكي في {repo}'
+  },
+  'events.commitComment': 'علّق على إيداع في {repo}',
+  'events.other': '{type} في {repo}',
+
+  'analytics.title': 'تحليل لغات {login}',
+  'analytics.count': {
+    zero: '(لا مستودعات)',
+    one: '(مستودع واحد)',
+    two: '(مستودعان)',
+    few: '({count} مستودعات)',
+    many: '({count} مستودعًا)',
+    other: '({count} مستودع)'
+  },
+  'analytics.analyzing': 'جارٍ تحليل اللغات {analyzed}/{planned}...',
+  'analytics.breakdown': 'توزيع اللغات',
+  'analytics.byBytes': 'حسب البايتات',
+  'analytics.byRepos': 'حسب المستودعات',
+  'analytics.repoCount': {
+    zero: 'لا مستودعات',
+    one: 'مستودع واحد',
+    two: 'مستودعان',
+    few: '{count} مستودعات',
+    many: '{count} مستودعًا',
+    other: '{count} مستودع'
+  },
+  'analytics.noLanguages': 'لا توجد بيانات لغات بعد.',
+  'analytics.bytesCapped': {
+    zero: 'تغطي أعداد البايتات {count} من المستودعات الأصلية الأكثر نجومًا للبقاء ضمن حد الطلبات.',
+    one: 'تغطي أعداد البايتات المستودع الأصلي الأكثر نجومًا للبقاء ضمن حد الطلبات.',
+    two: 'تغطي أعداد البايتات المستودعين الأصليين الأكثر نجومًا للبقاء ضمن حد الطلبات.',
+    few: 'تغطي أعداد البايتات {count} مستودعات أصلية هي الأكثر نجومًا للبقاء ضمن حد الطلبات.',
+    many: 'تغطي أعداد البايتات {count} مستودعًا أصليًا هي الأكثر نجومًا للبقاء ضمن حد الطلبات.',
+    other: 'تغطي أعداد البايتات {count} مستودع أصلي هي الأكثر نجومًا للبقاء ضمن حد الطلبات.'
+  },
+  'analytics.stars': 'النجوم حسب اللغة',
+  'analytics.noStars': 'لا توجد مستودعات حاصلة على نجوم.',
+  'analytics.topics': 'الموضوعات',
+  'analytics.noTopics': 'لا توجد موضوعات للمستودعات.',
+
+  'me.title': '🙋 مستودعاتي',
+  'me.needsToken': 'يعرض هذا القسم المستودعات التي يصل إليها رمزك، لذا يحتاج إلى رمز GitHub.',
+  'me.addToken': '🔑 إضافة رمز',
+  'me.reachable': '{count} متاح',
+  'me.visibilityCount.public': '{count} عام',
+  'me.visibilityCount.private': '{count} خاص',
+  'me.visibilityCount.internal': '{count} داخلي',
+  'me.publicProfile': '👤 الملف العام',
+  'me.name': 'الاسم',
+  'me.visibility': 'الظهور',
+  'me.affiliation': 'الصلة',
+  'me.permission': 'الصلاحية',
+
+  'watchlist.title': '👁️ قائمة المراقبة',
+  'watchlist.count': '({count} قيد المراقبة)',
+  'watchlist.none': 'لا تراقب أحدًا بعد. استخدم "{watch}" في ملف شخصي لتتبّع متابعيه ومستودعاته ونجومه مع الوقت.',
+  'watchlist.snapshots': {
+    zero: 'لا لقطات · الأخيرة {time}',
+    one: 'لقطة واحدة · الأخيرة {time}',
+    two: 'لقطتان · الأخيرة {time}',
+    few: '{count} لقطات · الأخيرة {time}',
+    many: '{count} لقطة · الأخيرة {time}',
+    other: '{count} لقطة · الأخيرة {time}'
+  },
+  'watchlist.unwatch': 'إلغاء المراقبة',
+  'watchlist.unwatchTitle': 'إيقاف مراقبة {login}',
+  'watchlist.taking': 'جارٍ التقاط لقطة...',
+  'watchlist.stars': 'النجوم',
+  'watchlist.forks': 'التفرعات',
+  'watchlist.firstSnapshot': 'التُقطت اللقطة الأولى. تظهر التغييرات بعد الزيارة التالية.',
+  'watchlist.noChanges': 'لا تغييرات منذ {time}.',
+  'watchlist.since': 'منذ {time}:',
+  'watchlist.followersDelta': {
+    zero: '👥 {delta} متابع',
+    one: '👥 {delta} متابع',
+    two: '👥 {delta} متابعان',
+    few: '👥 {delta} متابعين',
+    many: '👥 {delta} متابعًا',
+    other: '👥 {delta} متابع'
+  },
+  'watchlist.followingDelta': '🔗 يتابع {delta}',
+  'watchlist.newRepos': '🆕 مستودعات جديدة: {repos}',
+  'watchlist.removedRepos': '🗑️ لم تعد مدرجة: {repos}',
+  'watchlist.starsDelta': {
+    zero: '⭐ {name} {delta} نجمة',
+    one: '⭐ {name} {delta} نجمة',
+    two: '⭐ {name} {delta} نجمتان',
+    few: '⭐ {name} {delta} نجوم',
+    many: '⭐ {name} {delta} نجمة',
+    other: '⭐ {name} {delta} نجمة'
+  },
+  'watchlist.moreStarChanges': {
+    zero: '…و{count} مستودع آخر تغيّرت نجومه',
+    one: '…ومستودع آخر تغيّرت نجومه',
+    two: '…ومستودعان آخران تغيّرت نجومهما',
+    few: '…و{count} مستودعات أخرى تغيّرت نجومها',
+    many: '…و{count} مستودعًا آخر تغيّرت نجومها',
+    other: '…و{count} مستودع آخر تغيّرت نجومها'
+  },
+  'watchlist.forksDelta': {
+    zero: '🍴 {name} {delta} تفرع',
+    one: '🍴 {name} {delta} تفرع',
+    two: '🍴 {name} {delta} تفرعان',
+    few: '🍴 {name} {delta} تفرعات',
+    many: '🍴 {name} {delta} تفرعًا',
+    other: '🍴 {name} {delta} تفرع'
+  },
+  'watchlist.field.name': 'الاسم',
+  'watchlist.field.bio': 'النبذة',
+  'watchlist.field.company': 'الشركة',
+  'watchlist.field.location': 'الموقع',
+  'watchlist.emptyValue': 'فارغ',
+  'watchlist.editArrow': '←',
+
+  'shareCard.title': '🖼️ بطاقة المشاركة',
+  'shareCard.building': 'جارٍ إنشاء البطاقة...',
+  'shareCard.layout': 'التخطيط',
+  'shareCard.layout.wide': 'عريض',
+  'shareCard.layout.compact': 'مضغوط',
+  'shareCard.theme.dark': 'داكن',
+  'shareCard.theme.light': 'فاتح',
+  'shareCard.theme.glass': 'زجاجي',
+  'shareCard.avatarFailed': 'تعذّر تضمين الصورة الرمزية، لذا تستخدم البطاقة صورة بديلة.',
+  'shareCard.alt': 'بطاقة مشاركة {login}',
+  'shareCard.download': '⬇️ تنزيل SVG',
+  'shareCard.copy.idle': 'نسخ SVG',
+  'shareCard.copy.copied': 'تم النسخ!',
+  'shareCard.copy.failed': 'تعذّر النسخ',
+
+  'drawer.close': 'إغلاق تفاصيل المستودع',
+  'drawer.loadingDetails': 'جارٍ تحميل التفاصيل...',
+  'drawer.issuesAndPulls': 'المشكلات وطلبات السحب',
+  'drawer.openIssues': 'المشكلات المفتوحة',
+  'drawer.openPulls': 'طلبات السحب المفتوحة',
+  'drawer.defaultBranch': 'الفرع الافتراضي',
+  'drawer.license': 'الترخيص',
+  'drawer.noLicense': 'لا يوجد',
+  'drawer.languages': 'اللغات',
+  'drawer.loadingLanguages': 'جارٍ تحميل اللغات...',
+  'drawer.noLanguages': 'لا توجد بيانات لغات.',
+  'drawer.releases': 'أحدث الإصدارات',
+  'drawer.loadingReleases': 'جارٍ تحميل الإصدارات...',
+  'drawer.noReleases': 'لم يُنشر أي إصدار.',
+  'drawer.prerelease': 'إصدار تجريبي',
+  'drawer.draft': 'مسودة',
+  'drawer.contributors': 'أبرز المساهمين',
+  'drawer.loadingContributors': 'جارٍ تحميل المساهمين...',
+  'drawer.noContributors': 'لا يوجد مساهمون بعد.',
+  'drawer.openProfile': 'فتح ملف {login} الشخصي',
+  'drawer.readme': 'README',
+  'drawer.loadingReadme': 'جارٍ تحميل README...',
+  'drawer.noReadme': 'لا يوجد README: {error}',
+
+  'gists.title': 'Gists الخاصة بـ {login}',
+  'gists.publicCount': '({count} عام)',
+  'gists.loading': 'جارٍ تحميل Gists...',
+  'gists.none': 'لم ينشر {login} أي Gist.',
+  'gists.noMore': 'لا مزيد من Gists.',
+  'gists.secret': 'سري',
+  'gists.plainText': 'نص',
+  'gists.dates': 'أُنشئ في {created} · حُدّث {updated}',
+  'gists.loadingFile': 'جارٍ تحميل {file}...',
+  'gists.fileGone': 'لم يعد {file} موجودًا في هذا الـ Gist.',
+  'gists.fileContents': 'محتوى {file}',
+  'gists.truncated': 'اقتُطعت المعاينة.',
+  'gists.viewWholeFile': 'عرض الملف كاملًا',
+
+  'bulk.title': '📋 بحث جماعي',
+  'bulk.found': 'عُثر على {done}/{total}',
+  'bulk.failed': '{count} فشل',
+  'bulk.inputLabel': 'أسماء المستخدمين، واحد في كل سطر أو مفصولة بفواصل',
+  'bulk.uploadLabel': 'أو ارفع ملف CSV (يُستخدم عمود login أو username أو github إن وُجد)',
+  'bulk.stop': 'إيقاف',
+  'bulk.submit': 'البحث عن الملفات الشخصية',
+  'bulk.noUsernames': 'لم يُعثر على أسماء مستخدمين.',
+  'bulk.skipped': {
+    zero: 'تُخطّي {count} إدخال لا يصلح اسم مستخدم: {entries}',
+    one: 'تُخطّي إدخال واحد لا يصلح اسم مستخدم: {entries}',
+    two: 'تُخطّي إدخالان لا يصلحان اسمي مستخدم: {entries}',
+    few: 'تُخطّيت {count} إدخالات لا تصلح أسماء مستخدمين: {entries}',
+    many: 'تُخطّي {count} إدخالًا لا يصلح أسماء مستخدمين: {entries}',
+    other: 'تُخطّي {count} إدخال لا يصلح أسماء مستخدمين: {entries}'
+  },
+  'bulk.dropped': 'يُبحث عن أول {max} اسم مستخدم فقط؛ وتُرك {count} آخرون.',
+  'bulk.paused': '⏸ متوقف مؤقتًا: حد طلبات API أوشك على النفاد، والباقي محجوز لتحميل الملفات الشخصية.',
+  'bulk.resumesAt': 'يُستأنف البحث في {time}.',
+  'bulk.retry': '↻ إعادة محاولة {count} فاشلة',
+  'bulk.column.login': 'اسم المستخدم',
+  'bulk.column.name': 'الاسم',
+  'bulk.column.company': 'الشركة',
+  'bulk.column.location': 'الموقع',
+  'bulk.column.followers': 'المتابعون',
+  'bulk.column.public_repos': 'المستودعات',
+  'bulk.column.hireable': 'متاح للتوظيف',
+  'bulk.status': 'الحالة',
+  'bulk.hireable': '✅ نعم',
+  'bulk.waiting': 'في الانتظار',
+  'bulk.stopped': 'أُوقف',
+
+  'fixtures.mode.record': 'جارٍ تسجيل البيانات التجريبية',
+  'fixtures.mode.replay': 'جارٍ إعادة تشغيل البيانات التجريبية',
+  'fixtures.responses': {
+    zero: 'لا استجابات',
+    one: 'استجابة واحدة',
+    two: 'استجابتان',
+    few: '{count} استجابات',
+    many: '{count} استجابة',
+    other: '{count} استجابة'
+  },
+  'fixtures.delay': 'تأخير {delay} مللي ثانية',
+  'fixtures.rateLimit': '{count} طلب core في الساعة',
+  'fixtures.download': 'تنزيل الحزمة',
+  'fixtures.load': 'تحميل حزمة...',
+  'fixtures.loadFailed': 'تعذّر تحميل {file}: {error}',
+  'fixtures.notABundle': 'ليست حزمة بيانات تجريبية: الكائن "responses" مفقود.',
+  'fixtures.goLive': 'العودة إلى البيانات الحية',
+  'fixtures.goLiveTitle': 'إعادة التحميل بطلبات API حية'
+};
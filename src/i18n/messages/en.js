@@ -0,0 +1,497 @@
+// English catalog; the fallback for keys missing from other catalogs.
+// Plural messages are keyed by Intl.PluralRules category and chosen by the count param.
+export default {
+  'language.label': 'Language',
+
+  'theme.label': 'Theme',
+  'theme.system': 'System',
+  'theme.light': 'Light',
+  'theme.dark': 'Dark',
+  'theme.high-contrast': 'High contrast',
+
+  'search.placeholder': 'Search Github Username...',
+  'search.ariaLabel': 'GitHub username search',
+  'search.submit': 'Search',
+  'search.submitting': 'Searching...',
+  'search.suggestionsLoading': 'Searching...',
+  'search.score': 'Score: {score}',
+  'search.advanced': 'Advanced',
+  'search.advancedTitle': 'Search by location, language, followers and more',
+  'search.token': '🔑 Token',
+  'search.tokenTitle': 'Add or switch your GitHub token',
+  'search.bulk': '📋 Bulk',
+  'search.bulkTitle': 'Look up a list of usernames at once',
+  'search.me': '🙋 Me',
+  'search.meTitle': 'Repositories your token can reach, private ones included',
+  'search.suggestionsLabel': 'Suggested users',
+
+  'loading.user': 'Loading user data...',
+
+  'announce.suggestions': {
+    one: '{count} suggestion. Use the up and down arrows to review it and Enter to open it.',
+    other: '{count} suggestions. Use the up and down arrows to review them and Enter to open one.'
+  },
+  'announce.noSuggestions': 'No matching users',
+  'announce.loadingProfile': 'Loading {login}\'s profile...',
+  'announce.profileLoaded': '{login}\'s profile loaded',
+  'announce.rateLimitLow': 'API requests are running low.',
+  'announce.rateLimitExhausted': 'Rate limit reached. Requests resume at {time}.',
+
+  'errors.enterUsername': 'Please enter a username',
+  'errors.userNotFound': 'User not found',
+  'errors.rateLimited': 'Rate limit exceeded. Please try again later.',
+  'errors.network': 'Network error. Please try again.',
+  'errors.offlineQueued': 'You\'re offline. {login} will load when the connection returns.',
+
+  'rateLimit.resetsAt': 'Rate limit resets at: {time}',
+  'rateLimit.solutionsTitle': '💡 Solutions to avoid rate limits:',
+  'rateLimit.solutionToken': '🔑 Add a GitHub token to get 5000 requests/hour instead of 60',
+  'rateLimit.solutionWait': '⏰ Wait until {time} for the limit to reset',
+  'rateLimit.solutionHistory': '💾 Use cached results from search history',
+  'rateLimit.solutionClear': '🧹 Clear cache to free up memory and rely on cached data',
+  'rateLimit.howToTitle': 'How to add a GitHub token:',
+  'rateLimit.howToGoTo': 'Go to',
+  'rateLimit.howToSettingsLink': 'GitHub Settings → Tokens',
+  'rateLimit.howToGenerate': 'Generate a new token (no special permissions needed)',
+  'rateLimit.howToOpen': 'Open the',
+  'rateLimit.howToSettingsButton': '🔑 Token settings',
+  'rateLimit.howToPaste': 'and paste it',
+  'rateLimit.lowRemaining': 'Low API calls remaining: {count}',
+  'rateLimit.lowAdvice': 'Consider adding a GitHub token to get 5000 requests/hour instead of 60.',
+  'rateLimit.getToken': 'Get Token',
+
+  'offline.title': 'You\'re offline',
+  'offline.cachedAsOf': '{login}\'s data is cached as of {time}.',
+  'offline.cachedProfiles': 'Profiles you have viewed before still open from the cache.',
+  'offline.queued': 'Queued until the connection returns: {logins}',
+
+  'history.label': 'Recent searches:',
+  'history.clear': 'Clear',
+  'history.clearTitle': 'Clear cache and history',
+
+  'compare.label': 'Compare:',
+  'compare.unpin': 'Unpin {login}',
+  'compare.pin': '📌 Pin {login}',
+  'compare.button': 'Compare ({count}/{max})',
+  'compare.needTwo': 'Pin at least two profiles to compare',
+
+  'watchlist.label': 'Watching:',
+  'watchlist.changes': 'Changes ({count})',
+
+  'user.avatarAlt': 'User',
+  'user.regionLabel': '{name}\'s profile',
+  'user.hireable': 'Available for hire',
+  'user.memberSince': 'Member since {date}',
+  'user.lastUpdated': 'Last updated {time}',
+  'user.refreshing': ' · refreshing...',
+  'user.offlineCopy': ' · offline copy',
+  'user.publicRepos': 'Public Repos',
+  'user.followers': 'Followers',
+  'user.following': 'Following',
+  'user.exploreFollowers': 'Explore followers',
+  'user.exploreFollowing': 'Explore following',
+  'user.recentActivity': '🕒 Recent activity',
+  'user.gists': '📝 Gists',
+  'user.shareCard': '🖼️ Share card',
+  'user.watch': '👁️ Watch',
+  'user.watching': '👁️ Watching',
+  'user.watchTitle': 'Track followers, repositories and stars over time',
+  'user.unwatchTitle': 'Stop tracking this profile',
+  'user.contactInfo': 'Contact & Info',
+  'user.pinned': '📌 Pinned',
+  'user.publicRepositories': '📦 Public Repositories',
+  'user.reposShown': '({count} shown)',
+  'user.loadingRepos': 'Loading repositories...',
+  'user.languageAnalytics': '📊 Language analytics',
+  'user.noRepos': 'No public repositories found or failed to load repositories.',
+  'user.viewAllOnGitHub': 'View all repositories on GitHub →',
+  'user.browseAll': {
+    one: 'Browse {count} repository →',
+    other: 'Browse all {count} repositories →'
+  },
+
+  'common.backToProfile': '← Back to profile',
+  'common.loading': 'Loading...',
+
+  'pagination.previous': '← Previous',
+  'pagination.next': 'Next →',
+  'pagination.page': 'Page {page}',
+  'pagination.pageOf': 'Page {page} of {count}',
+
+  'repository.archived': 'Archived',
+  'repository.fork': 'Fork',
+  'repository.homepage': 'Visit homepage',
+  'repository.updated': 'Updated {date}',
+  'repository.visibility.public': 'Public',
+  'repository.visibility.private': 'Private',
+  'repository.visibility.internal': 'Internal',
+  'repository.affiliation.owner': 'Owner',
+  'repository.affiliation.collaborator': 'Collaborator',
+  'repository.affiliation.organization_member': 'Org member',
+  'repository.permission.admin': 'Admin',
+  'repository.permission.maintain': 'Maintain',
+  'repository.permission.push': 'Write',
+  'repository.permission.triage': 'Triage',
+  'repository.permission.pull': 'Read',
+
+  'repositories.title': '{login}\'s Repositories',
+  'repositories.count': '({shown} of {loaded} loaded)',
+  'repositories.countWithTotal': '({shown} of {loaded} loaded, {total} total)',
+  'repositories.sort': 'Sort',
+  'repositories.sortBy.stars': 'Stars',
+  'repositories.sortBy.forks': 'Forks',
+  'repositories.sortBy.name': 'Name',
+  'repositories.sortBy.created': 'Created',
+  'repositories.sortBy.pushed': 'Last pushed',
+  'repositories.descending': 'Descending',
+  'repositories.ascending': 'Ascending',
+  'repositories.language': 'Language',
+  'repositories.allLanguages': 'All languages',
+  'repositories.topic': 'Topic',
+  'repositories.allTopics': 'All topics',
+  'repositories.type': 'Type',
+  'repositories.type.all': 'All',
+  'repositories.type.sources': 'Sources',
+  'repositories.type.forks': 'Forks',
+  'repositories.archived': 'Archived',
+  'repositories.archived.all': 'All',
+  'repositories.archived.active': 'Not archived',
+  'repositories.archived.archived': 'Archived only',
+  'repositories.noMatch': 'No repositories match these filters.',
+
+  'compare.title': '⚖️ Compare Profiles',
+  'compare.accountAge': 'Account Age',
+  'compare.years': {
+    one: '{count} year',
+    other: '{count} years'
+  },
+  'compare.totalStars': 'Total Stars',
+  'compare.mostStarred': 'Most Starred Repo',
+  'compare.topLanguages': 'Top Languages',
+
+  'organizations.title': 'Organizations',
+
+  'organization.regionLabel': '{name} organization profile',
+  'organization.avatarAlt': 'Organization',
+  'organization.badge': 'Organization',
+  'organization.verified': '✓ Verified',
+  'organization.verifiedTitle': 'This organization has verified its domains',
+  'organization.created': 'Created {date}',
+  'organization.publicMembers': '👥 Public Members',
+  'organization.loadingMembers': 'Loading members...',
+  'organization.noMembers': 'This organization has no public members.',
+  'organization.repositories': '📦 Repositories',
+
+  'rateLimit.bucket.core': 'API calls',
+  'rateLimit.bucket.search': 'Search',
+  'rateLimit.bucket.graphql': 'GraphQL points',
+  'rateLimit.bucketStatus': '{label}: {remaining}/{limit}',
+  'rateLimit.resetsIn': ' · resets in {time}',
+  'rateLimit.queued': ' · {count} queued',
+  'rateLimit.tokenActive': '🔑 Token Active',
+
+  'export.button': '⬇️ Export',
+  'export.format.json': 'JSON (raw data)',
+  'export.format.csv': 'CSV (repositories)',
+  'export.format.markdown': 'Markdown summary',
+  'export.format.vcard': 'vCard contact',
+
+  'errors.tokenRejected': 'GitHub rejected this token. Check that it was copied completely and hasn\'t expired.',
+  'errors.offline': 'You are offline and this has not been cached yet.',
+
+  'settings.title': '🔑 GitHub Token',
+  'settings.signedInAs': 'Signed in as',
+  'settings.scopes': 'Scopes: {scopes}',
+  'settings.scopesFineGrained': 'Fine-grained token (permissions are set per repository)',
+  'settings.scopesNone': 'No scopes (public data only)',
+  'settings.expires': 'Expires {date}',
+  'settings.noExpiration': 'No expiration reported',
+  'settings.storedIn': 'Stored in {storage}',
+  'settings.storage.memory': 'Memory (until the page reloads)',
+  'settings.storage.session': 'This tab (sessionStorage)',
+  'settings.storage.local': 'This browser (localStorage)',
+  'settings.signOut': 'Sign out',
+  'settings.buildTimeToken': 'Using the token built into this deployment. Save your own token to use it instead.',
+  'settings.noToken': 'No token set: requests are limited to 60 per hour. A token raises that to 5,000.',
+  'settings.switchToken': 'Switch to another token',
+  'settings.tokenLabel': 'Personal access token',
+  'settings.rememberIn': 'Remember in',
+  'settings.sentOnlyTo': 'The token is only sent to {url}.',
+  'settings.createToken': 'Create a token',
+  'settings.noScopesNeeded': '(no scopes are needed for public data).',
+  'settings.checking': 'Checking...',
+  'settings.save': 'Save token',
+
+  'advancedSearch.title': '🔎 Advanced User Search',
+  'advancedSearch.keywords': 'Keywords',
+  'advancedSearch.keywordsPlaceholder': 'e.g. rust',
+  'advancedSearch.location': 'Location',
+  'advancedSearch.locationPlaceholder': 'e.g. Berlin',
+  'advancedSearch.language': 'Language',
+  'advancedSearch.languagePlaceholder': 'e.g. Go',
+  'advancedSearch.followers': 'Followers more than',
+  'advancedSearch.repos': 'Repos more than',
+  'advancedSearch.joinedAfter': 'Joined after',
+  'advancedSearch.joinedBefore': 'Joined before',
+  'advancedSearch.accountType': 'Account type',
+  'advancedSearch.accountType.all': 'Users and organizations',
+  'advancedSearch.accountType.user': 'Users',
+  'advancedSearch.accountType.org': 'Organizations',
+  'advancedSearch.emptyQuery': 'Enter at least one field',
+  'advancedSearch.results': {
+    one: '{count} result',
+    other: '{count} results'
+  },
+  'advancedSearch.resultsCapped': ' (first {max} available)',
+  'advancedSearch.sortBy.bestMatch': 'Best match',
+  'advancedSearch.sortBy.followers': 'Followers',
+  'advancedSearch.sortBy.repositories': 'Repositories',
+  'advancedSearch.sortBy.joined': 'Joined',
+  'advancedSearch.noResults': 'No users match this search.',
+  'advancedSearch.org': 'Org',
+
+  'connections.title': '{login}\'s Connections',
+  'connections.loading': 'Loading connections...',
+  'connections.tab.followers': 'Followers',
+  'connections.tab.following': 'Following',
+  'connections.tab.mutuals': 'Mutuals',
+  'connections.tab.not-following-back': 'Not following back',
+  'connections.truncated': 'Based on the first {count} followers and following.',
+  'connections.empty': 'No accounts to show.',
+
+  'activity.title': '{login}\'s Activity',
+  'activity.count': {
+    one: '({count} event)',
+    other: '({count} events)'
+  },
+  'activity.loading': 'Loading activity...',
+  'activity.eventType': 'Event type',
+  'activity.allEvents': 'All events',
+  'activity.repository': 'Repository',
+  'activity.allRepositories': 'All repositories',
+  'activity.empty': 'No recent public activity.',
+  'activity.loadOlder': 'Load older activity →',
+
+  'events.type.PushEvent': 'Pushes',
+  'events.type.PullRequestEvent': 'Pull requests',
+  'events.type.PullRequestReviewEvent': 'Reviews',
+  'events.type.PullRequestReviewCommentEvent': 'Review comments',
+  'events.type.IssuesEvent': 'Issues',
+  'events.type.IssueCommentEvent': 'Comments',
+  'events.type.ReleaseEvent': 'Releases',
+  'events.type.WatchEvent': 'Stars',
+  'events.type.ForkEvent': 'Forks',
+  'events.type.CreateEvent': 'Created',
+  'events.type.DeleteEvent': 'Deleted',
+  'events.type.PublicEvent': 'Made public',
+  'events.type.MemberEvent': 'Collaborators',
+  'events.type.GollumEvent': 'Wiki',
+  'events.type.CommitCommentEvent': 'Commit comments',
+  'events.action.opened': 'opened',
+  'events.action.closed': 'closed',
+  'events.action.reopened': 'reopened',
+  'events.action.merged': 'merged',
+  'events.action.published': 'published',
+  'events.action.created': 'created',
+  'events.action.edited': 'edited',
+  'events.action.added': 'added',
+  'events.refType.branch': 'branch',
+  'events.refType.tag': 'tag',
+  'events.push': {
+    one: 'pushed {count} commit to {branch} in {repo}',
+    other: 'pushed {count} commits to {branch} in {repo}'
+  },
+  'events.pullRequest': '{action} PR #{number} in {repo}',
+  'events.review': 'reviewed PR #{number} in {repo}',
+  'events.reviewComment': 'commented on a review of PR #{number} in {repo}',
+  'events.issue': '{action} issue #{number} in {repo}',
+  'events.pullRequestComment': 'commented on PR #{number} in {repo}',
+  'events.issueComment': 'commented on issue #{number} in {repo}',
+  'events.release': '{action} release {tag} in {repo}',
+  'events.star': 'starred {repo}',
+  'events.fork': 'forked {repo} to {fork}',
+  'events.createRepository': 'created repository {repo}',
+  'events.create': 'created {refType} {ref} in {repo}',
+  'events.delete': 'deleted {refType} {ref} in {repo}',
+  'events.public': 'made {repo} public',
+  'events.member': '{action} {member} as a collaborator to {repo}',
+  'events.wiki': {
+    one: 'updated {count} wiki page in {repo}',
+    other: 'updated {count} wiki pages in {repo}'
+  },
+  'events.commitComment': 'commented on a commit in {repo}',
+  'events.other': '{type} in {repo}',
+
+  'analytics.title': '{login}\'s Language Analytics',
+  'analytics.count': {
+    one: '({count} repository)',
+    other: '({count} repositories)'
+  },
+  'analytics.analyzing': 'Analyzing languages {analyzed}/{planned}...',
+  'analytics.breakdown': 'Language Breakdown',
+  'analytics.byBytes': 'By bytes',
+  'analytics.byRepos': 'By repositories',
+  'analytics.repoCount': {
+    one: '{count} repo',
+    other: '{count} repos'
+  },
+  'analytics.noLanguages': 'No language data yet.',
+  'analytics.bytesCapped': {
+    one: 'Byte counts cover the most-starred source repository to stay within the rate limit.',
+    other: 'Byte counts cover the {count} most-starred source repositories to stay within the rate limit.'
+  },
+  'analytics.stars': 'Stars by Language',
+  'analytics.noStars': 'No starred repositories.',
+  'analytics.topics': 'Topics',
+  'analytics.noTopics': 'No repository topics.',
+
+  'me.title': '🙋 My Repositories',
+  'me.needsToken': 'This view lists the repositories your token can reach, so it needs a GitHub token.',
+  'me.addToken': '🔑 Add a token',
+  'me.reachable': '{count} reachable',
+  'me.visibilityCount.public': '{count} public',
+  'me.visibilityCount.private': '{count} private',
+  'me.visibilityCount.internal': '{count} internal',
+  'me.publicProfile': '👤 Public profile',
+  'me.name': 'Name',
+  'me.visibility': 'Visibility',
+  'me.affiliation': 'Affiliation',
+  'me.permission': 'Permission',
+
+  'watchlist.title': '👁️ Watchlist',
+  'watchlist.count': '({count} watched)',
+  'watchlist.none': 'Nothing watched yet. Use "{watch}" on a profile to track its followers, repositories and stars over time.',
+  'watchlist.snapshots': {
+    one: '{count} snapshot · last {time}',
+    other: '{count} snapshots · last {time}'
+  },
+  'watchlist.unwatch': 'Unwatch',
+  'watchlist.unwatchTitle': 'Stop watching {login}',
+  'watchlist.taking': 'Taking snapshot...',
+  'watchlist.stars': 'Stars',
+  'watchlist.forks': 'Forks',
+  'watchlist.firstSnapshot': 'First snapshot taken. Changes show up after the next visit.',
+  'watchlist.noChanges': 'No changes since {time}.',
+  'watchlist.since': 'Since {time}:',
+  'watchlist.followersDelta': {
+    one: '👥 {delta} follower',
+    other: '👥 {delta} followers'
+  },
+  'watchlist.followingDelta': '🔗 Following {delta}',
+  'watchlist.newRepos': '🆕 New repositories: {repos}',
+  'watchlist.removedRepos': '🗑️ No longer listed: {repos}',
+  'watchlist.starsDelta': {
+    one: '⭐ {name} {delta} star',
+    other: '⭐ {name} {delta} stars'
+  },
+  'watchlist.moreStarChanges': {
+    one: '…and {count} more repository with star changes',
+    other: '…and {count} more repositories with star changes'
+  },
+  'watchlist.forksDelta': {
+    one: '🍴 {name} {delta} fork',
+    other: '🍴 {name} {delta} forks'
+  },
+  'watchlist.field.name': 'Name',
+  'watchlist.field.bio': 'Bio',
+  'watchlist.field.company': 'Company',
+  'watchlist.field.location': 'Location',
+  'watchlist.emptyValue': 'empty',
+  'watchlist.editArrow': '→',
+
+  'shareCard.title': '🖼️ Share Card',
+  'shareCard.building': 'Building card...',
+  'shareCard.layout': 'Layout',
+  'shareCard.layout.wide': 'Wide',
+  'shareCard.layout.compact': 'Compact',
+  'shareCard.theme.dark': 'Dark',
+  'shareCard.theme.light': 'Light',
+  'shareCard.theme.glass': 'Glass',
+  'shareCard.avatarFailed': 'The avatar couldn\'t be embedded, so the card uses a placeholder.',
+  'shareCard.alt': '{login}\'s share card',
+  'shareCard.download': '⬇️ Download SVG',
+  'shareCard.copy.idle': 'Copy SVG',
+  'shareCard.copy.copied': 'Copied!',
+  'shareCard.copy.failed': 'Copy failed',
+
+  'drawer.close': 'Close repository details',
+  'drawer.loadingDetails': 'Loading details...',
+  'drawer.issuesAndPulls': 'Issues & PRs',
+  'drawer.openIssues': 'Open issues',
+  'drawer.openPulls': 'Open PRs',
+  'drawer.defaultBranch': 'Default branch',
+  'drawer.license': 'License',
+  'drawer.noLicense': 'None',
+  'drawer.languages': 'Languages',
+  'drawer.loadingLanguages': 'Loading languages...',
+  'drawer.noLanguages': 'No language data.',
+  'drawer.releases': 'Latest Releases',
+  'drawer.loadingReleases': 'Loading releases...',
+  'drawer.noReleases': 'No releases published.',
+  'drawer.prerelease': 'Pre-release',
+  'drawer.draft': 'draft',
+  'drawer.contributors': 'Top Contributors',
+  'drawer.loadingContributors': 'Loading contributors...',
+  'drawer.noContributors': 'No contributors yet.',
+  'drawer.openProfile': 'Open {login}\'s profile',
+  'drawer.readme': 'README',
+  'drawer.loadingReadme': 'Loading README...',
+  'drawer.noReadme': 'No README: {error}',
+
+  'gists.title': '{login}\'s Gists',
+  'gists.publicCount': '({count} public)',
+  'gists.loading': 'Loading gists...',
+  'gists.none': '{login} hasn\'t published any gists.',
+  'gists.noMore': 'No more gists.',
+  'gists.secret': 'Secret',
+  'gists.plainText': 'Text',
+  'gists.dates': 'Created {created} · updated {updated}',
+  'gists.loadingFile': 'Loading {file}...',
+  'gists.fileGone': '{file} is no longer in this gist.',
+  'gists.fileContents': 'Contents of {file}',
+  'gists.truncated': 'Preview cut short.',
+  'gists.viewWholeFile': 'View the whole file',
+
+  'bulk.title': '📋 Bulk Lookup',
+  'bulk.found': '{done}/{total} found',
+  'bulk.failed': '{count} failed',
+  'bulk.inputLabel': 'Usernames, one per line or separated by commas',
+  'bulk.uploadLabel': 'Or upload a CSV (uses a login, username or github column when there is one)',
+  'bulk.stop': 'Stop',
+  'bulk.submit': 'Look up profiles',
+  'bulk.noUsernames': 'No usernames found.',
+  'bulk.skipped': {
+    one: 'Skipped {count} entry that can\'t be a username: {entries}',
+    other: 'Skipped {count} entries that can\'t be usernames: {entries}'
+  },
+  'bulk.dropped': 'Only the first {max} usernames are looked up; {count} more were left out.',
+  'bulk.paused': '⏸ Paused: the API rate limit is nearly used up, and the rest is kept for profile loads.',
+  'bulk.resumesAt': 'Lookups resume at {time}.',
+  'bulk.retry': '↻ Retry {count} failed',
+  'bulk.column.login': 'Login',
+  'bulk.column.name': 'Name',
+  'bulk.column.company': 'Company',
+  'bulk.column.location': 'Location',
+  'bulk.column.followers': 'Followers',
+  'bulk.column.public_repos': 'Repos',
+  'bulk.column.hireable': 'Hireable',
+  'bulk.status': 'Status',
+  'bulk.hireable': '✅ Yes',
+  'bulk.waiting': 'Waiting',
+  'bulk.stopped': 'Stopped',
+
+  'fixtures.mode.record': 'Recording fixtures',
+  'fixtures.mode.replay': 'Replaying fixtures',
+  'fixtures.responses': {
+    one: '{count} response',
+    other: '{count} responses'
+  },
+  'fixtures.delay': '{delay} ms delay',
+  'fixtures.rateLimit': '{count} core calls per hour',
+  'fixtures.download': 'Download bundle',
+  'fixtures.load': 'Load bundle...',
+  'fixtures.loadFailed': 'Couldn\'t load {file}: {error}',
+  'fixtures.notABundle': 'Not a fixture bundle: the "responses" object is missing.',
+  'fixtures.goLive': 'Go live',
+  'fixtures.goLiveTitle': 'Reload with live API requests'
+};
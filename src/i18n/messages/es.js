@@ -0,0 +1,517 @@
+// Spanish catalog
+export default {
+  'language.label': 'Idioma',
+
+  'theme.label': 'Tema',
+  'theme.system': 'Sistema',
+  'theme.light': 'Claro',
+  'theme.dark': 'Oscuro',
+  'theme.high-contrast': 'Alto contraste',
+
+  'search.placeholder': 'Buscar usuario de GitHub...',
+  'search.ariaLabel': 'Búsqueda de usuarios de GitHub',
+  'search.submit': 'Buscar',
+  'search.submitting': 'Buscando...',
+  'search.suggestionsLoading': 'Buscando...',
+  'search.score': 'Puntuación: {score}',
+  'search.advanced': 'Avanzada',
+  'search.advancedTitle': 'Buscar por ubicación, lenguaje, seguidores y más',
+  'search.token': '🔑 Token',
+  'search.tokenTitle': 'Añade o cambia tu token de GitHub',
+  'search.bulk': '📋 Lote',
+  'search.bulkTitle': 'Consulta una lista de usuarios de una vez',
+  'search.me': '🙋 Yo',
+  'search.meTitle': 'Repositorios a los que llega tu token, incluidos los privados',
+  'search.suggestionsLabel': 'Usuarios sugeridos',
+
+  'loading.user': 'Cargando datos del usuario...',
+
+  'announce.suggestions': {
+    one: '{count} sugerencia. Usa las flechas arriba y abajo para revisarla e Intro para abrirla.',
+    other: '{count} sugerencias. Usa las flechas arriba y abajo para revisarlas e Intro para abrir una.'
+  },
+  'announce.noSuggestions': 'Ningún usuario coincide',
+  'announce.loadingProfile': 'Cargando el perfil de {login}...',
+  'announce.profileLoaded': 'Perfil de {login} cargado',
+  'announce.rateLimitLow': 'Quedan pocas solicitudes a la API.',
+  'announce.rateLimitExhausted': 'Se alcanzó el límite de solicitudes. Se reanudan a las {time}.',
+
+  'errors.enterUsername': 'Introduce un nombre de usuario',
+  'errors.userNotFound': 'Usuario no encontrado',
+  'errors.rateLimited': 'Se superó el límite de solicitudes. Inténtalo más tarde.',
+  'errors.network': 'Error de red. Inténtalo de nuevo.',
+  'errors.offlineQueued': 'Sin conexión. {login} se cargará cuando vuelva la conexión.',
+
+  'rateLimit.resetsAt': 'El límite se restablece a las {time}',
+  'rateLimit.solutionsTitle': '💡 Cómo evitar el límite de solicitudes:',
+  'rateLimit.solutionToken': '🔑 Añade un token de GitHub para tener 5000 solicitudes/hora en lugar de 60',
+  'rateLimit.solutionWait': '⏰ Espera hasta las {time} a que se restablezca el límite',
+  'rateLimit.solutionHistory': '💾 Usa los resultados guardados del historial de búsqueda',
+  'rateLimit.solutionClear': '🧹 Vacía la caché para liberar memoria y usar los datos guardados',
+  'rateLimit.howToTitle': 'Cómo añadir un token de GitHub:',
+  'rateLimit.howToGoTo': 'Ve a',
+  'rateLimit.howToSettingsLink': 'Ajustes de GitHub → Tokens',
+  'rateLimit.howToGenerate': 'Genera un token nuevo (no necesita permisos especiales)',
+  'rateLimit.howToOpen': 'Abre los',
+  'rateLimit.howToSettingsButton': '🔑 ajustes del token',
+  'rateLimit.howToPaste': 'y pégalo',
+  'rateLimit.lowRemaining': 'Quedan pocas llamadas a la API: {count}',
+  'rateLimit.lowAdvice': 'Añade un token de GitHub para tener 5000 solicitudes/hora en lugar de 60.',
+  'rateLimit.getToken': 'Obtener token',
+
+  'offline.title': 'Sin conexión',
+  'offline.cachedAsOf': 'Los datos de {login} están guardados a fecha de {time}.',
+  'offline.cachedProfiles': 'Los perfiles que ya has visto se siguen abriendo desde la caché.',
+  'offline.queued': 'En cola hasta que vuelva la conexión: {logins}',
+
+  'history.label': 'Búsquedas recientes:',
+  'history.clear': 'Borrar',
+  'history.clearTitle': 'Vaciar la caché y el historial',
+
+  'compare.label': 'Comparar:',
+  'compare.unpin': 'Desfijar a {login}',
+  'compare.pin': '📌 Fijar a {login}',
+  'compare.button': 'Comparar ({count}/{max})',
+  'compare.needTwo': 'Fija al menos dos perfiles para compararlos',
+
+  'watchlist.label': 'Siguiendo:',
+  'watchlist.changes': 'Cambios ({count})',
+
+  'user.avatarAlt': 'Usuario',
+  'user.regionLabel': 'Perfil de {name}',
+  'user.hireable': 'Disponible para contratar',
+  'user.memberSince': 'Miembro desde {date}',
+  'user.lastUpdated': 'Actualizado {time}',
+  'user.refreshing': ' · actualizando...',
+  'user.offlineCopy': ' · copia sin conexión',
+  'user.publicRepos': 'Repos públicos',
+  'user.followers': 'Seguidores',
+  'user.following': 'Siguiendo',
+  'user.exploreFollowers': 'Ver seguidores',
+  'user.exploreFollowing': 'Ver a quién sigue',
+  'user.recentActivity': '🕒 Actividad reciente',
+  'user.gists': '📝 Gists',
+  'user.shareCard': '🖼️ Tarjeta para compartir',
+  'user.watch': '👁️ Vigilar',
+  'user.watching': '👁️ Vigilando',
+  'user.watchTitle': 'Seguir la evolución de seguidores, repositorios y estrellas',
+  'user.unwatchTitle': 'Dejar de vigilar este perfil',
+  'user.contactInfo': 'Contacto e información',
+  'user.pinned': '📌 Fijados',
+  'user.publicRepositories': '📦 Repositorios públicos',
+  'user.reposShown': '({count} mostrados)',
+  'user.loadingRepos': 'Cargando repositorios...',
+  'user.languageAnalytics': '📊 Análisis de lenguajes',
+  'user.noRepos': 'No se encontraron repositorios públicos o no se pudieron cargar.',
+  'user.viewAllOnGitHub': 'Ver todos los repositorios en GitHub →',
+  'user.browseAll': {
+    one: 'Explorar {count} repositorio →',
+    other: 'Explorar los {count} repositorios →'
+  },
+
+  'common.backToProfile': '← Volver al perfil',
+  'common.loading': 'Cargando...',
+
+  'pagination.previous': '← Anterior',
+  'pagination.next': 'Siguiente →',
+  'pagination.page': 'Página {page}',
+  'pagination.pageOf': 'Página {page} de {count}',
+
+  'repository.archived': 'Archivado',
+  'repository.fork': 'Fork',
+  'repository.homepage': 'Visitar la página web',
+  'repository.updated': 'Actualizado el {date}',
+  'repository.visibility.public': 'Público',
+  'repository.visibility.private': 'Privado',
+  'repository.visibility.internal': 'Interno',
+  'repository.affiliation.owner': 'Propietario',
+  'repository.affiliation.collaborator': 'Colaborador',
+  'repository.affiliation.organization_member': 'Miembro de la org.',
+  'repository.permission.admin': 'Administrador',
+  'repository.permission.maintain': 'Mantenimiento',
+  'repository.permission.push': 'Escritura',
+  'repository.permission.triage': 'Clasificación',
+  'repository.permission.pull': 'Lectura',
+
+  'repositories.title': 'Repositorios de {login}',
+  'repositories.count': '({shown} de {loaded} cargados)',
+  'repositories.countWithTotal': '({shown} de {loaded} cargados, {total} en total)',
+  'repositories.sort': 'Ordenar',
+  'repositories.sortBy.stars': 'Estrellas',
+  'repositories.sortBy.forks': 'Forks',
+  'repositories.sortBy.name': 'Nombre',
+  'repositories.sortBy.created': 'Creación',
+  'repositories.sortBy.pushed': 'Último push',
+  'repositories.descending': 'Descendente',
+  'repositories.ascending': 'Ascendente',
+  'repositories.language': 'Lenguaje',
+  'repositories.allLanguages': 'Todos los lenguajes',
+  'repositories.topic': 'Tema',
+  'repositories.allTopics': 'Todos los temas',
+  'repositories.type': 'Tipo',
+  'repositories.type.all': 'Todos',
+  'repositories.type.sources': 'Propios',
+  'repositories.type.forks': 'Forks',
+  'repositories.archived': 'Archivados',
+  'repositories.archived.all': 'Todos',
+  'repositories.archived.active': 'Sin archivar',
+  'repositories.archived.archived': 'Solo archivados',
+  'repositories.noMatch': 'Ningún repositorio coincide con estos filtros.',
+
+  'compare.title': '⚖️ Comparar perfiles',
+  'compare.accountAge': 'Antigüedad de la cuenta',
+  'compare.years': {
+    one: '{count} año',
+    other: '{count} años'
+  },
+  'compare.totalStars': 'Estrellas totales',
+  'compare.mostStarred': 'Repositorio con más estrellas',
+  'compare.topLanguages': 'Lenguajes principales',
+
+  'organizations.title': 'Organizaciones',
+
+  'organization.regionLabel': 'Perfil de la organización {name}',
+  'organization.avatarAlt': 'Organización',
+  'organization.badge': 'Organización',
+  'organization.verified': '✓ Verificada',
+  'organization.verifiedTitle': 'Esta organización ha verificado sus dominios',
+  'organization.created': 'Creada en {date}',
+  'organization.publicMembers': '👥 Miembros públicos',
+  'organization.loadingMembers': 'Cargando miembros...',
+  'organization.noMembers': 'Esta organización no tiene miembros públicos.',
+  'organization.repositories': '📦 Repositorios',
+
+  'rateLimit.bucket.core': 'Llamadas a la API',
+  'rateLimit.bucket.search': 'Búsqueda',
+  'rateLimit.bucket.graphql': 'Puntos de GraphQL',
+  'rateLimit.bucketStatus': '{label}: {remaining}/{limit}',
+  'rateLimit.resetsIn': ' · se restablece en {time}',
+  'rateLimit.queued': ' · {count} en cola',
+  'rateLimit.tokenActive': '🔑 Token activo',
+
+  'export.button': '⬇️ Exportar',
+  'export.format.json': 'JSON (datos sin procesar)',
+  'export.format.csv': 'CSV (repositorios)',
+  'export.format.markdown': 'Resumen en Markdown',
+  'export.format.vcard': 'Contacto vCard',
+
+  'errors.tokenRejected': 'GitHub rechazó este token. Comprueba que se copió completo y que no ha caducado.',
+  'errors.offline': 'Estás sin conexión y esto aún no está en caché.',
+
+  'settings.title': '🔑 Token de GitHub',
+  'settings.signedInAs': 'Sesión iniciada como',
+  'settings.scopes': 'Permisos: {scopes}',
+  'settings.scopesFineGrained': 'Token detallado (los permisos se definen por repositorio)',
+  'settings.scopesNone': 'Sin permisos (solo datos públicos)',
+  'settings.expires': 'Caduca el {date}',
+  'settings.noExpiration': 'No se indica caducidad',
+  'settings.storedIn': 'Guardado en: {storage}',
+  'settings.storage.memory': 'Memoria (hasta recargar la página)',
+  'settings.storage.session': 'Esta pestaña (sessionStorage)',
+  'settings.storage.local': 'Este navegador (localStorage)',
+  'settings.signOut': 'Cerrar sesión',
+  'settings.buildTimeToken': 'Se usa el token incluido en este despliegue. Guarda tu propio token para usarlo en su lugar.',
+  'settings.noToken': 'Sin token: las solicitudes se limitan a 60 por hora. Con un token pasan a 5000.',
+  'settings.switchToken': 'Cambiar a otro token',
+  'settings.tokenLabel': 'Token de acceso personal',
+  'settings.rememberIn': 'Recordar en',
+  'settings.sentOnlyTo': 'El token solo se envía a {url}.',
+  'settings.createToken': 'Crear un token',
+  'settings.noScopesNeeded': '(no hace falta ningún permiso para los datos públicos).',
+  'settings.checking': 'Comprobando...',
+  'settings.save': 'Guardar token',
+
+  'advancedSearch.title': '🔎 Búsqueda avanzada de usuarios',
+  'advancedSearch.keywords': 'Palabras clave',
+  'advancedSearch.keywordsPlaceholder': 'p. ej. rust',
+  'advancedSearch.location': 'Ubicación',
+  'advancedSearch.locationPlaceholder': 'p. ej. Berlín',
+  'advancedSearch.language': 'Lenguaje',
+  'advancedSearch.languagePlaceholder': 'p. ej. Go',
+  'advancedSearch.followers': 'Más seguidores que',
+  'advancedSearch.repos': 'Más repositorios que',
+  'advancedSearch.joinedAfter': 'Registrado después de',
+  'advancedSearch.joinedBefore': 'Registrado antes de',
+  'advancedSearch.accountType': 'Tipo de cuenta',
+  'advancedSearch.accountType.all': 'Usuarios y organizaciones',
+  'advancedSearch.accountType.user': 'Usuarios',
+  'advancedSearch.accountType.org': 'Organizaciones',
+  'advancedSearch.emptyQuery': 'Rellena al menos un campo',
+  'advancedSearch.results': {
+    one: '{count} resultado',
+    other: '{count} resultados'
+  },
+  'advancedSearch.resultsCapped': ' (disponibles los primeros {max})',
+  'advancedSearch.sortBy.bestMatch': 'Mejor coincidencia',
+  'advancedSearch.sortBy.followers': 'Seguidores',
+  'advancedSearch.sortBy.repositories': 'Repositorios',
+  'advancedSearch.sortBy.joined': 'Fecha de registro',
+  'advancedSearch.noResults': 'Ningún usuario coincide con esta búsqueda.',
+  'advancedSearch.org': 'Org',
+
+  'connections.title': 'Conexiones de {login}',
+  'connections.loading': 'Cargando conexiones...',
+  'connections.tab.followers': 'Seguidores',
+  'connections.tab.following': 'Siguiendo',
+  'connections.tab.mutuals': 'Mutuos',
+  'connections.tab.not-following-back': 'No le siguen de vuelta',
+  'connections.truncated': 'Basado en los primeros {count} seguidores y seguidos.',
+  'connections.empty': 'No hay cuentas que mostrar.',
+
+  'activity.title': 'Actividad de {login}',
+  'activity.count': {
+    one: '({count} evento)',
+    other: '({count} eventos)'
+  },
+  'activity.loading': 'Cargando actividad...',
+  'activity.eventType': 'Tipo de evento',
+  'activity.allEvents': 'Todos los eventos',
+  'activity.repository': 'Repositorio',
+  'activity.allRepositories': 'Todos los repositorios',
+  'activity.empty': 'No hay actividad pública reciente.',
+  'activity.loadOlder': 'Cargar actividad anterior →',
+
+  'events.type.PushEvent': 'Pushes',
+  'events.type.PullRequestEvent': 'Pull requests',
+  'events.type.PullRequestReviewEvent': 'Revisiones',
+  'events.type.PullRequestReviewCommentEvent': 'Comentarios de revisión',
+  'events.type.IssuesEvent': 'Issues',
+  'events.type.IssueCommentEvent': 'Comentarios',
+  'events.type.ReleaseEvent': 'Versiones',
+  'events.type.WatchEvent': 'Estrellas',
+  'events.type.ForkEvent': 'Forks',
+  'events.type.CreateEvent': 'Creaciones',
+  'events.type.DeleteEvent': 'Eliminaciones',
+  'events.type.PublicEvent': 'Hecho público',
+  'events.type.MemberEvent': 'Colaboradores',
+  'events.type.GollumEvent': 'Wiki',
+  'events.type.CommitCommentEvent': 'Comentarios de commits',
+  'events.action.opened': 'abrió',
+  'events.action.closed': 'cerró',
+  'events.action.reopened': 'reabrió',
+  'events.action.merged': 'fusionó',
+  'events.action.published': 'publicó',
+  'events.action.created': 'creó',
+  'events.action.edited': 'editó',
+  'events.action.added': 'añadió',
+  'events.refType.branch': 'la rama',
+  'events.refType.tag': 'la etiqueta',
+  'events.push': {
+    one: 'hizo push de {count} commit a {branch} en {repo}',
+    other: 'hizo push de {count} commits a {branch} en {repo}'
+  },
+  'events.pullRequest': '{action} el PR #{number} en {repo}',
+  'events.review': 'revisó el PR #{number} en {repo}',
+  'events.reviewComment': 'comentó una revisión del PR #{number} en {repo}',
+  'events.issue': '{action} el issue #{number} en {repo}',
+  'events.pullRequestComment': 'comentó en el PR #{number} en {repo}',
+  'events.issueComment': 'comentó en el issue #{number} en {repo}',
+  'events.release': '{action} la versión {tag} en {repo}',
+  'events.star': 'marcó con estrella {repo}',
+  'events.fork': 'hizo fork de {repo} a {fork}',
+  'events.createRepository': 'creó el repositorio {repo}',
+  'events.create': 'creó {refType} {ref} en {repo}',
+  'events.delete': 'eliminó {refType} {ref} en {repo}',
+  'events.public': 'hizo público {repo}',
+  'events.member': '{action} a {member} como colaborador en {repo}',
+  'events.wiki': {
+    one: 'actualizó {count} página de la wiki en {repo}',
+    other: 'actualizó {count} páginas de la wiki en {repo}'
+  },
+  'events.commitComment': 'comentó un commit en {repo}',
+  'events.other': '{type} en {repo}',
+
+  'analytics.title': 'Análisis de lenguajes de {login}',
+  'analytics.count': {
+    one: '({count} repositorio)',
+    other: '({count} repositorios)'
+  },
+  'analytics.analyzing': 'Analizando lenguajes {analyzed}/{planned}...',
+  'analytics.breakdown': 'Desglose por lenguaje',
+  'analytics.byBytes': 'Por bytes',
+  'analytics.byRepos': 'Por repositorios',
+  'analytics.repoCount': {
+    one: '{count} repo',
+    other: '{count} repos'
+  },
+  'analytics.noLanguages': 'Aún no hay datos de lenguajes.',
+  'analytics.bytesCapped': {
+    one: 'Los bytes cubren el repositorio propio con más estrellas para no agotar el límite de solicitudes.',
+    other: 'Los bytes cubren los {count} repositorios propios con más estrellas para no agotar el límite de solicitudes.'
+  },
+  'analytics.stars': 'Estrellas por lenguaje',
+  'analytics.noStars': 'No hay repositorios con estrellas.',
+  'analytics.topics': 'Temas',
+  'analytics.noTopics': 'Los repositorios no tienen temas.',
+
+  'me.title': '🙋 Mis repositorios',
+  'me.needsToken': 'Esta vista muestra los repositorios a los que llega tu token, así que necesita un token de GitHub.',
+  'me.addToken': '🔑 Añadir un token',
+  'me.reachable': '{count} accesibles',
+  'me.visibilityCount.public': {
+    one: '{count} público',
+    other: '{count} públicos'
+  },
+  'me.visibilityCount.private': {
+    one: '{count} privado',
+    other: '{count} privados'
+  },
+  'me.visibilityCount.internal': {
+    one: '{count} interno',
+    other: '{count} internos'
+  },
+  'me.publicProfile': '👤 Perfil público',
+  'me.name': 'Nombre',
+  'me.visibility': 'Visibilidad',
+  'me.affiliation': 'Relación',
+  'me.permission': 'Permiso',
+
+  'watchlist.title': '👁️ Vigilados',
+  'watchlist.count': '({count} vigilados)',
+  'watchlist.none': 'Aún no vigilas a nadie. Usa "{watch}" en un perfil para seguir sus seguidores, repositorios y estrellas con el tiempo.',
+  'watchlist.snapshots': {
+    one: '{count} captura · la última {time}',
+    other: '{count} capturas · la última {time}'
+  },
+  'watchlist.unwatch': 'Dejar de vigilar',
+  'watchlist.unwatchTitle': 'Dejar de vigilar a {login}',
+  'watchlist.taking': 'Tomando captura...',
+  'watchlist.stars': 'Estrellas',
+  'watchlist.forks': 'Forks',
+  'watchlist.firstSnapshot': 'Primera captura tomada. Los cambios aparecerán tras la próxima visita.',
+  'watchlist.noChanges': 'Sin cambios desde el {time}.',
+  'watchlist.since': 'Desde el {time}:',
+  'watchlist.followersDelta': {
+    one: '👥 {delta} seguidor',
+    other: '👥 {delta} seguidores'
+  },
+  'watchlist.followingDelta': '🔗 Siguiendo {delta}',
+  'watchlist.newRepos': '🆕 Repositorios nuevos: {repos}',
+  'watchlist.removedRepos': '🗑️ Ya no aparecen: {repos}',
+  'watchlist.starsDelta': {
+    one: '⭐ {name} {delta} estrella',
+    other: '⭐ {name} {delta} estrellas'
+  },
+  'watchlist.moreStarChanges': {
+    one: '…y {count} repositorio más con cambios de estrellas',
+    other: '…y {count} repositorios más con cambios de estrellas'
+  },
+  'watchlist.forksDelta': {
+    one: '🍴 {name} {delta} fork',
+    other: '🍴 {name} {delta} forks'
+  },
+  'watchlist.field.name': 'Nombre',
+  'watchlist.field.bio': 'Biografía',
+  'watchlist.field.company': 'Empresa',
+  'watchlist.field.location': 'Ubicación',
+  'watchlist.emptyValue': 'vacío',
+  'watchlist.editArrow': '→',
+
+  'shareCard.title': '🖼️ Tarjeta para compartir',
+  'shareCard.building': 'Creando la tarjeta...',
+  'shareCard.layout': 'Diseño',
+  'shareCard.layout.wide': 'Ancho',
+  'shareCard.layout.compact': 'Compacto',
+  'shareCard.theme.dark': 'Oscuro',
+  'shareCard.theme.light': 'Claro',
+  'shareCard.theme.glass': 'Cristal',
+  'shareCard.avatarFailed': 'No se pudo incrustar el avatar, así que la tarjeta usa un marcador de posición.',
+  'shareCard.alt': 'Tarjeta de {login}',
+  'shareCard.download': '⬇️ Descargar SVG',
+  'shareCard.copy.idle': 'Copiar SVG',
+  'shareCard.copy.copied': '¡Copiado!',
+  'shareCard.copy.failed': 'No se pudo copiar',
+
+  'drawer.close': 'Cerrar los detalles del repositorio',
+  'drawer.loadingDetails': 'Cargando detalles...',
+  'drawer.issuesAndPulls': 'Issues y PRs',
+  'drawer.openIssues': 'Issues abiertos',
+  'drawer.openPulls': 'PRs abiertos',
+  'drawer.defaultBranch': 'Rama principal',
+  'drawer.license': 'Licencia',
+  'drawer.noLicense': 'Ninguna',
+  'drawer.languages': 'Lenguajes',
+  'drawer.loadingLanguages': 'Cargando lenguajes...',
+  'drawer.noLanguages': 'No hay datos de lenguajes.',
+  'drawer.releases': 'Últimas versiones',
+  'drawer.loadingReleases': 'Cargando versiones...',
+  'drawer.noReleases': 'No se ha publicado ninguna versión.',
+  'drawer.prerelease': 'Preversión',
+  'drawer.draft': 'borrador',
+  'drawer.contributors': 'Principales colaboradores',
+  'drawer.loadingContributors': 'Cargando colaboradores...',
+  'drawer.noContributors': 'Aún no hay colaboradores.',
+  'drawer.openProfile': 'Abrir el perfil de {login}',
+  'drawer.readme': 'README',
+  'drawer.loadingReadme': 'Cargando README...',
+  'drawer.noReadme': 'Sin README: {error}',
+
+  'gists.title': 'Gists de {login}',
+  'gists.publicCount': {
+    one: '({count} público)',
+    other: '({count} públicos)'
+  },
+  'gists.loading': 'Cargando gists...',
+  'gists.none': '{login} no ha publicado ningún gist.',
+  'gists.noMore': 'No hay más gists.',
+  'gists.secret': 'Secreto',
+  'gists.plainText': 'Texto',
+  'gists.dates': 'Creado el {created} · actualizado {updated}',
+  'gists.loadingFile': 'Cargando {file}...',
+  'gists.fileGone': '{file} ya no está en este gist.',
+  'gists.fileContents': 'Contenido de {file}',
+  'gists.truncated': 'Vista previa recortada.',
+  'gists.viewWholeFile': 'Ver el archivo completo',
+
+  'bulk.title': '📋 Búsqueda en lote',
+  'bulk.found': '{done}/{total} encontrados',
+  'bulk.failed': {
+    one: '{count} fallido',
+    other: '{count} fallidos'
+  },
+  'bulk.inputLabel': 'Nombres de usuario, uno por línea o separados por comas',
+  'bulk.uploadLabel': 'O sube un CSV (usa la columna login, username o github si la hay)',
+  'bulk.stop': 'Detener',
+  'bulk.submit': 'Buscar perfiles',
+  'bulk.noUsernames': 'No se encontraron nombres de usuario.',
+  'bulk.skipped': {
+    one: 'Se omitió {count} entrada que no puede ser un nombre de usuario: {entries}',
+    other: 'Se omitieron {count} entradas que no pueden ser nombres de usuario: {entries}'
+  },
+  'bulk.dropped': {
+    one: 'Solo se buscan los primeros {max} usuarios; se dejó fuera {count} más.',
+    other: 'Solo se buscan los primeros {max} usuarios; se dejaron fuera {count} más.'
+  },
+  'bulk.paused': '⏸ En pausa: el límite de la API casi se ha agotado y lo que queda se reserva para cargar perfiles.',
+  'bulk.resumesAt': 'Las búsquedas se reanudan a las {time}.',
+  'bulk.retry': {
+    one: '↻ Reintentar {count} fallido',
+    other: '↻ Reintentar {count} fallidos'
+  },
+  'bulk.column.login': 'Usuario',
+  'bulk.column.name': 'Nombre',
+  'bulk.column.company': 'Empresa',
+  'bulk.column.location': 'Ubicación',
+  'bulk.column.followers': 'Seguidores',
+  'bulk.column.public_repos': 'Repos',
+  'bulk.column.hireable': 'Contratable',
+  'bulk.status': 'Estado',
+  'bulk.hireable': '✅ Sí',
+  'bulk.waiting': 'En espera',
+  'bulk.stopped': 'Detenido',
+
+  'fixtures.mode.record': 'Grabando fixtures',
+  'fixtures.mode.replay': 'Reproduciendo fixtures',
+  'fixtures.responses': {
+    one: '{count} respuesta',
+    other: '{count} respuestas'
+  },
+  'fixtures.delay': '{delay} ms de retraso',
+  'fixtures.rateLimit': '{count} llamadas core por hora',
+  'fixtures.download': 'Descargar paquete',
+  'fixtures.load': 'Cargar paquete...',
+  'fixtures.loadFailed': 'No se pudo cargar {file}: {error}',
+  'fixtures.notABundle': 'No es un paquete de fixtures: falta el objeto "responses".',
+  'fixtures.goLive': 'Volver a la API real',
+  'fixtures.goLiveTitle': 'Recargar con solicitudes reales a la API'
+};
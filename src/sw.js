@@ -0,0 +1,94 @@
+// Service worker source. The build emits it as sw.js with APP_SHELL and CACHE_VERSION
+// filled in (see vite.config.js); it is not bundled into the app itself.
+// API responses are not handled here: they persist in IndexedDB (see api/cache.js).
+const APP_SHELL = self.__APP_SHELL__;
+const CACHE_VERSION = self.__CACHE_VERSION__;
+
+const SHELL_CACHE = `shell-${CACHE_VERSION}`;
+const AVATAR_CACHE = 'avatars';
+// Browsers pad each opaque response by several MB against the storage quota, so keep few
+const MAX_AVATARS = 40;
+
+// sw.js sits at the app's base path, which is also where the SPA's index.html is served
+const BASE_PATH = new URL('./', self.location).pathname;
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches.open(SHELL_CACHE)
+      .then(cache => cache.addAll(APP_SHELL))
+      .then(() => self.skipWaiting())
+  );
+});
+
+// Drop the shells of earlier builds
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(keys
+        .filter(key => key.startsWith('shell-') && key !== SHELL_CACHE)
+        .map(key => caches.delete(key))))
+      .then(() => self.clients.claim())
+  );
+});
+
+// avatars.githubusercontent.com on github.com, <host>/avatars/ on GitHub Enterprise Server
+const isAvatar = (url) => url.hostname.startsWith('avatars.') || url.pathname.startsWith('/avatars/');
+
+// Caches keep insertion order, so the first keys are the oldest
+const trimCache = async (cache, maxEntries) => {
+  const keys = await cache.keys();
+  await Promise.all(keys.slice(0, Math.max(0, keys.length - maxEntries)).map(key => cache.delete(key)));
+};
+
+// Every route is the same SPA, so navigations fall back to the cached index.html
+const serveNavigation = async (request) => {
+  try {
+    return await fetch(request);
+  } catch {
+    return (await caches.match(BASE_PATH)) || Response.error();
+  }
+};
+
+// Build files are content-hashed, so a cached copy never goes out of date
+const serveShell = async (request) => (await caches.match(request)) || fetch(request);
+
+// Failing to store an avatar (usually a full quota) must not break the image itself
+const storeAvatar = async (request, response) => {
+  const cache = await caches.open(AVATAR_CACHE);
+  await cache.put(request, response);
+  await trimCache(cache, MAX_AVATARS);
+};
+
+// Show the cached avatar right away and refresh it in the background
+const serveAvatar = async (event) => {
+  const cached = await caches.match(event.request, { cacheName: AVATAR_CACHE });
+
+  const refresh = fetch(event.request).then((response) => {
+    // <img> requests are no-cors, so most avatar responses are opaque
+    if (response.ok || response.type === 'opaque') {
+      event.waitUntil(storeAvatar(event.request, response.clone()).catch(() => {}));
+    }
+    return response;
+  });
+
+  if (cached) {
+    event.waitUntil(refresh.catch(() => {}));
+    return cached;
+  }
+  return refresh;
+};
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+
+  const url = new URL(request.url);
+
+  if (request.mode === 'navigate') {
+    event.respondWith(serveNavigation(request));
+  } else if (request.destination === 'image' && isAvatar(url)) {
+    event.respondWith(serveAvatar(event));
+  } else if (url.origin === self.location.origin && APP_SHELL.includes(url.pathname)) {
+    event.respondWith(serveShell(request));
+  }
+});
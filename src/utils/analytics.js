@@ -0,0 +1,50 @@
+// Aggregations behind the language and topic analytics panel
+
+// Sort a { key: value } tally into [{ name, value, share }] with shares of the total
+export const rankTally = (tally) => {
+  const total = Object.values(tally).reduce((sum, value) => sum + value, 0);
+  return Object.entries(tally)
+    .sort(([, a], [, b]) => b - a)
+    .map(([name, value]) => ({ name, value, share: total ? value / total : 0 }));
+};
+
+export const countPrimaryLanguages = (repos) => {
+  return repos.reduce((tally, repo) => {
+    if (repo.language) {
+      tally[repo.language] = (tally[repo.language] || 0) + 1;
+    }
+    return tally;
+  }, {});
+};
+
+export const sumStarsByLanguage = (repos) => {
+  return repos.reduce((tally, repo) => {
+    const language = repo.language || 'Other';
+    tally[language] = (tally[language] || 0) + repo.stargazers_count;
+    return tally;
+  }, {});
+};
+
+export const countTopics = (repos) => {
+  return repos.reduce((tally, repo) => {
+    repo.topics.forEach(topic => {
+      tally[topic] = (tally[topic] || 0) + 1;
+    });
+    return tally;
+  }, {});
+};
+
+// Add one repository's /languages byte counts into the running total
+export const addLanguageBytes = (tally, repoLanguages) => {
+  const next = { ...tally };
+  Object.entries(repoLanguages).forEach(([language, bytes]) => {
+    next[language] = (next[language] || 0) + bytes;
+  });
+  return next;
+};
+
+export const formatBytes = (bytes) => {
+  if (bytes >= 1024 * 1024) return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+  if (bytes >= 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${bytes} B`;
+};
@@ -0,0 +1,151 @@
+// Bulk profile lookup: reading usernames from pasted text or CSV, running lookups with a
+// concurrency limit and sorting the results table
+
+export const MAX_BULK_USERNAMES = 200;
+
+// Profile requests in flight at once; the rate limit scheduler still decides when each is sent
+export const BULK_CONCURRENCY = 4;
+
+// Table columns by profile field; headers come from the bulk.column.* catalog keys
+export const BULK_COLUMNS = {
+  login: { type: 'text' },
+  name: { type: 'text' },
+  company: { type: 'text' },
+  location: { type: 'text' },
+  followers: { type: 'number' },
+  public_repos: { type: 'number' },
+  hireable: { type: 'boolean' }
+};
+
+// Header names that mark the username column of a CSV file
+const LOGIN_HEADERS = ['login', 'username', 'user', 'github', 'handle'];
+
+// Alphanumerics and single inner hyphens, at most 39 characters
+const LOGIN_PATTERN = /^[a-z\d](?:[a-z\d]|-(?=[a-z\d])){0,38}$/i;
+
+// Profile links on github.com or an Enterprise host, e.g. https://github.com/octocat
+const PROFILE_URL_PATTERN = /^(?:https?:\/\/)?[^/\s]*github[^/\s]*\/([^/?#\s]+)/i;
+
+// RFC 4180 rows: quoted cells may contain commas, newlines and doubled quotes
+const parseCsvRows = (text) => {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+
+  for (let index = 0; index < text.length; index++) {
+    const char = text[index];
+    if (quoted) {
+      if (char === '"' && text[index + 1] === '"') {
+        cell += '"';
+        index++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[index + 1] === '\n') index++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+  row.push(cell);
+  rows.push(row);
+
+  return rows.filter(cells => cells.some(value => value.trim()));
+};
+
+const toLogin = (value) => {
+  const trimmed = value.trim().replace(/^@/, '');
+  return trimmed.match(PROFILE_URL_PATTERN)?.[1] || trimmed;
+};
+
+// Usernames from a pasted list (one per line, or separated by commas, semicolons or spaces)
+// or a CSV file. A CSV header row with a login, username or github column picks that column.
+// Returns { logins, invalid, dropped }: unique logins in order, entries that can't be
+// logins, and how many were cut off beyond MAX_BULK_USERNAMES.
+export const parseUsernames = (text) => {
+  const rows = parseCsvRows(text);
+  const column = (rows[0] || []).findIndex(cell => LOGIN_HEADERS.includes(cell.trim().toLowerCase()));
+
+  const entries = column >= 0
+    ? rows.slice(1).map(row => row[column] || '')
+    : rows.flat().flatMap(cell => cell.split(/[\s;]+/));
+
+  const seen = new Set();
+  const logins = [];
+  const invalid = [];
+
+  entries.map(toLogin).filter(Boolean).forEach(login => {
+    if (!LOGIN_PATTERN.test(login)) {
+      invalid.push(login);
+      return;
+    }
+    const key = login.toLowerCase();
+    if (seen.has(key)) return;
+    seen.add(key);
+    logins.push(login);
+  });
+
+  return {
+    logins: logins.slice(0, MAX_BULK_USERNAMES),
+    invalid,
+    dropped: Math.max(0, logins.length - MAX_BULK_USERNAMES)
+  };
+};
+
+// Run worker over every item with at most `limit` running at once. Once signal aborts no new
+// items are started; the worker handles its own errors.
+export const runWithConcurrency = async (items, limit, worker, signal) => {
+  let next = 0;
+
+  const runNext = async () => {
+    while (next < items.length && !signal?.aborted) {
+      const index = next++;
+      await worker(items[index], index);
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, runNext));
+};
+
+const collator = new Intl.Collator(undefined, { sensitivity: 'base', numeric: true });
+
+const compareValues = (a, b, type) => {
+  if (type === 'number') return a - b;
+  if (type === 'boolean') return Number(a) - Number(b);
+  return collator.compare(a, b);
+};
+
+// Rows are { login, status, user, error }. Rows without a value in the column, which includes
+// pending and failed ones, stay at the end in either direction.
+export const sortBulkRows = (rows, key, order) => {
+  const { type } = BULK_COLUMNS[key];
+  const direction = order === 'asc' ? 1 : -1;
+
+  const valueOf = (row) => {
+    if (key === 'login') return row.user?.login || row.login;
+    const value = row.user?.[key];
+    if (type === 'boolean') return row.user ? Boolean(value) : null;
+    return value === '' ? null : value ?? null;
+  };
+
+  return [...rows].sort((a, b) => {
+    const aValue = valueOf(a);
+    const bValue = valueOf(b);
+    if (aValue === null || bValue === null) {
+      return (aValue === null) - (bValue === null);
+    }
+    return compareValues(aValue, bValue, type) * direction;
+  });
+};
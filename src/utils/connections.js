@@ -0,0 +1,22 @@
+// Follower graph helpers for the connections explorer
+
+export const CONNECTION_TABS = {
+  followers: 'Followers',
+  following: 'Following',
+  mutuals: 'Mutuals',
+  'not-following-back': 'Not following back'
+};
+
+export const CONNECTIONS_PER_PAGE = 100;
+
+// Accounts that appear in both lists
+export const findMutuals = (followers, following) => {
+  const followerLogins = new Set(followers.map(person => person.login));
+  return following.filter(person => followerLogins.has(person.login));
+};
+
+// Accounts the user follows that don't follow back
+export const findNotFollowingBack = (followers, following) => {
+  const followerLogins = new Set(followers.map(person => person.login));
+  return following.filter(person => !followerLogins.has(person.login));
+};
@@ -0,0 +1,163 @@
+// Readable descriptions for GitHub Events API payloads
+import { webUrl } from "../api/github";
+
+// Event types with a filter label under events.type.*; others are listed by their raw name
+export const EVENT_TYPES = [
+  'PushEvent',
+  'PullRequestEvent',
+  'PullRequestReviewEvent',
+  'PullRequestReviewCommentEvent',
+  'IssuesEvent',
+  'IssueCommentEvent',
+  'ReleaseEvent',
+  'WatchEvent',
+  'ForkEvent',
+  'CreateEvent',
+  'DeleteEvent',
+  'PublicEvent',
+  'MemberEvent',
+  'GollumEvent',
+  'CommitCommentEvent'
+];
+
+// The Events API returns at most 300 events, 100 per page
+export const EVENTS_PER_PAGE = 100;
+export const MAX_EVENT_PAGES = 3;
+
+// Payload actions and ref types with a catalog entry; anything else is shown as GitHub sends it
+const EVENT_ACTIONS = ['opened', 'closed', 'reopened', 'merged', 'published', 'created', 'edited', 'added'];
+const REF_TYPES = ['branch', 'tag'];
+
+const branchName = (ref = '') => ref.replace(/^refs\/heads\//, '');
+
+// Issue and PR numbers are identifiers, so they skip the number formatting t() gives numeric params
+const issueNumber = (number) => String(number ?? '');
+
+// Returns { icon, summary, url } for one event, with the summary worded by t
+export const describeEvent = (event, t) => {
+  const repo = event.repo.name;
+  const repoUrl = webUrl(repo);
+  const { payload = {} } = event;
+  const action = (name) => (EVENT_ACTIONS.includes(name) ? t(`events.action.${name}`) : name);
+  const refType = (name) => (REF_TYPES.includes(name) ? t(`events.refType.${name}`) : name);
+
+  switch (event.type) {
+    case 'PushEvent': {
+      const commits = payload.size ?? payload.commits?.length ?? 0;
+      return {
+        icon: '⬆️',
+        summary: t('events.push', { count: commits, branch: branchName(payload.ref), repo }),
+        url: payload.head ? webUrl(`${repo}/commit/${payload.head}`) : repoUrl
+      };
+    }
+    case 'PullRequestEvent': {
+      const pr = payload.pull_request || {};
+      const prAction = payload.action === 'closed' && pr.merged ? 'merged' : payload.action;
+      return {
+        icon: '🔀',
+        summary: t('events.pullRequest', {
+          action: action(prAction),
+          number: issueNumber(payload.number ?? pr.number),
+          repo
+        }),
+        url: pr.html_url || repoUrl
+      };
+    }
+    case 'PullRequestReviewEvent':
+      return {
+        icon: '👀',
+        summary: t('events.review', { number: issueNumber(payload.pull_request?.number), repo }),
+        url: payload.review?.html_url || repoUrl
+      };
+    case 'PullRequestReviewCommentEvent':
+      return {
+        icon: '💬',
+        summary: t('events.reviewComment', { number: issueNumber(payload.pull_request?.number), repo }),
+        url: payload.comment?.html_url || repoUrl
+      };
+    case 'IssuesEvent':
+      return {
+        icon: '🐛',
+        summary: t('events.issue', { action: action(payload.action), number: issueNumber(payload.issue?.number), repo }),
+        url: payload.issue?.html_url || repoUrl
+      };
+    case 'IssueCommentEvent':
+      return {
+        icon: '💬',
+        summary: t(payload.issue?.pull_request ? 'events.pullRequestComment' : 'events.issueComment', {
+          number: issueNumber(payload.issue?.number),
+          repo
+        }),
+        url: payload.comment?.html_url || repoUrl
+      };
+    case 'ReleaseEvent':
+      return {
+        icon: '🏷️',
+        summary: t('events.release', { action: action(payload.action), tag: payload.release?.tag_name, repo }),
+        url: payload.release?.html_url || repoUrl
+      };
+    case 'WatchEvent':
+      return { icon: '⭐', summary: t('events.star', { repo }), url: repoUrl };
+    case 'ForkEvent':
+      return {
+        icon: '🍴',
+        summary: t('events.fork', { repo, fork: payload.forkee?.full_name }),
+        url: payload.forkee?.html_url || repoUrl
+      };
+    case 'CreateEvent':
+      return {
+        icon: '✨',
+        summary: payload.ref_type === 'repository'
+          ? t('events.createRepository', { repo })
+          : t('events.create', { refType: refType(payload.ref_type), ref: payload.ref, repo }),
+        url: repoUrl
+      };
+    case 'DeleteEvent':
+      return {
+        icon: '🗑️',
+        summary: t('events.delete', { refType: refType(payload.ref_type), ref: payload.ref, repo }),
+        url: repoUrl
+      };
+    case 'PublicEvent':
+      return { icon: '🌍', summary: t('events.public', { repo }), url: repoUrl };
+    case 'MemberEvent':
+      return {
+        icon: '🤝',
+        summary: t('events.member', { action: action(payload.action), member: payload.member?.login, repo }),
+        url: repoUrl
+      };
+    case 'GollumEvent':
+      return {
+        icon: '📖',
+        summary: t('events.wiki', { count: payload.pages?.length || 0, repo }),
+        url: webUrl(`${repo}/wiki`)
+      };
+    case 'CommitCommentEvent':
+      return {
+        icon: '💬',
+        summary: t('events.commitComment', { repo }),
+        url: payload.comment?.html_url || repoUrl
+      };
+    default:
+      return {
+        icon: '•',
+        summary: t('events.other', { type: event.type.replace(/Event$/, ''), repo }),
+        url: repoUrl
+      };
+  }
+};
+
+// Group events into [{ day, events }] in the order they arrive (newest first)
+export const groupEventsByDay = (events) => {
+  const groups = [];
+  events.forEach(event => {
+    const day = new Date(event.created_at).toDateString();
+    const group = groups[groups.length - 1];
+    if (group && group.day === day) {
+      group.events.push(event);
+    } else {
+      groups.push({ day, events: [event] });
+    }
+  });
+  return groups;
+};
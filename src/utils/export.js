@@ -0,0 +1,116 @@
+// Export the loaded profile and repositories; works purely from data already in memory
+import { webUrl } from "../api/github";
+
+const CSV_COLUMNS = ['name', 'full_name', 'html_url', 'description', 'language', 'stars', 'forks', 'topics', 'updated_at'];
+
+// Spreadsheets run cells starting with these as formulas
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+const escapeCsv = (value) => {
+  let text = value === null || value === undefined ? '' : String(value);
+  if (typeof value === 'string' && FORMULA_PREFIX.test(text)) text = `'${text}`;
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// One row per repository
+export const toCsv = (repositories) => {
+  const rows = repositories.map(repo => [
+    repo.name,
+    repo.full_name,
+    repo.html_url,
+    repo.description,
+    repo.language,
+    repo.stargazers_count,
+    repo.forks_count,
+    repo.topics.join(';'),
+    repo.updated_at
+  ].map(escapeCsv).join(','));
+
+  return [CSV_COLUMNS.join(','), ...rows].join('\r\n');
+};
+
+export const toJson = (user, repositories) => {
+  return JSON.stringify({ user, repositories, exported_at: new Date().toISOString() }, null, 2);
+};
+
+const escapeMarkdownCell = (value) => String(value ?? '').replace(/\|/g, '\\|').replace(/\n/g, ' ');
+
+export const toMarkdown = (user, repositories) => {
+  const lines = [`# ${user.name || user.login} ([@${user.login}](${webUrl(user.login)}))`, ''];
+
+  if (user.bio) lines.push(`> ${user.bio.replace(/\n/g, ' ')}`, '');
+
+  const details = [
+    ['Company', user.company],
+    ['Location', user.location],
+    ['Website', user.blog],
+    ['Email', user.email],
+    ['Twitter', user.twitter_username && `@${user.twitter_username}`],
+    ['Available for hire', user.hireable ? 'Yes' : null]
+  ].filter(([, value]) => value);
+
+  details.forEach(([label, value]) => lines.push(`- **${label}:** ${value}`));
+  lines.push(
+    `- **Followers:** ${user.followers} · **Following:** ${user.following} · **Public repos:** ${user.public_repos}`,
+    `- **Member since:** ${new Date(user.created_at).toLocaleDateString()}`,
+    ''
+  );
+
+  if (repositories.length > 0) {
+    lines.push('## Repositories', '', '| Repository | Language | Stars | Forks | Updated |', '| --- | --- | ---: | ---: | --- |');
+    repositories.forEach(repo => {
+      lines.push(`| [${escapeMarkdownCell(repo.name)}](${repo.html_url}) | ${escapeMarkdownCell(repo.language || '')} | ${repo.stargazers_count} | ${repo.forks_count} | ${new Date(repo.updated_at).toLocaleDateString()} |`);
+    });
+    lines.push('');
+  }
+
+  return lines.join('\n');
+};
+
+const escapeVCard = (value) => String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/([,;])/g, '\\$1');
+
+// vCard 3.0 contact card
+export const toVCard = (user) => {
+  const fullName = user.name || user.login;
+  const nameParts = fullName.trim().split(/\s+/);
+  const familyName = nameParts.length > 1 ? nameParts.pop() : '';
+
+  const lines = [
+    'BEGIN:VCARD',
+    'VERSION:3.0',
+    `FN:${escapeVCard(fullName)}`,
+    `N:${escapeVCard(familyName)};${escapeVCard(nameParts.join(' '))};;;`,
+    `NICKNAME:${escapeVCard(user.login)}`
+  ];
+
+  if (user.company) lines.push(`ORG:${escapeVCard(user.company.replace(/^@/, ''))}`);
+  if (user.email) lines.push(`EMAIL;TYPE=INTERNET:${user.email}`);
+  if (user.blog) lines.push(`URL:${user.blog.startsWith('http') ? user.blog : `https://${user.blog}`}`);
+  if (user.location) lines.push(`ADR;TYPE=HOME:;;;${escapeVCard(user.location)};;;`);
+  if (user.twitter_username) lines.push(`X-SOCIALPROFILE;TYPE=twitter:https://twitter.com/${user.twitter_username}`);
+  lines.push(`X-SOCIALPROFILE;TYPE=github:${webUrl(user.login)}`);
+  if (user.avatar_url) lines.push(`PHOTO;VALUE=URI:${user.avatar_url}`);
+  if (user.bio) lines.push(`NOTE:${escapeVCard(user.bio)}`);
+  lines.push('END:VCARD');
+
+  return lines.join('\r\n');
+};
+
+// Menu labels are the export.format.* catalog keys
+export const EXPORT_FORMATS = {
+  json: { extension: 'json', mimeType: 'application/json', build: toJson },
+  csv: { extension: 'csv', mimeType: 'text/csv', build: (user, repositories) => toCsv(repositories) },
+  markdown: { extension: 'md', mimeType: 'text/markdown', build: toMarkdown },
+  vcard: { extension: 'vcf', mimeType: 'text/vcard', build: (user) => toVCard(user) }
+};
+
+export const downloadFile = (filename, content, mimeType) => {
+  const url = URL.createObjectURL(new Blob([content], { type: `${mimeType};charset=utf-8` }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+};
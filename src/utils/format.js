@@ -0,0 +1,41 @@
+import { getFormatter } from "../i18n";
+
+// Format large counts compactly for the current locale (or the one given), e.g. 1200 -> 1.2K in English
+export const formatNumber = (num, locale) => {
+  return getFormatter(Intl.NumberFormat, { notation: 'compact', maximumFractionDigits: 1 }, locale).format(num);
+};
+
+// Dates and times for the current locale; options are Intl.DateTimeFormat options
+export const formatDate = (value, options = { dateStyle: 'medium' }) => {
+  return getFormatter(Intl.DateTimeFormat, options).format(new Date(value));
+};
+
+const RELATIVE_UNITS = [
+  ['year', 365 * 24 * 60],
+  ['month', 30 * 24 * 60],
+  ['week', 7 * 24 * 60],
+  ['day', 24 * 60],
+  ['hour', 60],
+  ['minute', 1]
+];
+
+// "How long ago" label, e.g. "5 minutes ago" or "yesterday"; takes timestamps or date strings
+export const formatRelativeTime = (timestamp) => {
+  const minutes = Math.round((new Date(timestamp).getTime() - Date.now()) / 60000);
+  const formatter = getFormatter(Intl.RelativeTimeFormat, { numeric: 'auto' });
+
+  const [unit, size] = RELATIVE_UNITS.find(([, size]) => Math.abs(minutes) >= size) || ['second', 0];
+  return size ? formatter.format(Math.round(minutes / size), unit) : formatter.format(0, unit);
+};
+
+// Countdown label like "4:05" or "1:02:09"
+export const formatCountdown = (milliseconds) => {
+  const totalSeconds = Math.max(0, Math.ceil(milliseconds / 1000));
+  const hours = Math.floor(totalSeconds / 3600);
+  const minutes = Math.floor((totalSeconds % 3600) / 60);
+  const seconds = String(totalSeconds % 60).padStart(2, '0');
+
+  return hours > 0
+    ? `${hours}:${String(minutes).padStart(2, '0')}:${seconds}`
+    : `${minutes}:${seconds}`;
+};
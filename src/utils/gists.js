@@ -0,0 +1,37 @@
+// Gist listing and preview shapes, trimmed before they are cached
+
+export const GISTS_PER_PAGE = 30;
+
+// Longer files are cut off in the preview; the full file is a click away on GitHub
+export const MAX_PREVIEW_CHARS = 20000;
+
+// /users/:login/gists lists files by name without their content
+export const formatGist = (gist) => ({
+  id: gist.id,
+  description: gist.description,
+  html_url: gist.html_url,
+  public: gist.public,
+  comments: gist.comments,
+  created_at: gist.created_at,
+  updated_at: gist.updated_at,
+  files: Object.values(gist.files).map(({ filename, language, size }) => ({ filename, language, size }))
+});
+
+// /gists/:id adds each file's content, which GitHub itself truncates beyond 1 MB
+export const formatGistFiles = (gist) => Object.fromEntries(Object.values(gist.files).map(file => [
+  file.filename,
+  {
+    content: (file.content || '').slice(0, MAX_PREVIEW_CHARS),
+    truncated: Boolean(file.truncated) || (file.content || '').length > MAX_PREVIEW_CHARS,
+    raw_url: file.raw_url
+  }
+]));
+
+// Distinct file languages, most files first
+export const gistLanguages = (gist) => {
+  const counts = {};
+  gist.files.forEach(({ language }) => {
+    if (language) counts[language] = (counts[language] || 0) + 1;
+  });
+  return Object.keys(counts).sort((a, b) => counts[b] - counts[a]);
+};
@@ -0,0 +1,174 @@
+// Small regex highlighter for gist previews. It knows comments, strings, numbers, keywords and
+// function calls for the common language families, and returns { type, text } tokens that are
+// rendered as spans, so file content never becomes HTML.
+
+const C_COMMENTS = { line: ['//'], block: [['/*', '*/']] };
+const HASH_COMMENTS = { line: ['#'], block: [] };
+
+const words = (list) => new Set(list.split(' '));
+
+const FAMILIES = {
+  javascript: {
+    comments: C_COMMENTS,
+    strings: ['"', '\'', '`'],
+    keywords: words('async await break case catch class const continue debugger default delete do else enum export extends false finally for from function if implements import in instanceof interface let new null of private protected public readonly return static super switch this throw true try type typeof undefined var void while with yield')
+  },
+  python: {
+    comments: HASH_COMMENTS,
+    strings: ['"', '\''],
+    keywords: words('False None True and as assert async await break class continue def del elif else except finally for from global if import in is lambda nonlocal not or pass raise return self try while with yield')
+  },
+  ruby: {
+    comments: HASH_COMMENTS,
+    strings: ['"', '\''],
+    keywords: words('alias and begin break case class def do else elsif end ensure false for if in module next nil not or raise redo require rescue retry return self super then true undef unless until when while yield')
+  },
+  shell: {
+    comments: HASH_COMMENTS,
+    strings: ['"', '\''],
+    keywords: words('case do done echo elif else esac exit export fi for function if in local read return set shift then until unset while')
+  },
+  go: {
+    comments: C_COMMENTS,
+    strings: ['"', '`'],
+    keywords: words('break case chan const continue default defer else fallthrough false for func go goto if import interface iota map nil package range return select struct switch true type var')
+  },
+  rust: {
+    comments: C_COMMENTS,
+    strings: ['"'],
+    keywords: words('as async await break const continue crate dyn else enum extern false fn for if impl in let loop match mod move mut pub ref return self Self static struct super trait true type unsafe use where while')
+  },
+  // C, C++, C#, Java, Kotlin, Swift, PHP and friends share most of their keywords
+  c: {
+    comments: C_COMMENTS,
+    strings: ['"', '\''],
+    keywords: words('abstract auto bool boolean break case catch char class const continue default delete do double else enum extends false final finally float for fun func function guard if implements import include int interface internal let long namespace new nil null object override package private protected public return self short signed sizeof static struct super switch template this throw throws true try typedef union unsigned using val var virtual void volatile when while')
+  },
+  css: {
+    comments: C_COMMENTS,
+    strings: ['"', '\''],
+    keywords: words('important inherit initial none auto')
+  },
+  sql: {
+    comments: { line: ['--'], block: [['/*', '*/']] },
+    strings: ['\''],
+    caseInsensitive: true,
+    keywords: words('add all alter and as asc begin by case commit create default delete desc distinct drop else end exists foreign from group having in index inner insert into is join key left like limit not null on or order outer primary references returning right rollback select set table then union unique update values view when where with')
+  },
+  config: {
+    comments: HASH_COMMENTS,
+    strings: ['"', '\''],
+    keywords: words('true false null yes no on off')
+  },
+  markup: {
+    comments: { line: [], block: [['<!--', '-->']] },
+    strings: ['"'],
+    keywords: new Set()
+  }
+};
+
+// GitHub's language names (as gists report them) mapped to a family
+const LANGUAGE_FAMILIES = {
+  JavaScript: 'javascript',
+  TypeScript: 'javascript',
+  JSX: 'javascript',
+  TSX: 'javascript',
+  JSON: 'javascript',
+  Vue: 'markup',
+  Python: 'python',
+  Ruby: 'ruby',
+  Shell: 'shell',
+  Bash: 'shell',
+  Zsh: 'shell',
+  Dockerfile: 'shell',
+  Makefile: 'shell',
+  Go: 'go',
+  Rust: 'rust',
+  C: 'c',
+  'C++': 'c',
+  'C#': 'c',
+  'Objective-C': 'c',
+  Java: 'c',
+  Kotlin: 'c',
+  Scala: 'c',
+  Swift: 'c',
+  Dart: 'c',
+  PHP: 'c',
+  CSS: 'css',
+  SCSS: 'css',
+  Less: 'css',
+  SQL: 'sql',
+  PLpgSQL: 'sql',
+  YAML: 'config',
+  TOML: 'config',
+  INI: 'config',
+  HTML: 'markup',
+  XML: 'markup',
+  SVG: 'markup'
+};
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Backtick strings may span lines; the other quotes end at the line
+const stringPattern = (quote) => {
+  const q = escapeRegExp(quote);
+  const excluded = quote === '`' ? `\\\\${q}` : `\\\\${q}\\n`;
+  return `${q}(?:\\\\[\\s\\S]|[^${excluded}])*(?:${q})?`;
+};
+
+// One alternation with a group per token type: comment, string, number, word
+const buildPattern = ({ comments, strings }) => {
+  const commentParts = [
+    ...comments.block.map(([open, close]) => `${escapeRegExp(open)}[\\s\\S]*?(?:${escapeRegExp(close)}|$)`),
+    ...comments.line.map(marker => `${escapeRegExp(marker)}.*`)
+  ];
+  return new RegExp([
+    `(${commentParts.join('|') || '(?!)'})`,
+    `(${strings.map(stringPattern).join('|')})`,
+    '(\\b0x[\\da-fA-F]+\\b|\\b\\d[\\d_]*(?:\\.\\d+)?(?:[eE][+-]?\\d+)?\\b)',
+    '([A-Za-z_$][\\w$]*)'
+  ].join('|'), 'g');
+};
+
+const patterns = {};
+
+// Languages without a family come back as one plain token
+export const highlight = (code, language) => {
+  const familyName = LANGUAGE_FAMILIES[language];
+  if (!familyName) return [{ type: null, text: code }];
+
+  const family = FAMILIES[familyName];
+  patterns[familyName] ??= buildPattern(family);
+  const pattern = patterns[familyName];
+  pattern.lastIndex = 0;
+
+  const tokens = [];
+  let position = 0;
+  let match;
+
+  while ((match = pattern.exec(code)) !== null) {
+    if (match[0] === '') {
+      pattern.lastIndex++;
+      continue;
+    }
+    if (match.index > position) {
+      tokens.push({ type: null, text: code.slice(position, match.index) });
+    }
+
+    const [text, comment, string, number, word] = match;
+    let type = null;
+    if (comment) type = 'comment';
+    else if (string) type = 'string';
+    else if (number) type = 'number';
+    else if (word && family.keywords.has(family.caseInsensitive ? word.toLowerCase() : word)) type = 'keyword';
+    else if (word && code[pattern.lastIndex] === '(') type = 'function';
+
+    tokens.push({ type, text });
+    position = pattern.lastIndex;
+  }
+
+  if (position < code.length) {
+    tokens.push({ type: null, text: code.slice(position) });
+  }
+  return tokens;
+};
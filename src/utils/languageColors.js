@@ -0,0 +1,700 @@
+// Language colors from GitHub Linguist (languages.yml, linguist-languages 9.5.0),
+// the same table github.com uses for repository language bars.
+// Regenerate from the linguist-languages package when GitHub adds languages.
+
+const LANGUAGE_COLORS = {
+  '1C Enterprise': '#814ccc',
+  '2-Dimensional Array': '#38761d',
+  '4D': '#004289',
+  ABAP: '#e8274b',
+  'ABAP CDS': '#555e25',
+  ActionScript: '#882b0f',
+  Ada: '#02f88c',
+  'Adblock Filter List': '#800000',
+  'Adobe Font Metrics': '#fa0f00',
+  Agda: '#315665',
+  'AGS Script': '#b9d9ff',
+  AIDL: '#34eb6b',
+  Aiken: '#640ff8',
+  AL: '#3aa2b5',
+  Aleo: '#154bf9',
+  ALGOL: '#d1e0db',
+  Alloy: '#64c800',
+  'Alpine Abuild': '#0d597f',
+  'Altium Designer': '#a89663',
+  AMPL: '#e6efbb',
+  AngelScript: '#c7d7dc',
+  'Answer Set Programming': '#a9cc29',
+  'Ant Build System': '#a9157e',
+  Antlers: '#ff269e',
+  ANTLR: '#9dc3ff',
+  ApacheConf: '#d12127',
+  Apex: '#1797c0',
+  'API Blueprint': '#2acca8',
+  APL: '#5a8164',
+  'Apollo Guidance Computer': '#0b3d91',
+  AppleScript: '#101f1f',
+  Arc: '#aa2afe',
+  AsciiDoc: '#73a0c5',
+  'ASP.NET': '#9400ff',
+  AspectJ: '#a957b0',
+  Assembly: '#6e4c13',
+  Astro: '#ff5a03',
+  Asymptote: '#ff0000',
+  ATS: '#1ac620',
+  Augeas: '#9cc134',
+  AutoHotkey: '#6594b9',
+  AutoIt: '#1c3552',
+  'Avro IDL': '#0040ff',
+  Awk: '#c30e9b',
+  B: '#da7666',
+  'B (Formal Method)': '#8aa8c5',
+  B4X: '#00e4ff',
+  Ballerina: '#ff5000',
+  BAML: '#a855f7',
+  BASIC: '#ff0000',
+  Batchfile: '#c1f12e',
+  BBCode: '#caff42',
+  Beef: '#a52f4e',
+  Berry: '#15a13c',
+  BibTeX: '#778899',
+  Bicep: '#519aba',
+  Bikeshed: '#5562ac',
+  BIRD2: '#b6d7e4',
+  Bison: '#6a463f',
+  BitBake: '#00bce4',
+  Blade: '#f7523f',
+  BlitzBasic: '#00ffae',
+  BlitzMax: '#cd6400',
+  Blueprint: '#3584e4',
+  Bluespec: '#12223c',
+  'Bluespec BH': '#12223c',
+  Boo: '#d4bec1',
+  Boogie: '#c80fa0',
+  BQN: '#2b7067',
+  Brainfuck: '#2f2530',
+  BrighterScript: '#66aabb',
+  Brightscript: '#662d91',
+  Browserslist: '#ffd539',
+  Bru: '#f4aa41',
+  BuildStream: '#006bff',
+  C: '#555555',
+  'C#': '#7355dd',
+  'C++': '#f34b7d',
+  C3: '#2563eb',
+  'Cabal Config': '#483465',
+  Caddyfile: '#22b638',
+  Cadence: '#00ef8b',
+  Cairo: '#ff4a48',
+  'Cairo Zero': '#ff4a48',
+  CameLIGO: '#3be133',
+  Cangjie: '#00868b',
+  'CAP CDS': '#0092d1',
+  "Cap'n Proto": '#c42727',
+  Carbon: '#222222',
+  Ceylon: '#dfa535',
+  Chapel: '#8dc63f',
+  ChucK: '#3f8000',
+  Circom: '#707575',
+  Cirru: '#ccccff',
+  Clarion: '#db901e',
+  Clarity: '#5546ff',
+  'Classic ASP': '#6a40fd',
+  Clean: '#3f85af',
+  Click: '#e4e6f3',
+  CLIPS: '#00a300',
+  Clojure: '#db5855',
+  'Closure Templates': '#0d948f',
+  'Cloud Firestore Security Rules': '#ffa000',
+  Clue: '#0009b5',
+  CMake: '#da3434',
+  CodeQL: '#140f46',
+  CoffeeScript: '#244776',
+  ColdFusion: '#ed2cd6',
+  'ColdFusion CFC': '#ed2cd6',
+  COLLADA: '#f1a42b',
+  'Common Lisp': '#3fb68b',
+  'Common Workflow Language': '#b5314c',
+  'Component Pascal': '#b0ce4e',
+  Cooklang: '#e15a29',
+  CQL: '#006091',
+  crontab: '#ead7ac',
+  Crystal: '#000100',
+  CSON: '#244776',
+  Csound: '#1a1a1a',
+  'Csound Document': '#1a1a1a',
+  'Csound Score': '#1a1a1a',
+  CSS: '#663399',
+  CSV: '#237346',
+  Cuda: '#3a4e3a',
+  CUE: '#5886e1',
+  Curry: '#531242',
+  CWeb: '#00007a',
+  Cylc: '#00b3fd',
+  Cypher: '#34c0eb',
+  Cython: '#fedf5b',
+  D: '#ba595e',
+  D2: '#526ee8',
+  Dafny: '#ffec25',
+  'Darcs Patch': '#8eff23',
+  Dart: '#00b4ab',
+  Daslang: '#d3d3d3',
+  DataWeave: '#003a52',
+  'Debian Package Control File': '#d70751',
+  DenizenScript: '#fbee96',
+  Dhall: '#dfafff',
+  'DirectX 3D File': '#aace60',
+  DM: '#447265',
+  Dockerfile: '#384d54',
+  Dogescript: '#cca760',
+  Dotenv: '#e5d559',
+  Dune: '#89421e',
+  Dylan: '#6c616e',
+  E: '#ccce35',
+  Earthly: '#2af0ff',
+  Easybuild: '#069406',
+  eC: '#913960',
+  'Ecere Projects': '#913960',
+  ECL: '#8a1267',
+  ECLiPSe: '#001d9d',
+  Ecmarkup: '#eb8131',
+  Edge: '#0dffe0',
+  EdgeQL: '#31a7ff',
+  EditorConfig: '#fff1f2',
+  Eiffel: '#4d6977',
+  EJS: '#a91e50',
+  Elixir: '#6e4a7e',
+  Elm: '#60b5cc',
+  Elvish: '#55bb55',
+  'Elvish Transcript': '#55bb55',
+  'Emacs Lisp': '#c065db',
+  EmberScript: '#fff4f3',
+  EQ: '#a78649',
+  Erlang: '#b83998',
+  Euphoria: '#ff790b',
+  'F*': '#572e30',
+  'F#': '#b845fc',
+  Factor: '#636746',
+  Fancy: '#7b9db4',
+  Fantom: '#14253c',
+  Faust: '#c37240',
+  Fennel: '#fff3d7',
+  'FIGlet Font': '#ffddbb',
+  'Filebench WML': '#f6b900',
+  FIRRTL: '#2f632f',
+  fish: '#4aae47',
+  FlatBuffers: '#ed284a',
+  Flix: '#d44a45',
+  Fluent: '#ffcc33',
+  FLUX: '#88ccff',
+  Forth: '#341708',
+  Fortran: '#4d41b1',
+  'Fortran Free Form': '#4d41b1',
+  FPP: '#d37327',
+  FreeBASIC: '#141ac9',
+  FreeMarker: '#0050b2',
+  Frege: '#00cafe',
+  Futhark: '#5f021f',
+  'G-code': '#d08cf2',
+  'Game Maker Language': '#71b417',
+  GAML: '#ffc766',
+  GAMS: '#f49a22',
+  GAP: '#0000cc',
+  'GCC Machine Description': '#ffcfab',
+  GDScript: '#355570',
+  GDShader: '#478cbf',
+  GEDCOM: '#003058',
+  'Gemfile.lock': '#701516',
+  Gemini: '#ff6900',
+  'Genero 4gl': '#63408e',
+  'Genero per': '#d8df39',
+  Genie: '#fb855d',
+  Genshi: '#951531',
+  'Gentoo Ebuild': '#9400ff',
+  'Gentoo Eclass': '#9400ff',
+  'Gerber Image': '#d20b00',
+  Gherkin: '#5b2063',
+  'Git Attributes': '#f44d27',
+  'Git Commit': '#f44d27',
+  'Git Config': '#f44d27',
+  'Git Revision List': '#f44d27',
+  Gleam: '#ffaff3',
+  'Glimmer JS': '#f5835f',
+  'Glimmer TS': '#3178c6',
+  GLSL: '#5686a5',
+  Glyph: '#c1ac7f',
+  Gno: '#226c57',
+  Gnuplot: '#f0a9f0',
+  Go: '#00add8',
+  'Go Checksums': '#00add8',
+  'Go Module': '#00add8',
+  'Go Template': '#00add8',
+  'Go Workspace': '#00add8',
+  'Godot Resource': '#355570',
+  Golo: '#88562a',
+  Gosu: '#82937f',
+  Grace: '#615f8b',
+  Gradle: '#02303a',
+  'Gradle Kotlin DSL': '#02303a',
+  'Grammatical Framework': '#ff0000',
+  GraphQL: '#e10098',
+  'Graphviz (DOT)': '#2596be',
+  Groovy: '#4298b8',
+  'Groovy Server Pages': '#4298b8',
+  GSC: '#ff6800',
+  GtkRC: '#7fe719',
+  Hack: '#878787',
+  Haml: '#ece2a9',
+  Handlebars: '#f7931e',
+  HAProxy: '#106da9',
+  Harbour: '#0e60e3',
+  Hare: '#9d7424',
+  Haskell: '#5e5086',
+  Haxe: '#df7900',
+  HCL: '#844fba',
+  HIP: '#4f3a4f',
+  HiveQL: '#dce200',
+  HLSL: '#aace60',
+  HOCON: '#9ff8ee',
+  HolyC: '#ffefaf',
+  hoon: '#00b171',
+  'Hosts File': '#308888',
+  HTML: '#e34c26',
+  'HTML+ECR': '#2e1052',
+  'HTML+EEX': '#6e4a7e',
+  'HTML+ERB': '#701516',
+  'HTML+PHP': '#4f5d95',
+  'HTML+Razor': '#512be4',
+  HTTP: '#005c9c',
+  Hurl: '#ff0288',
+  HXML: '#f68712',
+  Hy: '#7790b2',
+  iCalendar: '#ec564c',
+  IDL: '#a3522f',
+  Idris: '#b30000',
+  'Ignore List': '#000000',
+  'IGOR Pro': '#0000cc',
+  'IL Assembly': '#512bd4',
+  'ImageJ Macro': '#99aaff',
+  Imba: '#16cec6',
+  'ImHex Pattern Language': '#3a6be0',
+  INI: '#d1dbe0',
+  'Inno Setup': '#264b99',
+  Io: '#a9188d',
+  Ioke: '#078193',
+  Isabelle: '#fefe00',
+  'Isabelle ROOT': '#fefe00',
+  ISPC: '#2d68b1',
+  J: '#9eedff',
+  Jac: '#fc792d',
+  Jai: '#ab8b4b',
+  Janet: '#0886a5',
+  'JAR Manifest': '#b07219',
+  Jasmin: '#d03600',
+  JASS: '#ff0303',
+  Java: '#b07219',
+  'Java Properties': '#2a6277',
+  'Java Server Pages': '#2a6277',
+  'Java Template Engine': '#2a6277',
+  JavaScript: '#f1e05a',
+  'JavaScript+ERB': '#f1e05a',
+  JCL: '#d90e09',
+  'Jest Snapshot': '#15c213',
+  'JetBrains MPS': '#21d789',
+  JFlex: '#dbca00',
+  Jinja: '#a52a22',
+  Jison: '#56b3cb',
+  'Jison Lex': '#56b3cb',
+  Jolie: '#843179',
+  jq: '#c7254e',
+  JSON: '#292929',
+  'JSON with Comments': '#292929',
+  JSON5: '#267cb9',
+  JSONiq: '#40d47e',
+  JSONLD: '#0c479c',
+  Jsonnet: '#0064bd',
+  Julia: '#a270ba',
+  'Julia REPL': '#a270ba',
+  'Jupyter Notebook': '#da5b0b',
+  Just: '#384d54',
+  'Kaitai Struct': '#773b37',
+  KakouneScript: '#6f8042',
+  KCL: '#7ababf',
+  KDL: '#ffb3b3',
+  KerboScript: '#41adf0',
+  KFramework: '#4195c5',
+  'KiCad Layout': '#2f4aab',
+  'KiCad Legacy Layout': '#2f4aab',
+  'KiCad Schematic': '#2f4aab',
+  Koka: '#215166',
+  'KoLmafia ASH': '#b9d9b9',
+  Kotlin: '#a97bff',
+  KRL: '#28430a',
+  kvlang: '#1da6e0',
+  LabVIEW: '#fede06',
+  Lambdapi: '#8027a3',
+  Langium: '#2c8c87',
+  Lark: '#2980b9',
+  Lasso: '#999999',
+  Latte: '#f2a542',
+  Leo: '#c4ffc2',
+  Less: '#1d365d',
+  Lex: '#dbca00',
+  LFE: '#4c3023',
+  LigoLANG: '#0e74ff',
+  LilyPond: '#9ccc7c',
+  Liquid: '#67b8de',
+  Liquidsoap: '#990066',
+  'Literate Agda': '#315665',
+  'Literate CoffeeScript': '#244776',
+  'Literate Haskell': '#5e5086',
+  'LiveCode Script': '#0c5ba5',
+  LiveScript: '#499886',
+  LLVM: '#185619',
+  Lobster: '#f95428',
+  Logtalk: '#295b9a',
+  LOLCODE: '#cc9900',
+  LookML: '#652b81',
+  LSL: '#3d9970',
+  Lua: '#000080',
+  Luau: '#00a2ff',
+  M3U: '#179c7d',
+  Macaulay2: '#d8ffff',
+  Makefile: '#427819',
+  Mako: '#7e858d',
+  Markdown: '#083fa1',
+  Marko: '#42bff2',
+  Mask: '#f97732',
+  'Mathematical Programming System': '#0530ad',
+  MATLAB: '#e16737',
+  Max: '#c4a79c',
+  MAXScript: '#00a6a6',
+  mcfunction: '#e22837',
+  mdsvex: '#5f9ea0',
+  MDX: '#fcb32c',
+  Mercury: '#ff2b2b',
+  Mermaid: '#ff3670',
+  Meson: '#007800',
+  Metal: '#8f14e9',
+  MeTTa: '#6a5acd',
+  MiniScript: '#4b4a56',
+  MiniYAML: '#ff1111',
+  MiniZinc: '#06a9e6',
+  Mint: '#02b046',
+  Mirah: '#c7a938',
+  'mIRC Script': '#3d57c3',
+  MLIR: '#5ec8db',
+  Modelica: '#de1d31',
+  'Modula-2': '#10253f',
+  'Modula-3': '#223388',
+  Mojo: '#ff4c1f',
+  'Monkey C': '#8d6747',
+  MoonBit: '#b92381',
+  MoonScript: '#ff4585',
+  Motoko: '#fbb03b',
+  'Motorola 68K Assembly': '#005daa',
+  Move: '#4a137a',
+  MQL4: '#62a8d6',
+  MQL5: '#4a76b8',
+  MTML: '#b7e1f4',
+  mupad: '#244963',
+  Mustache: '#724b3b',
+  nanorc: '#2d004d',
+  Nasal: '#1d2c4e',
+  NCL: '#28431f',
+  Nearley: '#990000',
+  Nemerle: '#3d3c6e',
+  nesC: '#94b0c7',
+  NetLinx: '#0aa0ff',
+  'NetLinx+ERB': '#747faa',
+  NetLogo: '#ff6375',
+  NewLisp: '#87aed7',
+  Nextflow: '#3ac486',
+  Nginx: '#009639',
+  Nickel: '#e0c3fc',
+  Nim: '#ffc200',
+  Nit: '#009917',
+  Nix: '#7e7eff',
+  NMODL: '#00356b',
+  Noir: '#2f1f49',
+  'NPM Config': '#cb3837',
+  Nu: '#c9df40',
+  NumPy: '#9c8af9',
+  Nunjucks: '#3d8137',
+  Nushell: '#4e9906',
+  NWScript: '#111522',
+  'OASv2-json': '#85ea2d',
+  'OASv2-yaml': '#85ea2d',
+  'OASv3-json': '#85ea2d',
+  'OASv3-yaml': '#85ea2d',
+  'Objective-C': '#438eff',
+  'Objective-C++': '#6866fb',
+  'Objective-J': '#ff0c5a',
+  ObjectScript: '#424893',
+  OCaml: '#ef7a08',
+  Odin: '#60affe',
+  Omgrofl: '#cabbff',
+  'OMNeT++ MSG': '#a0e0a0',
+  'OMNeT++ NED': '#08607c',
+  ooc: '#b0b77e',
+  Opal: '#f7ede0',
+  'Open Policy Agent': '#7d9199',
+  'OpenAPI Specification v2': '#85ea2d',
+  'OpenAPI Specification v3': '#85ea2d',
+  OpenCL: '#ed2e2d',
+  'OpenEdge ABL': '#5ce600',
+  OpenQASM: '#aa70ff',
+  OpenSCAD: '#e5cd45',
+  'Option List': '#476732',
+  Org: '#77aa99',
+  OverpassQL: '#cce2aa',
+  OverPy: '#78b355',
+  Oxygene: '#cdd0e3',
+  Oz: '#fab738',
+  P4: '#7055b5',
+  Pact: '#f7a8b8',
+  Pan: '#cc0000',
+  Papyrus: '#6600cc',
+  Parrot: '#f3ca0a',
+  Pascal: '#e3f171',
+  Pawn: '#dbb284',
+  PDDL: '#0d00ff',
+  'PEG.js': '#234d6b',
+  Pep8: '#c76f5b',
+  Perl: '#0298c3',
+  PHP: '#4f5d95',
+  PicoLisp: '#6067af',
+  PigLatin: '#fcd7de',
+  Pike: '#005390',
+  'Pip Requirements': '#ffd343',
+  'pkg-config': '#2b5e82',
+  Pkl: '#6b9543',
+  PlantUML: '#fbbd16',
+  PLpgSQL: '#336790',
+  PLSQL: '#dad8d8',
+  PogoScript: '#d80074',
+  Polar: '#ae81ff',
+  Portugol: '#f8bd00',
+  PostCSS: '#dc3a0c',
+  PostScript: '#da291c',
+  'POV-Ray SDL': '#6bac65',
+  'Power Query': '#d38e0d',
+  PowerBuilder: '#8f0f8d',
+  PowerShell: '#012456',
+  Praat: '#c8506d',
+  Prisma: '#0c344b',
+  'Pro*C': '#bb8368',
+  Processing: '#0096d8',
+  Procfile: '#3b2f63',
+  Prolog: '#74283c',
+  Promela: '#de0000',
+  'Propeller Spin': '#7fa2a7',
+  Pug: '#a86454',
+  Puppet: '#302b6d',
+  PureBasic: '#5a6986',
+  PureScript: '#1d222d',
+  Pyret: '#ee1e10',
+  Python: '#3572a5',
+  'Python console': '#3572a5',
+  'Python traceback': '#3572a5',
+  q: '#0040cd',
+  'Q#': '#fed659',
+  QML: '#44a51c',
+  'Qt Script': '#00b841',
+  Quake: '#882233',
+  QuakeC: '#975777',
+  'Quartus Simulation IP': '#58c42e',
+  QuickBASIC: '#008080',
+  Quint: '#9d6ce5',
+  R: '#198ce7',
+  Racket: '#3c5caa',
+  Ragel: '#9d5200',
+  Raku: '#0000fb',
+  RAML: '#77d9fb',
+  Rascal: '#fffaa0',
+  RAScript: '#2c97fa',
+  RBS: '#701516',
+  RDoc: '#701516',
+  Reason: '#ff5847',
+  ReasonLIGO: '#ff5847',
+  Rebol: '#358a5b',
+  'Record Jar': '#0673ba',
+  Red: '#f50000',
+  Redscript: '#f44336',
+  'Regular Expression': '#009a00',
+  "Ren'Py": '#ff7f7f',
+  ReScript: '#ed5051',
+  reStructuredText: '#141414',
+  REXX: '#d90e09',
+  Rez: '#ffdab3',
+  Rhai: '#fba63b',
+  Ring: '#2d54cb',
+  Riot: '#a71e49',
+  RMarkdown: '#198ce7',
+  RobotFramework: '#00c0b5',
+  Roc: '#7c38f5',
+  'Rocq Prover': '#d0b68c',
+  Roff: '#ecdebe',
+  'Roff Manpage': '#ecdebe',
+  RON: '#a62c00',
+  'ROS Interface': '#22314e',
+  Rouge: '#cc0088',
+  'RouterOS Script': '#de3941',
+  RPGLE: '#2bde21',
+  Ruby: '#701516',
+  RUNOFF: '#665a4e',
+  Rust: '#dea584',
+  Sail: '#259dd5',
+  Salt: '#57bcad',
+  SAS: '#b34936',
+  Sass: '#a53b70',
+  Scala: '#c22d40',
+  Scaml: '#bd181a',
+  Scenic: '#fdc700',
+  Scheme: '#1e4aec',
+  Scilab: '#ca0f21',
+  SCSS: '#c6538c',
+  sed: '#64b970',
+  Self: '#0579aa',
+  ShaderLab: '#222c37',
+  Shell: '#89e051',
+  'ShellCheck Config': '#cecfcb',
+  Shen: '#120f14',
+  'Simple File Verification': '#c9bfed',
+  Singularity: '#64e6ad',
+  SIP: '#4e8d83',
+  Slang: '#1fbec9',
+  Slash: '#007eff',
+  Slice: '#003fa2',
+  Slim: '#2b2b2b',
+  Slint: '#2379f4',
+  Smalltalk: '#596706',
+  Smarty: '#f0c040',
+  Smithy: '#c44536',
+  SmPL: '#c94949',
+  Snakemake: '#419179',
+  Solidity: '#aa6746',
+  SourcePawn: '#f69e1d',
+  SPARQL: '#0c4597',
+  'SpiceDB Schema': '#a5318a',
+  SQF: '#3f3f3f',
+  SQL: '#e38c00',
+  SQLPL: '#e38c00',
+  Squirrel: '#800000',
+  'SRecode Template': '#348a34',
+  Stan: '#b2011d',
+  'Standard ML': '#dc566d',
+  Starlark: '#76d275',
+  Stata: '#1a5f91',
+  STL: '#373b5e',
+  StringTemplate: '#3fb34f',
+  Stylus: '#ff6347',
+  'SubRip Text': '#9e0101',
+  SugarSS: '#2fcc9f',
+  SuperCollider: '#46390b',
+  SurrealQL: '#ff00a0',
+  'Survex data': '#ffcc99',
+  Svelte: '#ff3e00',
+  SVG: '#ff9900',
+  Sway: '#00f58c',
+  Sweave: '#198ce7',
+  Swift: '#f05138',
+  SystemVerilog: '#dae1c2',
+  Tact: '#48b5ff',
+  Talon: '#333333',
+  Tcl: '#e4cc98',
+  Teal: '#00b1bc',
+  templ: '#66d0dd',
+  Terra: '#00004c',
+  'Terraform Template': '#7b42bb',
+  TeX: '#3d6117',
+  TextGrid: '#c8506d',
+  Textile: '#ffe7ac',
+  'TextMate Properties': '#df66e4',
+  Thrift: '#d12127',
+  'TI Program': '#a0aa87',
+  'TL-Verilog': '#c40023',
+  TLA: '#4b0079',
+  TMDL: '#f0c913',
+  Toit: '#c2c9fb',
+  Tolk: '#30a1f5',
+  TOML: '#9c4221',
+  'Tor Config': '#59316b',
+  'Tree-sitter Query': '#8ea64c',
+  TSQL: '#e38c00',
+  TSV: '#237346',
+  TSX: '#3178c6',
+  Turing: '#cf142b',
+  Twig: '#c1d026',
+  TXL: '#0178b8',
+  TypeScript: '#3178c6',
+  TypeSpec: '#4a3665',
+  Typst: '#239dad',
+  ucode: '#00b8d4',
+  'Unified Parallel C': '#4e3617',
+  'Unity3D Asset': '#222c37',
+  Uno: '#9933cc',
+  UnrealScript: '#a54c4d',
+  'Untyped Plutus Core': '#36adbd',
+  UrWeb: '#ccccee',
+  V: '#4f87c4',
+  Vala: '#a56de2',
+  'Valve Data Format': '#f26025',
+  VBA: '#867db1',
+  VBScript: '#15dcdc',
+  vCard: '#ee2647',
+  VCL: '#148aa8',
+  'Velocity Template Language': '#507cff',
+  Vento: '#ff0080',
+  Verilog: '#b2b7f8',
+  Verse: '#518ef8',
+  'Vespa Schema Definition': '#61d790',
+  VHDL: '#adb2cb',
+  'Vim Help File': '#199f4b',
+  'Vim script': '#199f4b',
+  'Vim Snippet': '#199f4b',
+  'Visual Basic .NET': '#945db7',
+  'Visual Basic 6.0': '#2c6353',
+  Volt: '#1f1f1f',
+  Vue: '#41b883',
+  Vyper: '#9f4cf2',
+  WDL: '#42f1f4',
+  'Web Ontology Language': '#5b70bd',
+  WebAssembly: '#04133b',
+  'WebAssembly Interface Type': '#6250e7',
+  WGSL: '#1a5e9a',
+  Whiley: '#d5c397',
+  Wikitext: '#fc5757',
+  'Windows Registry Entries': '#52d5ff',
+  wisp: '#7582d1',
+  'Witcher Script': '#ff0000',
+  'Wolfram Language': '#dd1100',
+  Wollok: '#a23738',
+  'World of Warcraft Addon Data': '#f7e43f',
+  Wren: '#383838',
+  X10: '#4b6bef',
+  xBase: '#403a40',
+  XC: '#99da07',
+  Xmake: '#22a079',
+  XML: '#0060ac',
+  'XML Property List': '#0060ac',
+  Xojo: '#81bd41',
+  Xonsh: '#285eef',
+  XQuery: '#5232e7',
+  XSLT: '#eb8ceb',
+  Xtend: '#24255d',
+  Yacc: '#4b6c4b',
+  YAML: '#cb171e',
+  YARA: '#220000',
+  YASnippet: '#32ab90',
+  Yul: '#794932',
+  ZAP: '#0d665e',
+  ZenScript: '#00bcd1',
+  Zephir: '#118f9e',
+  Zig: '#ec915c',
+  ZIL: '#dc75e5',
+  Zimpl: '#d67711',
+  Zmodel: '#ff7100'
+};
+
+export default LANGUAGE_COLORS;
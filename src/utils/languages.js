@@ -0,0 +1,6 @@
+import LANGUAGE_COLORS from "./languageColors";
+
+const FALLBACK_COLOR = '#6b7280';
+
+// Color for a language dot or chart segment, matching github.com
+export const getLanguageColor = (language) => LANGUAGE_COLORS[language] || FALLBACK_COLOR;
@@ -0,0 +1,169 @@
+// Repository shaping, sorting and filtering shared by the profile and the repository browser
+
+export const REPOS_PER_PAGE = 100;
+
+export const REPOSITORY_SORTS = {
+  stars: 'Stars',
+  forks: 'Forks',
+  name: 'Name',
+  created: 'Created',
+  pushed: 'Last pushed'
+};
+
+export const DEFAULT_REPOSITORY_OPTIONS = {
+  sort: 'stars',
+  direction: 'desc',
+  language: '',
+  topic: '',
+  type: 'all',      // all | sources | forks
+  archived: 'all',  // all | active | archived
+  page: 1
+};
+
+// What each URL value must look like; anything else falls back to the default
+export const REPOSITORY_OPTION_PATTERNS = {
+  direction: /^(asc|desc)$/,
+  type: /^(all|sources|forks)$/,
+  archived: /^(all|active|archived)$/
+};
+
+// Keep only the fields the UI renders
+export const formatRepository = (repo) => ({
+  id: repo.id,
+  name: repo.name,
+  full_name: repo.full_name,
+  description: repo.description,
+  html_url: repo.html_url,
+  homepage: repo.homepage,
+  language: repo.language,
+  stargazers_count: repo.stargazers_count,
+  forks_count: repo.forks_count,
+  fork: repo.fork,
+  archived: repo.archived,
+  created_at: repo.created_at,
+  pushed_at: repo.pushed_at,
+  updated_at: repo.updated_at,
+  topics: repo.topics || []
+});
+
+// How the authenticated user reaches a repository, as /user/repos?affiliation= names it
+export const REPOSITORY_AFFILIATIONS = {
+  owner: 'Owner',
+  collaborator: 'Collaborator',
+  organization_member: 'Org member'
+};
+
+// Strongest first, matching the permissions object /user/repos returns
+export const REPOSITORY_PERMISSIONS = {
+  admin: 'Admin',
+  maintain: 'Maintain',
+  push: 'Write',
+  triage: 'Triage',
+  pull: 'Read'
+};
+
+export const REPOSITORY_VISIBILITIES = {
+  public: 'Public',
+  private: 'Private',
+  internal: 'Internal'
+};
+
+const strongestPermission = (permissions = {}) => {
+  return Object.keys(REPOSITORY_PERMISSIONS).find(permission => permissions[permission]) || null;
+};
+
+// formatRepository plus the access details of a repository the token can reach
+export const formatAccessibleRepository = (repo) => ({
+  ...formatRepository(repo),
+  owner: repo.owner.login,
+  visibility: repo.visibility || (repo.private ? 'private' : 'public'),
+  permission: strongestPermission(repo.permissions)
+});
+
+// Combine per-affiliation listings; a repository can be reached in more than one way
+export const mergeAffiliations = (listsByAffiliation) => {
+  const merged = new Map();
+  Object.entries(listsByAffiliation).forEach(([affiliation, repos]) => {
+    repos.forEach(repo => {
+      const existing = merged.get(repo.id);
+      merged.set(repo.id, existing
+        ? { ...existing, affiliations: [...existing.affiliations, affiliation] }
+        : { ...repo, affiliations: [affiliation] });
+    });
+  });
+  return [...merged.values()];
+};
+
+const compareRepositories = {
+  stars: (a, b) => a.stargazers_count - b.stargazers_count,
+  forks: (a, b) => a.forks_count - b.forks_count,
+  name: (a, b) => a.name.localeCompare(b.name, undefined, { sensitivity: 'base' }),
+  created: (a, b) => new Date(a.created_at) - new Date(b.created_at),
+  pushed: (a, b) => new Date(a.pushed_at) - new Date(b.pushed_at)
+};
+
+// Descending negates the comparison rather than reversing, so ties keep their original order
+export const sortRepositories = (repos, sort, direction) => {
+  const compare = compareRepositories[sort] || compareRepositories.stars;
+  return [...repos].sort(direction === 'desc' ? (a, b) => compare(b, a) : compare);
+};
+
+export const filterRepositories = (repos, { language, topic, type, archived }) => {
+  return repos.filter(repo => {
+    if (language && repo.language !== language) return false;
+    if (topic && !repo.topics.includes(topic)) return false;
+    if (type === 'sources' && repo.fork) return false;
+    if (type === 'forks' && !repo.fork) return false;
+    if (archived === 'active' && repo.archived) return false;
+    if (archived === 'archived' && !repo.archived) return false;
+    return true;
+  });
+};
+
+// Distinct values for the language and topic filter dropdowns
+export const collectFilterValues = (repos) => {
+  const languages = new Set();
+  const topics = new Set();
+  repos.forEach(repo => {
+    if (repo.language) languages.add(repo.language);
+    repo.topics.forEach(topic => topics.add(topic));
+  });
+  return {
+    languages: [...languages].sort(),
+    topics: [...topics].sort()
+  };
+};
+
+// Load every page of a user's repositories through a (cached) page fetcher
+export const fetchAllRepositories = async (fetchRepositoryPage, login, signal) => {
+  const repositories = [];
+  for (let page = 1; ; page++) {
+    const pageRepos = await fetchRepositoryPage(login, page, signal);
+    repositories.push(...pageRepos);
+    if (pageRepos.length < REPOS_PER_PAGE) return repositories;
+  }
+};
+
+// Star totals, most common languages and the most-starred repository
+export const summarizeRepositories = (repos, topLanguageCount = 3) => {
+  const languageCounts = {};
+  let totalStars = 0;
+  let mostStarred = null;
+
+  repos.forEach(repo => {
+    totalStars += repo.stargazers_count;
+    if (repo.language) {
+      languageCounts[repo.language] = (languageCounts[repo.language] || 0) + 1;
+    }
+    if (!mostStarred || repo.stargazers_count > mostStarred.stargazers_count) {
+      mostStarred = repo;
+    }
+  });
+
+  const topLanguages = Object.entries(languageCounts)
+    .sort(([, a], [, b]) => b - a)
+    .slice(0, topLanguageCount)
+    .map(([language]) => language);
+
+  return { totalStars, topLanguages, mostStarred };
+};
@@ -0,0 +1,149 @@
+// Minimal History API router: /u/:login, /u/:login/repos?sort=stars&..., /u/:login/followers,
+// /u/:login/analytics, /u/:login/activity, /u/:login/card, /u/:login/gists,
+// /search?location=Berlin&..., /compare?users=a,b, /me, /watchlist, /bulk and /settings
+import { DEFAULT_REPOSITORY_OPTIONS, REPOSITORY_OPTION_PATTERNS, REPOSITORY_SORTS } from "./repositories";
+import { CONNECTION_TABS } from "./connections";
+import { DEFAULT_SEARCH_OPTIONS, SEARCH_OPTION_PATTERNS, SEARCH_SORTS } from "./search";
+
+const BASE_PATH = import.meta.env.BASE_URL.replace(/\/$/, '');
+
+const ROUTE_PATTERN = /^\/u\/([^/]+)(?:\/([a-z-]+))?\/?$/;
+const SEARCH_PATTERN = /^\/search\/?$/;
+const SETTINGS_PATTERN = /^\/settings\/?$/;
+const ME_PATTERN = /^\/me\/?$/;
+const WATCHLIST_PATTERN = /^\/watchlist\/?$/;
+const BULK_PATTERN = /^\/bulk\/?$/;
+const COMPARE_PATTERN = /^\/compare\/?$/;
+
+// Read the query string keys an options object has, falling back to its defaults, also for
+// values that don't match the key's pattern (e.g. ?followers=abc)
+const readOptions = (params, defaults, sorts, patterns = {}) => {
+  const options = { ...defaults };
+
+  Object.keys(defaults).forEach(key => {
+    const value = params.get(key);
+    if (value !== null && (!patterns[key] || patterns[key].test(value))) {
+      options[key] = value;
+    }
+  });
+
+  if (!Object.hasOwn(sorts, options.sort)) options.sort = defaults.sort;
+  options.page = Math.max(1, parseInt(options.page) || 1);
+
+  return options;
+};
+
+// Only non-default options end up in the query string
+const writeOptions = (path, options, defaults) => {
+  const params = new URLSearchParams();
+  Object.entries(options).forEach(([key, value]) => {
+    if (value !== defaults[key]) {
+      params.set(key, value);
+    }
+  });
+
+  const query = params.toString();
+  return `${path}${query ? `?${query}` : ''}`;
+};
+
+export const parseLocation = (location = window.location) => {
+  const path = location.pathname.startsWith(BASE_PATH)
+    ? location.pathname.slice(BASE_PATH.length)
+    : location.pathname;
+  const match = path.match(ROUTE_PATTERN);
+  const params = new URLSearchParams(location.search);
+
+  const route = {
+    view: 'profile',
+    login: match ? decodeURIComponent(match[1]) : null,
+    repositoryOptions: DEFAULT_REPOSITORY_OPTIONS,
+    connectionsTab: 'followers',
+    searchOptions: DEFAULT_SEARCH_OPTIONS,
+    compareLogins: []
+  };
+
+  if (SEARCH_PATTERN.test(path)) {
+    route.view = 'search';
+    route.searchOptions = readOptions(params, DEFAULT_SEARCH_OPTIONS, SEARCH_SORTS, SEARCH_OPTION_PATTERNS);
+    return route;
+  }
+
+  if (SETTINGS_PATTERN.test(path)) {
+    route.view = 'settings';
+    return route;
+  }
+
+  if (ME_PATTERN.test(path)) {
+    route.view = 'me';
+    return route;
+  }
+
+  if (WATCHLIST_PATTERN.test(path)) {
+    route.view = 'watchlist';
+    return route;
+  }
+
+  if (BULK_PATTERN.test(path)) {
+    route.view = 'bulk';
+    return route;
+  }
+
+  // Logins are compared case-insensitively, so drop repeats in any case
+  if (COMPARE_PATTERN.test(path)) {
+    route.view = 'compare';
+    route.compareLogins = (params.get('users') || '')
+      .split(',')
+      .map(login => login.trim())
+      .filter((login, index, logins) => login && logins.findIndex(other => other.toLowerCase() === login.toLowerCase()) === index);
+    return route;
+  }
+
+  const section = match?.[2];
+  if (section === 'repos') {
+    route.view = 'repositories';
+    route.repositoryOptions = readOptions(params, DEFAULT_REPOSITORY_OPTIONS, REPOSITORY_SORTS, REPOSITORY_OPTION_PATTERNS);
+  } else if (section === 'analytics' || section === 'activity' || section === 'card' || section === 'gists') {
+    route.view = section;
+  } else if (section && Object.hasOwn(CONNECTION_TABS, section)) {
+    route.view = 'connections';
+    route.connectionsTab = section;
+  }
+
+  return route;
+};
+
+export const buildPath = ({
+  view,
+  login,
+  repositoryOptions = DEFAULT_REPOSITORY_OPTIONS,
+  connectionsTab,
+  searchOptions = DEFAULT_SEARCH_OPTIONS,
+  compareLogins = []
+}) => {
+  if (view === 'search') return writeOptions(`${BASE_PATH}/search`, searchOptions, DEFAULT_SEARCH_OPTIONS);
+  if (view === 'settings') return `${BASE_PATH}/settings`;
+  if (view === 'me') return `${BASE_PATH}/me`;
+  if (view === 'watchlist') return `${BASE_PATH}/watchlist`;
+  if (view === 'bulk') return `${BASE_PATH}/bulk`;
+  // Commas stay readable; logins can't contain them
+  if (view === 'compare') return `${BASE_PATH}/compare?users=${compareLogins.map(encodeURIComponent).join(',')}`;
+  if (!login) return `${BASE_PATH}/`;
+
+  const profilePath = `${BASE_PATH}/u/${encodeURIComponent(login)}`;
+  if (view === 'connections') return `${profilePath}/${connectionsTab}`;
+  if (view === 'analytics' || view === 'activity' || view === 'card' || view === 'gists') return `${profilePath}/${view}`;
+  if (view === 'repositories') return writeOptions(`${profilePath}/repos`, repositoryOptions, DEFAULT_REPOSITORY_OPTIONS);
+  return profilePath;
+};
+
+// Push (or replace) a history entry unless the URL already matches
+export const navigate = (route, { replace = false } = {}) => {
+  const path = buildPath(route);
+  if (path === `${window.location.pathname}${window.location.search}`) return;
+
+  if (replace) {
+    window.history.replaceState(null, '', path);
+  } else {
+    window.history.pushState(null, '', path);
+  }
+};
@@ -0,0 +1,116 @@
+// Allowlist sanitizer for README HTML rendered by GitHub (application/vnd.github.html+json).
+// Anything not listed is dropped; relative links and images are resolved against the repository.
+
+const ALLOWED_TAGS = new Set([
+  'a', 'abbr', 'b', 'blockquote', 'br', 'code', 'dd', 'del', 'details', 'div', 'dl', 'dt', 'em',
+  'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'hr', 'i', 'img', 'input', 'ins', 'kbd', 'li', 'ol', 'p',
+  'picture', 'pre', 'q', 's', 'samp', 'span', 'strike', 'strong', 'sub', 'summary', 'sup', 'table',
+  'tbody', 'td', 'tfoot', 'th', 'thead', 'tr', 'tt', 'ul', 'var'
+]);
+
+// Removed together with their content instead of being unwrapped
+const DROPPED_TAGS = new Set([
+  'script', 'style', 'iframe', 'object', 'embed', 'form', 'textarea', 'select', 'button', 'svg',
+  'math', 'noscript', 'template', 'link', 'meta', 'base', 'frame', 'frameset', 'audio', 'video'
+]);
+
+const ALLOWED_ATTRIBUTES = new Set([
+  'align', 'alt', 'title', 'width', 'height', 'colspan', 'rowspan', 'open', 'lang', 'dir',
+  'href', 'src', 'type', 'checked', 'disabled'
+]);
+
+const SAFE_PROTOCOLS = new Set(['http:', 'https:', 'mailto:']);
+
+const resolveUrl = (value, base) => {
+  try {
+    const url = new URL(value, base);
+    return SAFE_PROTOCOLS.has(url.protocol) ? url.toString() : null;
+  } catch {
+    return null;
+  }
+};
+
+const cleanElement = (element, { linkBase, imageBase }) => {
+  [...element.attributes].forEach(({ name, value }) => {
+    // GitHub prefixes heading ids so they can't clobber the page's own ids
+    if (name === 'id' && value.startsWith('user-content-')) return;
+    if (!ALLOWED_ATTRIBUTES.has(name)) {
+      element.removeAttribute(name);
+    }
+  });
+
+  const tag = element.tagName.toLowerCase();
+
+  if (tag === 'a' && element.hasAttribute('href')) {
+    const href = element.getAttribute('href');
+    if (!href.startsWith('#')) {
+      const resolved = resolveUrl(href, linkBase);
+      if (resolved) {
+        element.setAttribute('href', resolved);
+        element.setAttribute('target', '_blank');
+        element.setAttribute('rel', 'noopener noreferrer');
+      } else {
+        element.removeAttribute('href');
+      }
+    }
+  }
+
+  if (tag === 'img') {
+    const src = resolveUrl(element.getAttribute('src') || '', imageBase);
+    if (src) {
+      element.setAttribute('src', src);
+      element.setAttribute('loading', 'lazy');
+    } else {
+      element.remove();
+    }
+  }
+
+  // Task list checkboxes are the only inputs GitHub renders
+  if (tag === 'input') {
+    if (element.getAttribute('type') !== 'checkbox') {
+      element.remove();
+    } else {
+      element.setAttribute('disabled', '');
+    }
+  }
+};
+
+const cleanChildren = (parent, bases) => {
+  [...parent.childNodes].forEach(node => {
+    if (node.nodeType === Node.COMMENT_NODE) {
+      node.remove();
+      return;
+    }
+    if (node.nodeType !== Node.ELEMENT_NODE) return;
+
+    const tag = node.tagName.toLowerCase();
+    if (DROPPED_TAGS.has(tag)) {
+      node.remove();
+      return;
+    }
+
+    cleanChildren(node, bases);
+
+    if (ALLOWED_TAGS.has(tag)) {
+      cleanElement(node, bases);
+    } else {
+      node.replaceWith(...node.childNodes);
+    }
+  });
+};
+
+// repositoryUrl is the repository's web URL, e.g. https://github.com/owner/repo
+export const sanitizeReadme = (html, { repositoryUrl, branch }) => {
+  const document = new DOMParser().parseFromString(html, 'text/html');
+
+  // The rendered README names its own path, so images next to docs/README.md resolve too
+  const readmePath = document.querySelector('[data-path]')?.getAttribute('data-path') || 'README.md';
+  const directory = readmePath.includes('/') ? readmePath.slice(0, readmePath.lastIndexOf('/') + 1) : '';
+
+  cleanChildren(document.body, {
+    linkBase: `${repositoryUrl}/blob/${branch}/${directory}`,
+    imageBase: `${repositoryUrl}/raw/${branch}/${directory}`
+  });
+
+  return document.body.innerHTML;
+};
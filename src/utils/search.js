@@ -0,0 +1,68 @@
+// GitHub user search qualifier builder for the advanced search page
+
+export const SEARCH_RESULTS_PER_PAGE = 20;
+
+// The search API only returns the first 1000 results
+export const MAX_SEARCH_RESULTS = 1000;
+
+export const SEARCH_SORTS = {
+  '': 'Best match',
+  followers: 'Followers',
+  repositories: 'Repositories',
+  joined: 'Joined'
+};
+
+export const DEFAULT_SEARCH_OPTIONS = {
+  q: '',
+  location: '',
+  language: '',
+  followers: '',
+  repos: '',
+  createdAfter: '',
+  createdBefore: '',
+  type: '',       // '' | user | org
+  sort: '',
+  order: 'desc',
+  page: 1
+};
+
+// What each URL value must look like to reach the query; anything else falls back to the default
+export const SEARCH_OPTION_PATTERNS = {
+  followers: /^\d+$/,
+  repos: /^\d+$/,
+  createdAfter: /^\d{4}-\d{2}-\d{2}$/,
+  createdBefore: /^\d{4}-\d{2}-\d{2}$/,
+  type: /^(user|org)?$/,
+  order: /^(asc|desc)$/
+};
+
+// Values with spaces need quoting, e.g. location:"San Francisco"
+const qualifier = (name, value) => {
+  const trimmed = value.trim();
+  return /\s/.test(trimmed) ? `${name}:"${trimmed}"` : `${name}:${trimmed}`;
+};
+
+const dateRange = (after, before) => {
+  if (after && before) return `created:${after}..${before}`;
+  if (after) return `created:>=${after}`;
+  if (before) return `created:<=${before}`;
+  return null;
+};
+
+// Turn the form fields into a search query, e.g. "rust location:Berlin followers:>100 type:user"
+export const buildSearchQuery = (options) => {
+  const parts = [];
+
+  if (options.q.trim()) parts.push(options.q.trim());
+  if (options.location.trim()) parts.push(qualifier('location', options.location));
+  if (options.language.trim()) parts.push(qualifier('language', options.language));
+  if (options.followers !== '') parts.push(`followers:>${options.followers}`);
+  if (options.repos !== '') parts.push(`repos:>${options.repos}`);
+
+  const created = dateRange(options.createdAfter, options.createdBefore);
+  if (created) parts.push(created);
+
+  if (options.type) parts.push(`type:${options.type}`);
+
+  return parts.join(' ');
+};
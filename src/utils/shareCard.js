@@ -0,0 +1,144 @@
+// Self-contained SVG stat cards for READMEs and wikis (no third-party stats service)
+import { formatNumber } from "./format";
+import { getLanguageColor } from "./languages";
+
+// Theme and layout pickers are labelled through the shareCard.theme.* and shareCard.layout.* catalog keys
+export const CARD_THEMES = {
+  dark: {
+    background: '#0d1117',
+    border: 'rgba(255,255,255,0.1)',
+    title: '#79C0FF',
+    text: '#C9D1D9',
+    muted: '#7D8590',
+    accent: '#58A6FF'
+  },
+  light: {
+    background: '#ffffff',
+    border: '#d0d7de',
+    title: '#0969da',
+    text: '#24292f',
+    muted: '#57606a',
+    accent: '#0969da'
+  },
+  glass: {
+    background: 'url(#card-gradient)',
+    gradient: ['#1e2a3a', '#0d1117'],
+    border: 'rgba(88,166,255,0.4)',
+    title: '#79C0FF',
+    text: '#E6EDF3',
+    muted: '#8d96a0',
+    accent: '#58A6FF'
+  }
+};
+
+export const CARD_LAYOUTS = {
+  wide: { width: 495, height: 195, avatarSize: 80 },
+  compact: { width: 350, height: 140, avatarSize: 56 }
+};
+
+const FONT_FAMILY = "'Segoe UI', Ubuntu, 'Helvetica Neue', sans-serif";
+
+// The card's labels are English whatever the app language, so its numbers are formatted to match
+const CARD_LOCALE = 'en';
+
+const escapeXml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const truncate = (text, length) => (text.length > length ? `${text.slice(0, length - 1)}…` : text);
+
+// Inline the avatar so the card renders without loading anything from GitHub
+export const fetchAvatarDataUri = async (avatarUrl, size = 160, signal) => {
+  const url = new URL(avatarUrl);
+  url.searchParams.set('s', size);
+
+  const response = await fetch(url, { signal });
+  if (!response.ok) {
+    throw new Error(`Avatar request failed: ${response.status}`);
+  }
+
+  const blob = await response.blob();
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(blob);
+  });
+};
+
+const languageBar = (languages, x, y, width) => {
+  let offset = 0;
+  return languages.map(({ name, share }) => {
+    const segmentWidth = share * width;
+    const segment = `<rect x="${(x + offset).toFixed(1)}" y="${y}" width="${segmentWidth.toFixed(1)}" height="8" fill="${getLanguageColor(name)}"/>`;
+    offset += segmentWidth;
+    return segment;
+  }).join('');
+};
+
+const languageLegend = (languages, x, y, theme, columnWidth) => {
+  return languages.map(({ name, share }, index) => {
+    const itemX = x + index * columnWidth;
+    return `<circle cx="${itemX + 5}" cy="${y - 4}" r="5" fill="${getLanguageColor(name)}"/>`
+      + `<text x="${itemX + 14}" y="${y}" font-size="11" fill="${theme.text}">${escapeXml(truncate(name, 12))} ${(share * 100).toFixed(0)}%</text>`;
+  }).join('');
+};
+
+// languages: [{ name, share }] sorted by share, stats: { followers, repos, stars }
+export const buildShareCardSvg = ({ user, stats, languages, avatarDataUri, layout = 'wide', theme = 'dark' }) => {
+  const colors = CARD_THEMES[theme];
+  const { width, height, avatarSize } = CARD_LAYOUTS[layout];
+  const padding = 20;
+  const textX = padding * 2 + avatarSize;
+  const name = escapeXml(truncate(user.name || user.login, layout === 'wide' ? 28 : 20));
+  const shownLanguages = languages.slice(0, layout === 'wide' ? 4 : 3);
+
+  // Bar segments should fill the bar even though only the top languages are shown
+  const shownTotal = shownLanguages.reduce((sum, { share }) => sum + share, 0) || 1;
+  const barLanguages = shownLanguages.map(entry => ({ ...entry, share: entry.share / shownTotal }));
+
+  const statItems = [
+    ['Followers', stats.followers],
+    ['Repos', stats.repos],
+    ['Stars', stats.stars]
+  ];
+
+  const defs = [
+    `<clipPath id="avatar-clip"><circle cx="${padding + avatarSize / 2}" cy="${padding + avatarSize / 2}" r="${avatarSize / 2}"/></clipPath>`,
+    `<clipPath id="bar-clip"><rect x="${padding}" y="${height - 45}" width="${width - padding * 2}" height="8" rx="4"/></clipPath>`,
+    colors.gradient
+      ? `<linearGradient id="card-gradient" x1="0" y1="0" x2="1" y2="1"><stop offset="0" stop-color="${colors.gradient[0]}"/><stop offset="1" stop-color="${colors.gradient[1]}"/></linearGradient>`
+      : ''
+  ].join('');
+
+  const avatar = avatarDataUri
+    ? `<image href="${avatarDataUri}" x="${padding}" y="${padding}" width="${avatarSize}" height="${avatarSize}" clip-path="url(#avatar-clip)"/>`
+    : `<circle cx="${padding + avatarSize / 2}" cy="${padding + avatarSize / 2}" r="${avatarSize / 2}" fill="${colors.border}"/>`;
+
+  const statsMarkup = layout === 'wide'
+    ? statItems.map(([label, value], index) => {
+      const x = textX + index * 110;
+      return `<text x="${x}" y="${padding + 72}" font-size="20" font-weight="700" fill="${colors.accent}">${formatNumber(value, CARD_LOCALE)}</text>`
+        + `<text x="${x}" y="${padding + 88}" font-size="11" fill="${colors.muted}">${label}</text>`;
+    }).join('')
+    : `<text x="${textX}" y="${padding + 52}" font-size="12" fill="${colors.text}">${statItems.map(([label, value]) => `${formatNumber(value, CARD_LOCALE)} ${label.toLowerCase()}`).join(' · ')}</text>`;
+
+  const languagesMarkup = barLanguages.length > 0
+    ? `<g clip-path="url(#bar-clip)">${languageBar(barLanguages, padding, height - 45, width - padding * 2)}</g>`
+      + languageLegend(shownLanguages, padding, height - 18, colors, (width - padding * 2) / shownLanguages.length)
+    : `<text x="${padding}" y="${height - 25}" font-size="11" fill="${colors.muted}">No language data</text>`;
+
+  return [
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" font-family="${FONT_FAMILY}" role="img" aria-label="${name}'s GitHub stats">`,
+    `<defs>${defs}</defs>`,
+    `<rect x="0.5" y="0.5" width="${width - 1}" height="${height - 1}" rx="12" fill="${colors.background}" stroke="${colors.border}"/>`,
+    avatar,
+    `<text x="${textX}" y="${padding + 22}" font-size="${layout === 'wide' ? 20 : 16}" font-weight="600" fill="${colors.title}">${name}</text>`,
+    `<text x="${textX}" y="${padding + (layout === 'wide' ? 42 : 36)}" font-size="12" fill="${colors.muted}">@${escapeXml(user.login)}</text>`,
+    statsMarkup,
+    languagesMarkup,
+    '</svg>'
+  ].join('');
+};
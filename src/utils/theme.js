@@ -0,0 +1,73 @@
+// Theme preference: 'system' follows the OS, the others are a saved override
+const STORAGE_KEY = 'github-profile-finder-theme';
+
+export const THEMES = ['system', 'light', 'dark', 'high-contrast'];
+
+// Browser UI color (PWA title bar, mobile address bar) per resolved theme
+const THEME_COLORS = {
+  dark: '#0D1117',
+  light: '#ffffff',
+  'high-contrast': '#000000'
+};
+
+const colorSchemeQuery = window.matchMedia('(prefers-color-scheme: light)');
+const contrastQuery = window.matchMedia('(prefers-contrast: more)');
+
+const readPreference = () => {
+  try {
+    const stored = window.localStorage.getItem(STORAGE_KEY);
+    if (THEMES.includes(stored)) return stored;
+  } catch {
+    // Storage unavailable, follow the OS
+  }
+  return 'system';
+};
+
+let preference = readPreference();
+const listeners = new Set();
+
+// The theme actually shown: the override, or what the OS asks for
+const resolveTheme = () => {
+  if (preference !== 'system') return preference;
+  if (contrastQuery.matches) return 'high-contrast';
+  return colorSchemeQuery.matches ? 'light' : 'dark';
+};
+
+// styles.css and index.css key their palettes off data-theme on <html>
+const applyTheme = () => {
+  const theme = resolveTheme();
+  document.documentElement.dataset.theme = theme;
+  document.querySelector('meta[name="theme-color"]')?.setAttribute('content', THEME_COLORS[theme]);
+};
+
+applyTheme();
+
+[colorSchemeQuery, contrastQuery].forEach(query => {
+  query.addEventListener('change', () => {
+    if (preference === 'system') applyTheme();
+  });
+});
+
+export const getThemePreference = () => preference;
+
+export const subscribeToThemePreference = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+export const setThemePreference = (theme) => {
+  if (!THEMES.includes(theme) || theme === preference) return;
+
+  preference = theme;
+  try {
+    if (theme === 'system') {
+      window.localStorage.removeItem(STORAGE_KEY);
+    } else {
+      window.localStorage.setItem(STORAGE_KEY, theme);
+    }
+  } catch (error) {
+    console.error('Error storing theme:', error.message);
+  }
+  applyTheme();
+  listeners.forEach(listener => listener());
+};
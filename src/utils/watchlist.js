@@ -0,0 +1,61 @@
+// Snapshot shaping and diffing for the watchlist
+
+// Profile fields whose edits are reported; labelled through the watchlist.field.* catalog keys
+export const PROFILE_FIELDS = ['name', 'bio', 'company', 'location'];
+
+export const buildSnapshot = (user, repositories) => ({
+  key: user.login.toLowerCase(),
+  login: user.login,
+  avatarUrl: user.avatar_url,
+  takenAt: Date.now(),
+  followers: user.followers,
+  following: user.following,
+  publicRepos: user.public_repos,
+  ...Object.fromEntries(PROFILE_FIELDS.map(field => [field, user[field] || null])),
+  repos: Object.fromEntries(repositories.map(repo => [
+    repo.name,
+    { stars: repo.stargazers_count, forks: repo.forks_count }
+  ]))
+});
+
+export const totalStars = (snapshot) => {
+  return Object.values(snapshot.repos).reduce((sum, repo) => sum + repo.stars, 0);
+};
+
+export const totalForks = (snapshot) => {
+  return Object.values(snapshot.repos).reduce((sum, repo) => sum + repo.forks, 0);
+};
+
+// Per-repository changes, biggest first
+const repoChanges = (previous, current, metric) => {
+  return Object.entries(current.repos)
+    .filter(([name]) => previous.repos[name])
+    .map(([name, repo]) => ({ name, delta: repo[metric] - previous.repos[name][metric] }))
+    .filter(({ delta }) => delta !== 0)
+    .sort((a, b) => b.delta - a.delta);
+};
+
+// What changed between two snapshots of the same profile
+export const diffSnapshots = (previous, current) => ({
+  followers: current.followers - previous.followers,
+  following: current.following - previous.following,
+  publicRepos: current.publicRepos - previous.publicRepos,
+  newRepos: Object.keys(current.repos).filter(name => !previous.repos[name]),
+  removedRepos: Object.keys(previous.repos).filter(name => !current.repos[name]),
+  starChanges: repoChanges(previous, current, 'stars'),
+  forkChanges: repoChanges(previous, current, 'forks'),
+  profileEdits: PROFILE_FIELDS
+    .filter(field => previous[field] !== current[field])
+    .map(field => ({ field, from: previous[field], to: current[field] }))
+});
+
+export const hasChanges = (diff) => {
+  return diff.followers !== 0
+    || diff.following !== 0
+    || diff.publicRepos !== 0
+    || diff.newRepos.length > 0
+    || diff.removedRepos.length > 0
+    || diff.starChanges.length > 0
+    || diff.forkChanges.length > 0
+    || diff.profileEdits.length > 0;
+};
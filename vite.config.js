@@ -1,7 +1,41 @@
+import { createHash } from 'node:crypto'
+import { readFile } from 'node:fs/promises'
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
 
+// Files in public/ that belong to the app shell
+const PUBLIC_SHELL_FILES = ['manifest.webmanifest', 'icon-192.png', 'icon-512.png', 'vite.svg']
+
+// Emits src/sw.js as sw.js with the built files listed for precaching. The cache version
+// is derived from the hashed file names, so every deploy installs a fresh shell.
+function serviceWorker() {
+  let base = '/'
+
+  return {
+    name: 'service-worker',
+    apply: 'build',
+    enforce: 'post',
+    configResolved(config) {
+      base = config.base
+    },
+    async generateBundle(_, bundle) {
+      const files = Object.keys(bundle).filter(file => file !== 'index.html' && !file.endsWith('.map'))
+      const shell = [base, ...[...PUBLIC_SHELL_FILES, ...files].map(file => `${base}${file}`)]
+      const version = createHash('sha256').update(shell.join('\n')).digest('hex').slice(0, 12)
+
+      const source = await readFile(new URL('./src/sw.js', import.meta.url), 'utf8')
+      this.emitFile({
+        type: 'asset',
+        fileName: 'sw.js',
+        source: source
+          .replace('self.__APP_SHELL__', JSON.stringify(shell))
+          .replace('self.__CACHE_VERSION__', JSON.stringify(version)),
+      })
+    },
+  }
+}
+
 // https://vite.dev/config/
 export default defineConfig({
-  plugins: [react()],
+  plugins: [react(), serviceWorker()],
 })